@@ -25,12 +25,13 @@ class CodeGenerator {
         const pass1Code = await this.readPassFile('pass1-node-structure.js');
         const pass2Code = await this.readModularPass('pass2-node-styles');
         const pass4Code = await this.readPassFile('pass4-rule-generation.js');
+        const pass5Code = await this.readPassFile('pass5-design-tokens.js');
         
         // Read the main plugin template
         const pluginTemplate = await this.readPluginTemplate();
         
         // Combine everything
-        const generatedCode = this.combineCode(pass1Code, pass2Code, pass4Code, pluginTemplate);
+        const generatedCode = this.combineCode(pass1Code, pass2Code, pass4Code, pass5Code, pluginTemplate);
         
         console.log('✅ Plugin code generated successfully');
         return generatedCode;
@@ -590,10 +591,11 @@ new FigmaToHTMLPluginCode();`;
      * @param {string} pass1Code - Pass 1 class code
      * @param {string} pass2Code - Pass 2 class code
      * @param {string} pass4Code - Pass 4 class code
+     * @param {string} pass5Code - Pass 5 class code
      * @param {string} pluginCode - Main plugin code
      * @returns {string} Combined plugin code
      */
-    combineCode(pass1Code, pass2Code, pass4Code, pluginCode) {
+    combineCode(pass1Code, pass2Code, pass4Code, pass5Code, pluginCode) {
         const header = `/**
  * Figma to HTML Plugin - Generated Code
  * 
@@ -610,7 +612,7 @@ new FigmaToHTMLPluginCode();`;
         const serviceAccountKey = this.getServiceAccountKeyFromEnv();
         const configCode = serviceAccountKey ? this.generateConfigCode(serviceAccountKey) : this.generateConfigCode(null);
         
-        return header + configCode + '\n\n' + pass1Code + '\n\n' + pass2Code + '\n\n' + pass4Code + '\n\n' + pluginCode;
+        return header + configCode + '\n\n' + pass1Code + '\n\n' + pass2Code + '\n\n' + pass4Code + '\n\n' + pass5Code + '\n\n' + pluginCode;
     }
 
     /**
@@ -644,6 +646,25 @@ new FigmaToHTMLPluginCode();`;
         return null;
     }
 
+    /**
+     * Get the project tag mapping from config/tag-mapping.json
+     * Maps layer-name prefixes, layer names and node types to semantic HTML tags
+     */
+    getTagMappingFromConfig() {
+        try {
+            const fs = require('fs');
+            const path = require('path');
+            const configPath = path.join(this.rootDir, 'config', 'tag-mapping.json');
+            if (fs.existsSync(configPath)) {
+                return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            }
+        } catch (error) {
+            console.warn('⚠️  Failed to read config/tag-mapping.json:', error.message);
+        }
+        
+        return null;
+    }
+
     /**
      * Get Google Drive folder ID from environment variable
      */
@@ -691,6 +712,15 @@ new FigmaToHTMLPluginCode();`;
             code += 'const GOOGLE_CLIENT_ID = undefined; // Optional: OAuth Client ID (can be set via Settings or GOOGLE_CLIENT_ID env var)\n';
         }
         
+        // Semantic tag mapping (optional, project-specific)
+        const tagMapping = this.getTagMappingFromConfig();
+        if (tagMapping) {
+            code += `const TAG_MAPPING = ${JSON.stringify(tagMapping)};\n`;
+            console.log('✅ Tag mapping will be injected into plugin');
+        } else {
+            code += 'const TAG_MAPPING = undefined; // Optional: config/tag-mapping.json\n';
+        }
+        
         code += '\n';
         
         return code;
@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+/**
+ * Headless CLI for Figma to HTML
+ *
+ * Runs the pass pipeline on a node tree exported from the plugin (the shape
+ * produced by extractSingleNode) so walls can be regenerated in CI and scripts
+ * without opening Figma.
+ *
+ * Usage:
+ *   figma-to-html <input.json> [--out <dir>] [--name <wallName>] [--tag-map <file>] [--fonts <dir>] [--tokens] [--auto-navigation] [--no-rules] [--quiet]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const NodeStructurePass = require('../passes/pass1-node-structure');
+const NodeStylesPass = require('../passes/pass2-node-styles');
+const { RuleGenerationPass } = require('../passes/pass4-rule-generation');
+const { DesignTokensPass } = require('../passes/pass5-design-tokens');
+const FigmaToHTMLPluginCode = require('../plugin/figma-to-html-plugin');
+const { bundleFonts } = require('./font-bundler');
+
+// Image hashes (hex) and exported layer keys (export-<id>); anything else,
+// such as a key with dots or slashes, is not written to img/
+const IMAGE_HASH_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const USAGE = `Usage: figma-to-html <input.json> [options]
+
+<input.json> is a design snapshot saved from the plugin or a raw node array.
+
+Options:
+  --out <dir>          Output directory (default: ./dist/export)
+  --name <wallName>    Base name for the HTML file (default: derived from the first node)
+  --tag-map <file>     Semantic tag mapping (default: config/tag-mapping.json when present)
+  --fonts <path>       Font folder or stylesheet to bundle fonts from (default: fonts/ when present)
+  --no-fonts           Do not bundle fonts
+  --tokens             Also write tokens.json (DTCG design tokens) from the snapshot's styles and variables
+  --auto-navigation    Enable sequential keyboard navigation in the runtime
+  --scale <mode>       Fit the wall to the viewport: contain, cover, stretch or resize (default: actual size)
+  --letterbox <color>  Color around a scaled wall (default: #000000)
+  --no-rules           Skip Pass 4 and do not write rules.json
+  --quiet              Suppress pass logging
+  --help               Show this message`;
+
+class HeadlessExporter {
+    /**
+     * @param {Object} options - Export options
+     * @param {string} options.outDir - Output directory
+     * @param {string} [options.wallName] - Base name for the HTML file
+     * @param {boolean} [options.autoGenerateNavigation] - Enable sequential navigation
+     * @param {boolean} [options.generateRules] - Run Pass 4 and write rules.json
+     * @param {boolean} [options.generateTokens] - Run Pass 5 and write tokens.json
+     * @param {Object} [options.tagMapping] - Semantic tag mapping for Pass 1
+     * @param {string|null} [options.fontsPath] - Font folder or stylesheet to bundle fonts from (null to skip)
+     * @param {string} [options.scaleMode] - Fit-to-viewport mode ('none', 'contain', 'cover', 'stretch' or 'resize')
+     * @param {string} [options.letterboxColor] - Color around a scaled wall
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({
+            outDir: path.join(process.cwd(), 'dist', 'export'),
+            wallName: null,
+            autoGenerateNavigation: false,
+            generateRules: true,
+            generateTokens: false,
+            tagMapping: null,
+            fontsPath: null,
+            scaleMode: 'none',
+            letterboxColor: '#000000'
+        }, options);
+
+        this.nodeStructurePass = new NodeStructurePass({ tagMapping: this.options.tagMapping });
+        this.nodeStylesPass = new NodeStylesPass();
+        this.ruleGenerationPass = new RuleGenerationPass();
+        this.designTokensPass = new DesignTokensPass();
+
+        // Image bytes (hash -> base64), variables, styles and prototype flows carried by design snapshots
+        this.images = {};
+        this.variables = null;
+        this.styles = [];
+        this.flowStartingPoints = [];
+        this.invalidImageKeys = [];
+
+        // Borrow the document helpers from the plugin class without running
+        // its constructor, which needs the Figma UI
+        this.documentBuilder = Object.create(FigmaToHTMLPluginCode.prototype);
+    }
+
+    /**
+     * Load a serialized node tree from disk
+     * Accepts an array of nodes, a single node, an object with a `nodes` array,
+     * or a design snapshot saved from the plugin
+     * @param {string} inputPath - Path to the JSON file
+     * @returns {Array} Extracted node data with parent references restored
+     */
+    async loadNodes(inputPath) {
+        const content = await fs.readFile(inputPath, 'utf8');
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${inputPath}: ${error.message}`);
+        }
+
+        if (data && data.format === FigmaToHTMLPluginCode.SNAPSHOT_FORMAT) {
+            if (typeof data.version !== 'number' || data.version > FigmaToHTMLPluginCode.SNAPSHOT_VERSION) {
+                throw new Error(`Unsupported snapshot version ${data.version} in ${inputPath} (this CLI reads up to version ${FigmaToHTMLPluginCode.SNAPSHOT_VERSION}).`);
+            }
+            this.images = data.images || {};
+            this.variables = data.variables || null;
+            this.styles = data.styles || [];
+            this.flowStartingPoints = data.flowStartingPoints || [];
+        }
+
+        let nodes;
+        if (Array.isArray(data)) {
+            nodes = data;
+        } else if (data && Array.isArray(data.nodes)) {
+            nodes = data.nodes;
+        } else if (data && data.id && data.type) {
+            nodes = [data];
+        } else {
+            throw new Error(`No nodes found in ${inputPath}. Expected an array of nodes or an object with a "nodes" array.`);
+        }
+
+        if (nodes.length === 0) {
+            throw new Error(`No nodes found in ${inputPath}.`);
+        }
+
+        nodes.forEach(node => this.restoreParentReferences(node, null));
+        return nodes;
+    }
+
+    /**
+     * Restore the parent references stripped during serialization
+     * @param {Object} node - Node data
+     * @param {Object} parent - Parent node data
+     */
+    restoreParentReferences(node, parent) {
+        if (!node || typeof node !== 'object') return;
+
+        node.parent = parent;
+        if (Array.isArray(node.children)) {
+            node.children.forEach(child => this.restoreParentReferences(child, node));
+        } else {
+            node.children = [];
+        }
+    }
+
+    /**
+     * Build image assets from the image bytes loaded with a snapshot
+     * Keys that are not image hashes would become paths outside img/,
+     * so they are skipped and listed in invalidImageKeys.
+     * @returns {Array} Image assets in the shape produced by collectImageAssets
+     */
+    getImageAssets() {
+        const hashes = Object.keys(this.images);
+        this.invalidImageKeys = hashes.filter(hash => !IMAGE_HASH_PATTERN.test(hash));
+
+        return hashes.filter(hash => IMAGE_HASH_PATTERN.test(hash)).map(hash => {
+            const base64 = this.images[hash];
+            return this.documentBuilder.createImageAsset(hash, Buffer.from(base64, 'base64'), base64);
+        });
+    }
+
+    /**
+     * Run the pass pipeline and write the results to the output directory
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Object} Paths of the written files and pass metadata
+     */
+    async export(extractedNodes) {
+        const { outDir, wallName, autoGenerateNavigation, generateRules, generateTokens, fontsPath, scaleMode, letterboxColor } = this.options;
+
+        // Pass 1: Generate HTML structure
+        const pass1Result = await this.nodeStructurePass.process(extractedNodes, { flowStartingPoints: this.flowStartingPoints });
+
+        // Image fill bytes and variables carried by a design snapshot
+        const imageAssets = this.getImageAssets();
+
+        // Fonts used by the text, copied into fonts/ and declared with @font-face
+        // (before Pass 2, which references the family names of colliding styles)
+        const fonts = fontsPath
+            ? await bundleFonts(extractedNodes, { fontsPath, outDir })
+            : { css: '', files: [], unresolved: [], families: {} };
+
+        // Pass 2: Extract and generate CSS styles
+        const pass2Result = await this.nodeStylesPass.process(extractedNodes, pass1Result, {
+            imageAssets,
+            variables: this.variables,
+            fontFamilies: fonts.families
+        });
+
+        // Same filename and title rules as handleGenerateHTML
+        const filename = wallName
+            ? `${wallName}.html`
+            : this.documentBuilder.generateIntelligentFilename(extractedNodes);
+
+        const html = this.documentBuilder.wrapInHTMLDocument(pass1Result.html, fonts.css + pass2Result.css, extractedNodes, false, filename, autoGenerateNavigation, {
+            scaleMode,
+            letterboxColor
+        });
+
+        await fs.mkdir(outDir, { recursive: true });
+
+        const htmlPath = path.join(outDir, filename);
+        await fs.writeFile(htmlPath, html, 'utf8');
+
+        if (imageAssets.length > 0) {
+            const imageDir = path.resolve(outDir, 'img');
+            await fs.mkdir(imageDir, { recursive: true });
+            for (const asset of imageAssets) {
+                const assetPath = path.resolve(outDir, asset.path);
+                if (path.dirname(assetPath) !== imageDir) {
+                    throw new Error(`Image asset ${asset.path} resolves outside ${imageDir}`);
+                }
+                await fs.writeFile(assetPath, Buffer.from(asset.base64, 'base64'));
+            }
+        }
+
+        const result = {
+            htmlPath: htmlPath,
+            rulesPath: null,
+            tokensPath: null,
+            videoFiles: this.documentBuilder.detectVideoFiles(extractedNodes),
+            imageFiles: this.documentBuilder.detectImageFiles(extractedNodes),
+            imageAssets: imageAssets.map(asset => path.join(outDir, asset.path)),
+            invalidImageKeys: this.invalidImageKeys,
+            missingImages: pass2Result.metadata.missingImages || [],
+            fontFiles: fonts.files,
+            unresolvedFonts: fonts.unresolved,
+            metadata: {
+                nodeCount: extractedNodes.length,
+                pass1Metadata: pass1Result.metadata,
+                pass2Metadata: pass2Result.metadata
+            }
+        };
+
+        // Pass 4: Generate rules
+        if (generateRules) {
+            const pass4Result = await this.ruleGenerationPass.process(extractedNodes, pass1Result, filename);
+            result.rulesPath = path.join(outDir, 'rules.json');
+            await fs.writeFile(result.rulesPath, JSON.stringify(pass4Result.ruleSet, null, 2), 'utf8');
+            result.metadata.pass4Metadata = pass4Result.metadata;
+        }
+
+        // Pass 5: Generate design tokens
+        if (generateTokens) {
+            const pass5Result = await this.designTokensPass.process(extractedNodes, {
+                styles: this.styles,
+                variables: this.variables,
+                usedVariableIds: this.documentBuilder.collectBoundVariableIds(extractedNodes)
+            });
+            result.tokensPath = path.join(outDir, 'tokens.json');
+            await fs.writeFile(result.tokensPath, JSON.stringify(pass5Result.tokens, null, 2), 'utf8');
+            result.metadata.pass5Metadata = pass5Result.metadata;
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Load a semantic tag mapping file
+ * Without an explicit path, config/tag-mapping.json is used when it exists,
+ * matching the mapping the plugin build injects.
+ * @param {string|null} mappingPath - Path from --tag-map
+ * @returns {Object|null} Tag mapping
+ */
+async function loadTagMapping(mappingPath) {
+    const resolvedPath = mappingPath
+        ? path.resolve(mappingPath)
+        : path.join(__dirname, '..', '..', 'config', 'tag-mapping.json');
+
+    let content;
+    try {
+        content = await fs.readFile(resolvedPath, 'utf8');
+    } catch (error) {
+        if (!mappingPath && error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Cannot read tag mapping ${resolvedPath}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${resolvedPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve the font folder or stylesheet to bundle fonts from
+ * Without an explicit path, the project's fonts/ folder is used when it exists.
+ * @param {string|null} fontsPath - Path from --fonts
+ * @returns {string|null} Absolute path, or null when there is nothing to bundle from
+ */
+async function resolveFontsPath(fontsPath) {
+    const resolvedPath = fontsPath
+        ? path.resolve(fontsPath)
+        : path.join(__dirname, '..', '..', 'fonts');
+
+    try {
+        await fs.stat(resolvedPath);
+    } catch (error) {
+        if (!fontsPath && error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Cannot read fonts ${resolvedPath}: ${error.message}`);
+    }
+    return resolvedPath;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments without the node binary and script path
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const args = {
+        input: null,
+        outDir: null,
+        wallName: null,
+        tagMap: null,
+        fonts: null,
+        bundleFonts: true,
+        scaleMode: 'none',
+        letterboxColor: '#000000',
+        autoGenerateNavigation: false,
+        generateRules: true,
+        generateTokens: false,
+        quiet: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--out':
+            case '-o':
+                args.outDir = argv[++i];
+                break;
+            case '--name':
+                args.wallName = argv[++i];
+                break;
+            case '--tag-map':
+                args.tagMap = argv[++i];
+                break;
+            case '--fonts':
+                args.fonts = argv[++i];
+                break;
+            case '--no-fonts':
+                args.bundleFonts = false;
+                break;
+            case '--scale':
+                args.scaleMode = argv[++i];
+                if (!['none', 'contain', 'cover', 'stretch', 'resize'].includes(args.scaleMode)) {
+                    throw new Error(`Unknown scale mode: ${args.scaleMode} (expected contain, cover, stretch or resize)`);
+                }
+                break;
+            case '--letterbox':
+                args.letterboxColor = argv[++i];
+                break;
+            case '--auto-navigation':
+                args.autoGenerateNavigation = true;
+                break;
+            case '--no-rules':
+                args.generateRules = false;
+                break;
+            case '--tokens':
+                args.generateTokens = true;
+                break;
+            case '--quiet':
+                args.quiet = true;
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.input = arg;
+        }
+    }
+
+    return args;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help || !args.input) {
+        console.log(USAGE);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    // The passes log every node; keep CI output readable when asked
+    const log = console.log;
+    if (args.quiet) {
+        console.log = () => {};
+    }
+
+    const tagMapping = await loadTagMapping(args.tagMap);
+    const fontsPath = args.bundleFonts ? await resolveFontsPath(args.fonts) : null;
+
+    const exporter = new HeadlessExporter({
+        outDir: path.resolve(args.outDir || path.join('dist', 'export')),
+        wallName: args.wallName,
+        autoGenerateNavigation: args.autoGenerateNavigation,
+        generateRules: args.generateRules,
+        generateTokens: args.generateTokens,
+        tagMapping: tagMapping,
+        fontsPath: fontsPath,
+        scaleMode: args.scaleMode,
+        letterboxColor: args.letterboxColor
+    });
+
+    const nodes = await exporter.loadNodes(path.resolve(args.input));
+    const result = await exporter.export(nodes);
+
+    console.log = log;
+    console.log(`✅ HTML written to ${result.htmlPath}`);
+    if (result.imageAssets.length > 0) {
+        console.log(`✅ ${result.imageAssets.length} image fill(s) written to ${path.join(path.dirname(result.htmlPath), 'img')}`);
+    }
+    if (result.invalidImageKeys.length > 0) {
+        console.log(`⚠️  Images skipped (snapshot keys are not image hashes): ${result.invalidImageKeys.map(key => JSON.stringify(key)).join(', ')}`);
+    }
+    if (result.missingImages.length > 0) {
+        console.log(`⚠️  Image fills not found in the snapshot (drawn without them): ${result.missingImages.join(', ')}`);
+    }
+    if (result.fontFiles.length > 0) {
+        console.log(`✅ ${result.fontFiles.length} font file(s) written to ${path.join(path.dirname(result.htmlPath), 'fonts')}`);
+    }
+    if (result.unresolvedFonts.length > 0) {
+        console.log(`⚠️  Fonts not found in ${fontsPath} (install them on the display machine): ${result.unresolvedFonts.join(', ')}`);
+    }
+    if (result.rulesPath) {
+        console.log(`✅ Rules written to ${result.rulesPath}`);
+    }
+    if (result.tokensPath) {
+        console.log(`✅ Design tokens written to ${result.tokensPath}`);
+    }
+
+    const mediaFiles = result.videoFiles.concat(result.imageFiles);
+    if (mediaFiles.length > 0) {
+        console.log(`ℹ️  Media referenced by the design (copy next to the HTML): ${mediaFiles.map(f => f.sourcePath).join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ Export failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { HeadlessExporter, parseArgs, loadTagMapping, resolveFontsPath };
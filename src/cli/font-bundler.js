@@ -0,0 +1,337 @@
+/**
+ * Font bundling for headless exports
+ *
+ * Collects every font family, weight and style used by the text in a node
+ * tree and resolves them against a local font folder (or its stylesheet.css).
+ * Matching fonts are copied into the export's fonts/ folder and declared with
+ * @font-face under the Figma family name, so the generated font-family rules
+ * work on display machines without the fonts installed. Styles that share a
+ * weight and style ("Book" and "Regular") are declared under their own family
+ * name ("CircularXX Book"), which Pass 2 puts first in font-family.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { mapFontStyleToWeight } = require('../passes/pass2-node-styles/extractors/typography-extractor');
+
+// Vendor suffixes of web font families ("CircularXXWeb"), most preferred first
+const FONT_FAMILY_SUFFIXES = ['', 'web', 'pro', 'std', 'tt', 'sub'];
+
+// Font file formats that can be bundled, most preferred first
+const FONT_FORMATS = ['woff2', 'woff'];
+
+/**
+ * Normalize a family or style name for matching
+ * @param {string} name - Font family or style name
+ * @returns {string} Lower-case letters and digits only
+ */
+function normalizeFontName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Describe a font style name ("Bold Italic") as a CSS weight and style
+ * @param {string} styleName - Figma style name or file name suffix
+ * @returns {Object} { weight, italic }
+ */
+function parseFontStyleName(styleName) {
+    const key = normalizeFontName(styleName);
+    return {
+        weight: mapFontStyleToWeight(styleName),
+        italic: key.includes('italic') || key.includes('oblique')
+    };
+}
+
+/**
+ * Collect the fonts used by the text in a node tree
+ * Styled text runs are included, so a bold word in a paragraph is bundled too.
+ * @param {Array} nodes - Extracted node data
+ * @returns {Array} Unique fonts ({ family, styleName, weight, italic })
+ */
+function collectUsedFonts(nodes) {
+    const fonts = new Map();
+
+    const addFont = (fontName, fontWeight) => {
+        if (!fontName || typeof fontName.family !== 'string') return;
+        const styleName = typeof fontName.style === 'string' ? fontName.style : 'Regular';
+        const parsed = parseFontStyleName(styleName);
+        const font = {
+            family: fontName.family,
+            styleName,
+            weight: typeof fontWeight === 'number' ? fontWeight : parsed.weight,
+            italic: parsed.italic
+        };
+        const key = `${normalizeFontName(font.family)}|${normalizeFontName(styleName)}`;
+        if (!fonts.has(key)) {
+            fonts.set(key, font);
+        }
+    };
+
+    const visit = node => {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'TEXT') {
+            addFont(node.fontName, node.fontWeight);
+            (node.textSegments || []).forEach(segment => addFont(segment.fontName, segment.fontWeight));
+        }
+        (node.children || []).forEach(visit);
+    };
+    (nodes || []).forEach(visit);
+
+    return Array.from(fonts.values());
+}
+
+/**
+ * Split a font file or face name ("CircularXXWeb-BoldItalic") into family and style
+ * @param {string} name - File name without extension, or a declared family
+ * @returns {Object} { family, styleName }
+ */
+function splitFontFaceName(name) {
+    const index = name.lastIndexOf('-');
+    if (index <= 0) {
+        return { family: name, styleName: 'Regular' };
+    }
+    return { family: name.slice(0, index), styleName: name.slice(index + 1) };
+}
+
+/**
+ * Parse the @font-face rules of a font stylesheet
+ * Faces without font-weight are described by their family name, the way
+ * foundry kits declare one family per style ("CircularXXWeb-Bold").
+ * @param {string} css - Stylesheet text
+ * @param {string} baseDir - Directory the url()s are relative to
+ * @returns {Array} Font faces ({ family, styleName, weight, italic, file, format })
+ */
+function parseFontStylesheet(css, baseDir) {
+    const faces = [];
+    const blocks = css.replace(/\/\*[\s\S]*?\*\//g, '').match(/@font-face\s*{[^}]*}/g) || [];
+
+    blocks.forEach(block => {
+        const familyMatch = block.match(/font-family\s*:\s*["']?([^;"']+)["']?\s*;/);
+        if (!familyMatch) return;
+
+        const weightMatch = block.match(/font-weight\s*:\s*(\d+)/);
+        const styleMatch = block.match(/font-style\s*:\s*(italic|oblique)/);
+        const declared = familyMatch[1].trim();
+        const described = weightMatch ? { family: declared, styleName: '' } : splitFontFaceName(declared);
+        const parsed = parseFontStyleName(described.styleName);
+
+        const urlPattern = /url\(\s*["']?([^"')]+)["']?\s*\)/g;
+        let urlMatch;
+        while ((urlMatch = urlPattern.exec(block)) !== null) {
+            const format = path.extname(urlMatch[1]).slice(1).toLowerCase();
+            if (!FONT_FORMATS.includes(format)) continue;
+            faces.push({
+                family: described.family,
+                styleName: described.styleName,
+                weight: weightMatch ? parseInt(weightMatch[1], 10) : parsed.weight,
+                italic: styleMatch ? true : parsed.italic,
+                file: path.resolve(baseDir, urlMatch[1]),
+                format
+            });
+        }
+    });
+
+    return faces;
+}
+
+/**
+ * Describe the font files of a directory as font faces
+ * @param {string} dir - Font directory
+ * @returns {Array} Font faces ({ family, styleName, weight, italic, file, format })
+ */
+async function scanFontDirectory(dir) {
+    const files = await fs.readdir(dir);
+    return files
+        .filter(file => FONT_FORMATS.includes(path.extname(file).slice(1).toLowerCase()))
+        .map(file => {
+            const format = path.extname(file).slice(1).toLowerCase();
+            const described = splitFontFaceName(path.basename(file, path.extname(file)));
+            return Object.assign({
+                family: described.family,
+                styleName: described.styleName,
+                file: path.join(dir, file),
+                format
+            }, parseFontStyleName(described.styleName));
+        });
+}
+
+/**
+ * Load the font faces available from a font directory or stylesheet
+ * A directory's stylesheet.css is used when it has one; otherwise every
+ * woff2/woff file in the directory is a face.
+ * @param {string} fontsPath - Font directory or .css file
+ * @returns {Array} Font faces
+ */
+async function loadFontFaces(fontsPath) {
+    const stat = await fs.stat(fontsPath);
+    if (stat.isFile()) {
+        return parseFontStylesheet(await fs.readFile(fontsPath, 'utf8'), path.dirname(fontsPath));
+    }
+
+    const stylesheet = path.join(fontsPath, 'stylesheet.css');
+    try {
+        const faces = parseFontStylesheet(await fs.readFile(stylesheet, 'utf8'), fontsPath);
+        if (faces.length > 0) {
+            return faces;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    return scanFontDirectory(fontsPath);
+}
+
+/**
+ * Rank how well a face's family matches a Figma family
+ * @param {string} faceFamily - Family of the font face
+ * @param {string} family - Figma family
+ * @returns {number} Rank (lower is better), or -1 when the family does not match
+ */
+function getFamilyMatchRank(faceFamily, family) {
+    const face = normalizeFontName(faceFamily);
+    const wanted = normalizeFontName(family);
+    if (!wanted || !face.startsWith(wanted)) {
+        return -1;
+    }
+    const suffix = face.slice(wanted.length);
+    const rank = FONT_FAMILY_SUFFIXES.indexOf(suffix);
+    return rank >= 0 ? rank : FONT_FAMILY_SUFFIXES.length;
+}
+
+/**
+ * Find the font file for a used font
+ * The family must match (allowing vendor suffixes such as "Web"); the style
+ * name is matched exactly when possible ("Book" and "Regular" are both 400),
+ * then by weight and italics. woff2 wins over woff.
+ * @param {Object} font - Used font ({ family, styleName, weight, italic })
+ * @param {Array} faces - Available font faces
+ * @returns {Object|null} Matching face, or null
+ */
+function findFontFace(font, faces) {
+    const candidates = faces
+        .map(face => ({ face, familyRank: getFamilyMatchRank(face.family, font.family) }))
+        .filter(candidate => candidate.familyRank >= 0 && candidate.face.italic === font.italic);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const styleName = normalizeFontName(font.styleName);
+    const score = ({ face, familyRank }) => [
+        normalizeFontName(face.styleName) === styleName ? 0 : 1,
+        Math.abs(face.weight - font.weight),
+        familyRank,
+        FONT_FORMATS.indexOf(face.format)
+    ];
+    candidates.sort((a, b) => {
+        const scoreA = score(a);
+        const scoreB = score(b);
+        for (let i = 0; i < scoreA.length; i++) {
+            if (scoreA[i] !== scoreB[i]) return scoreA[i] - scoreB[i];
+        }
+        return 0;
+    });
+
+    const best = candidates[0];
+    // Only the same style name or weight counts; a lighter or bolder face
+    // would silently change the design
+    if (normalizeFontName(best.face.styleName) !== styleName && best.face.weight !== font.weight) {
+        return null;
+    }
+    return best.face;
+}
+
+/**
+ * Name the family each resolved font is declared under
+ * @font-face rules of one family are told apart by weight and style only, so
+ * styles that collide there are each declared under "<family> <style>".
+ * @param {Array} resolved - Resolved fonts ({ font, face, url })
+ * @returns {Array} Resolved fonts with cssFamily set
+ */
+function assignFontFamilies(resolved) {
+    const getFaceKey = font => `${normalizeFontName(font.family)}|${font.weight}|${font.italic}`;
+    const counts = new Map();
+    resolved.forEach(({ font }) => {
+        const key = getFaceKey(font);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return resolved.map(entry => {
+        const collides = counts.get(getFaceKey(entry.font)) > 1;
+        const cssFamily = collides ? `${entry.font.family} ${entry.font.styleName}` : entry.font.family;
+        return Object.assign({}, entry, { cssFamily });
+    });
+}
+
+/**
+ * Generate the @font-face rules for resolved fonts
+ * @param {Array} resolved - Resolved fonts ({ font, face, url, cssFamily })
+ * @returns {string} CSS text ('' without fonts)
+ */
+function generateFontFaceCSS(resolved) {
+    return resolved.map(({ font, face, url, cssFamily }) =>
+        `@font-face {\n` +
+        `  font-family: "${cssFamily || font.family}";\n` +
+        `  src: url("${url}") format("${face.format}");\n` +
+        `  font-weight: ${font.weight};\n` +
+        `  font-style: ${font.italic ? 'italic' : 'normal'};\n` +
+        `  font-display: block;\n` +
+        `}\n\n`
+    ).join('');
+}
+
+/**
+ * Resolve the fonts of a node tree, copy them into the export and declare them
+ * @param {Array} nodes - Extracted node data
+ * @param {Object} options - Bundling options
+ * @param {string} options.fontsPath - Font directory or stylesheet
+ * @param {string} options.outDir - Export directory (files go to <outDir>/fonts)
+ * @returns {Object} { css, files, unresolved, families } where unresolved lists "Family Style"
+ * names and families maps Figma family and style to the declared family ({ [family]: { [style]: name } })
+ */
+async function bundleFonts(nodes, options) {
+    const fonts = collectUsedFonts(nodes);
+    const result = { css: '', files: [], unresolved: [], families: {} };
+    if (fonts.length === 0) {
+        return result;
+    }
+
+    const faces = await loadFontFaces(options.fontsPath);
+    const resolved = [];
+    fonts.forEach(font => {
+        const face = findFontFace(font, faces);
+        if (face) {
+            resolved.push({ font, face, url: `fonts/${path.basename(face.file)}` });
+        } else {
+            result.unresolved.push(`${font.family} ${font.styleName}`);
+        }
+    });
+
+    if (resolved.length > 0) {
+        const fontsDir = path.join(options.outDir, 'fonts');
+        await fs.mkdir(fontsDir, { recursive: true });
+        for (const { face } of resolved) {
+            const target = path.join(fontsDir, path.basename(face.file));
+            if (!result.files.includes(target)) {
+                await fs.copyFile(face.file, target);
+                result.files.push(target);
+            }
+        }
+    }
+
+    const declared = assignFontFamilies(resolved);
+    declared.forEach(({ font, cssFamily }) => {
+        result.families[font.family] = result.families[font.family] || {};
+        result.families[font.family][font.styleName] = cssFamily;
+    });
+    result.css = generateFontFaceCSS(declared);
+    return result;
+}
+
+module.exports = {
+    collectUsedFonts,
+    parseFontStylesheet,
+    loadFontFaces,
+    findFontFace,
+    assignFontFamilies,
+    generateFontFaceCSS,
+    bundleFonts
+};
@@ -6,9 +6,27 @@
  * nested instance topology support.
  */
 
+const { getMaskingLayer } = require('./pass2-node-styles/generators/mask-generator');
+const { isExportedNode } = require('./pass2-node-styles/utils/export-utils');
+
 class NodeStructurePass {
-    constructor() {
+    /**
+     * @param {Object} options - Pass options
+     * @param {Object} options.tagMapping - Project tag mapping ({ prefixes, names, types }), see config/tag-mapping.json.example
+     */
+    constructor(options = {}) {
         this.processedNodes = new Set();
+        this.tagMapping = options.tagMapping || null;
+        // Vector shapes by symbol key (see registerSVGSymbol)
+        this.svgSymbols = new Map();
+        // Depth of open phrasing-only elements (button, a, headings...) while rendering
+        this.phrasingDepth = 0;
+        // Depth of open links; links cannot be nested, so inner link reactions are dropped
+        this.linkDepth = 0;
+        // Prototype routes ({ ids, initialId }) when top-level frames navigate to each other
+        this.routes = null;
+        // Ids of top-level frames opened as overlays
+        this.overlays = new Set();
     }
 
     /**
@@ -133,11 +151,23 @@ class NodeStructurePass {
     /**
      * Process nodes and recreate their structure in HTML
      * @param {Array} nodes - Array of Figma nodes
+     * @param {Object} options - Optional settings
+     * @param {Array} options.flowStartingPoints - Prototype flows of the page ({ nodeId, name })
      * @returns {Object} Result with HTML structure
      */
-    async process(nodes) {
+    async process(nodes, options = {}) {
         
         this.processedNodes.clear();
+        this.phrasingDepth = 0;
+        this.linkDepth = 0;
+        this.svgSymbols.clear();
+
+        // Top-level frames opened as overlays, and frames that navigate to each other as hash routes
+        this.overlays = this.getPrototypeOverlays(nodes);
+        this.routes = this.getPrototypeRoutes(nodes, options.flowStartingPoints);
+
+        // Count repeated vector shapes first, so they can share one symbol
+        this.collectSVGSymbols(nodes);
         
         const result = {
             html: '',
@@ -147,6 +177,13 @@ class NodeStructurePass {
                 hierarchy: []
             }
         };
+        if (this.routes) {
+            result.metadata.routes = Array.from(this.routes.ids);
+            result.metadata.initialRoute = this.routes.initialId;
+        }
+        if (this.overlays.size > 0) {
+            result.metadata.overlays = Array.from(this.overlays);
+        }
 
         // Process each root node
         for (let i = 0; i < nodes.length; i++) {
@@ -158,6 +195,9 @@ class NodeStructurePass {
             }
         }
 
+        // The sprite goes first so every <use> refers to a symbol defined before it
+        result.html = this.generateSVGSprite() + result.html;
+
         return result;
     }
 
@@ -175,10 +215,29 @@ class NodeStructurePass {
         this.processedNodes.add(node.id);
         
         const indent = '  '.repeat(depth);
-        const tag = this.getHTMLTag(node.type);
+        const semanticTag = this.getSemanticTag(node);
+        // Mapped images keep their rendered content, so they stay containers with role="img"
+        let tag = semanticTag === 'img' && node.type !== 'IMAGE' ? 'div' : semanticTag;
         const className = this.sanitizeClassName(node.name, node.type);
         
-        let html = `${indent}<${tag} class="${className}" data-figma-id="${node.id}" data-figma-type="${node.type}"`;
+        // "Open link" reactions: generic boxes, text and empty elements become the
+        // link, SVG links its shapes and other elements (headings, lists...) keep
+        // their tag and get a link covering their box
+        const link = this.linkDepth === 0 ? this.getLinkAction(node) : null;
+        const isLinkTag = !!link && (this.isLinkableTag(semanticTag) || this.isSelfClosingTag(tag));
+        const isLinkCover = !!link && !isLinkTag && tag !== 'svg';
+        if (isLinkTag) {
+            tag = 'a';
+        }
+        
+        let html = indent;
+        html += `<${tag} class="${className}" data-figma-id="${node.id}" data-figma-type="${node.type}"`;
+        
+        // Accessibility attributes for semantic tags
+        html += isLinkTag ? this.getLinkAttributes(link) + ' data-figma-link="true"' : this.getSemanticAttributes(node, semanticTag);
+        if (isLinkCover) {
+            html += ' data-figma-linked="true"';
+        }
         
         // Add variant switching attributes
         if (node.type === 'COMPONENT_SET') {
@@ -191,6 +250,22 @@ class NodeStructurePass {
             }
         }
         
+        // Top-level frames are prototype routes (only the current one is shown) or overlays
+        if (!parent && this.routes && this.routes.ids.has(node.id)) {
+            html += ` data-figma-route="${node.id}"`;
+            if (node.id === this.routes.initialId) {
+                html += ' data-route-active="true"';
+            }
+        } else if (!parent && this.overlays.has(node.id)) {
+            html += this.getOverlayAttributes(node);
+        }
+        
+        // Prototype navigation between routes and overlays (handled by the PrototypeRouter runtime)
+        const navigation = this.getNavigationAction(node);
+        if (navigation) {
+            html += this.getNavigationAttributes(navigation);
+        }
+        
         // Add variant trigger attributes for interactive elements
         const variantTrigger = this.getVariantTrigger(node, parent);
         if (variantTrigger) {
@@ -250,22 +325,49 @@ class NodeStructurePass {
             }
         }
         
+        // Layers exported with exportAsync replace their content with the export
+        const isExported = isExportedNode(node);
+        if (isExported) {
+            html += ' data-figma-export="' + (node.exportedSVG ? 'svg' : 'png') + '"';
+        }
+        
+        // Mask layers and the siblings they mask (styled by Pass 2)
+        if (node.isMask && node.visible !== false) {
+            html += ' data-figma-mask="' + String(node.maskType || 'ALPHA').toLowerCase() + '" aria-hidden="true"';
+        } else {
+            const maskLayer = getMaskingLayer(node, parent);
+            if (maskLayer) {
+                html += ' data-figma-masked-by="' + maskLayer.id + '"';
+            }
+        }
+        
         // Add SVG-specific attributes for vector nodes
-        if (this.isVectorNode(node.type)) {
+        if (this.isVectorNode(node.type) && !isExported) {
             html += ' width="' + String(node.width || 0) + '" height="' + String(node.height || 0) + '" viewBox="0 0 ' + String(node.width || 0) + ' ' + String(node.height || 0) + '" fill="none" xmlns="http://www.w3.org/2000/svg"';
         }
         
         html += '>';
+        if (link) this.linkDepth++;
+        if (link && tag === 'svg') {
+            html += `<a${this.getLinkAttributes(link)}>`;
+        }
+        
+        // Add the exported SVG or image of exported layers
+        if (isExported) {
+            html += this.generateExportedContent(node);
+        }
         
-        // Add text content for text nodes
-        if (node.type === 'TEXT' && node.characters) {
-            html += this.escapeHTML(node.characters);
+        // Add text content for text nodes (exported text is part of the export)
+        if (node.type === 'TEXT' && !isExported && Array.isArray(node.textSegments) && node.textSegments.length > 0) {
+            html += this.generateRichTextContent(node.textSegments);
+        } else if (node.type === 'TEXT' && !isExported && node.characters) {
+            html += this.escapeTextWithBreaks(node.characters);
         }
         
         // Add SVG path content for vector nodes
-        if (this.isVectorNode(node.type)) {
+        if (this.isVectorNode(node.type) && !isExported) {
             
-            const svgPath = this.generateSVGPath(node);
+            const svgPath = this.generateSVGContent(node);
             if (svgPath) {
                 html += svgPath;
             } else {
@@ -296,8 +398,12 @@ class NodeStructurePass {
             }
         }
         
-        // Process children for all nodes (including instances)
-        if (node.children && Array.isArray(node.children)) {
+        // Process children for all nodes (including instances); the operands of a
+        // boolean operation are already part of its combined path and the children
+        // of an exported layer are part of its export
+        if (node.children && Array.isArray(node.children) && node.type !== 'BOOLEAN_OPERATION' && !isExported) {
+            const isPhrasingContainer = this.isPhrasingOnlyTag(tag);
+            if (isPhrasingContainer) this.phrasingDepth++;
             html += '\n';
             for (let i = 0; i < node.children.length; i++) {
                 const childHTML = this.processNode(node.children[i], depth + 1, node);
@@ -309,7 +415,16 @@ class NodeStructurePass {
                 }
             }
             html += `\n${indent}`;
+            if (isPhrasingContainer) this.phrasingDepth--;
+        }
+        
+        // Close the SVG link or add the covering link (last, so it is on top)
+        if (link && tag === 'svg') {
+            html += '</a>';
+        } else if (isLinkCover) {
+            html += `<a${this.getLinkAttributes(link)} data-figma-link-cover="true" aria-label="${this.escapeHTML(this.getLinkLabel(node))}"></a>`;
         }
+        if (link) this.linkDepth--;
         
         // Close tag
         if (!this.isSelfClosingTag(tag)) {
@@ -320,6 +435,208 @@ class NodeStructurePass {
     }
 
 
+    /**
+     * Get the HTML tag for a node, honoring semantic layer-name prefixes
+     * (e.g. "[H1] Title", "[BUTTON] Submit") and the project tag mapping
+     * Priority: layer-name prefix, exact layer name, node type mapping, default tag.
+     * @param {Object} node - Figma node
+     * @returns {string} HTML tag name
+     */
+    getSemanticTag(node) {
+        // Exported layers are a plain box around their SVG or image
+        if (isExportedNode(node)) {
+            return this.phrasingDepth > 0 ? 'span' : 'div';
+        }
+
+        const defaultTag = this.getHTMLTag(node.type);
+
+        // Vector content is SVG markup and media frames have their own containers
+        if (this.isVectorNode(node.type) || this.isVideoFrame(node) || this.isLottieFrame(node) || this.isImageFrame(node)) {
+            return defaultTag;
+        }
+
+        const mapping = this.tagMapping || {};
+        let tag = null;
+
+        const prefix = this.getSemanticPrefix(node.name);
+        if (prefix) {
+            const customPrefixes = mapping.prefixes || {};
+            tag = customPrefixes[prefix] || customPrefixes[prefix.toLowerCase()] || this.getBuiltInSemanticTag(prefix);
+        }
+        if (!tag && mapping.names && typeof node.name === 'string') {
+            tag = mapping.names[node.name] || null;
+        }
+        if (!tag && mapping.types) {
+            tag = mapping.types[node.type] || null;
+        }
+
+        tag = this.isValidTagName(tag) ? tag.toLowerCase() : defaultTag;
+
+        // Text with lists needs a block container (<ul>/<ol> cannot live inside <p> or headings)
+        if (node.type === 'TEXT' && this.hasTextList(node) && this.isPhrasingOnlyTag(tag)) {
+            return 'div';
+        }
+
+        // Plain text inside a button, link or heading must not open a paragraph
+        if (tag === 'p' && this.phrasingDepth > 0) {
+            return 'span';
+        }
+
+        return tag;
+    }
+
+    /**
+     * Get the URL a node opens when clicked (prototype "Open link" action)
+     * @param {Object} node - Figma node
+     * @returns {Object|null} { url, openInNewTab }, or null
+     */
+    getLinkAction(node) {
+        if (!Array.isArray(node.reactions)) return null;
+        const reaction = node.reactions.find(reaction => reaction && reaction.trigger &&
+            (reaction.trigger.type === 'ON_CLICK' || reaction.trigger.type === 'ON_PRESS') &&
+            reaction.action && reaction.action.type === 'URL' &&
+            this.isAllowedLinkURL(reaction.action.url));
+        if (!reaction) return null;
+        return {
+            url: reaction.action.url.trim(),
+            // Figma opens links in a new tab unless the option is turned off
+            openInNewTab: reaction.action.openInNewTab !== false
+        };
+    }
+
+    /**
+     * Check whether a URL may become a live href
+     * Only web, mail and phone links and relative URLs are allowed, so a
+     * javascript: or data: URL in a design never runs in the export.
+     * @param {string} url - Link URL
+     * @returns {boolean} True for http(s), mailto, tel and relative URLs
+     */
+    isAllowedLinkURL(url) {
+        if (typeof url !== 'string' || url.trim() === '') return false;
+        // Browsers ignore control characters and spaces in the scheme ("java\tscript:")
+        const scheme = url.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Get the accessible name of the link covering a layer
+     * @param {Object} node - Figma node
+     * @returns {string} Text of text layers, otherwise the layer name
+     */
+    getLinkLabel(node) {
+        if (node.type === 'TEXT' && typeof node.characters === 'string' && node.characters.trim() !== '') {
+            return node.characters.trim();
+        }
+        return this.getAccessibleName(node);
+    }
+
+    /**
+     * Check whether an element can be turned into a link in place
+     * @param {string} tag - Semantic tag of the node
+     * @returns {boolean} True for generic boxes, text, buttons and links
+     */
+    isLinkableTag(tag) {
+        return ['div', 'span', 'p', 'button', 'a'].includes(tag);
+    }
+
+    /**
+     * Get the href and target attributes of a link
+     * @param {Object} link - { url, openInNewTab }
+     * @returns {string} Attribute string (with leading space)
+     */
+    getLinkAttributes(link) {
+        const target = link.openInNewTab ? ' target="_blank" rel="noopener"' : '';
+        return ` href="${this.escapeHTML(link.url)}"${target}`;
+    }
+
+    /**
+     * Check whether a tag may only contain phrasing content
+     * @param {string} tag - HTML tag
+     * @returns {boolean} True for p, headings, span, a, button and label
+     */
+    isPhrasingOnlyTag(tag) {
+        return /^(p|h[1-6]|span|a|button|label)$/.test(tag);
+    }
+
+    /**
+     * Get the semantic prefix of a layer name ("[H1] Title" -> "H1")
+     * @param {string} name - Layer name
+     * @returns {string|null} Prefix without brackets, or null
+     */
+    getSemanticPrefix(name) {
+        if (typeof name !== 'string') return null;
+        const match = name.match(/^\[([A-Za-z][A-Za-z0-9-]*)\]/);
+        return match ? match[1].toUpperCase() : null;
+    }
+
+    /**
+     * Map a built-in layer-name prefix to an HTML tag
+     * @param {string} prefix - Upper-case prefix
+     * @returns {string|null} HTML tag, or null for unknown prefixes
+     */
+    getBuiltInSemanticTag(prefix) {
+        const builtInTags = {
+            'H1': 'h1', 'H2': 'h2', 'H3': 'h3', 'H4': 'h4', 'H5': 'h5', 'H6': 'h6',
+            'P': 'p',
+            'BUTTON': 'button',
+            'A': 'a',
+            'LINK': 'a',
+            'NAV': 'nav',
+            'SECTION': 'section',
+            'HEADER': 'header',
+            'FOOTER': 'footer',
+            'MAIN': 'main',
+            'ARTICLE': 'article',
+            'ASIDE': 'aside',
+            'UL': 'ul',
+            'OL': 'ol',
+            'LI': 'li',
+            'FIGURE': 'figure',
+            'LABEL': 'label',
+            'IMAGE': 'img'
+        };
+        return builtInTags[prefix] || null;
+    }
+
+    /**
+     * Check a mapped tag name before writing it into the markup
+     * @param {string} tag - Tag name
+     * @returns {boolean} True if the tag is a plain element name
+     */
+    isValidTagName(tag) {
+        return typeof tag === 'string' && /^[a-zA-Z][a-zA-Z0-9-]*$/.test(tag);
+    }
+
+    /**
+     * Get accessibility attributes for a semantic tag
+     * @param {Object} node - Figma node
+     * @param {string} tag - Resolved HTML tag
+     * @returns {string} Attribute string (with leading space) or ''
+     */
+    getSemanticAttributes(node, tag) {
+        const label = this.escapeHTML(this.getAccessibleName(node));
+        switch (tag) {
+            case 'button':
+                return ' type="button"';
+            case 'nav':
+                return ` aria-label="${label}"`;
+            case 'img':
+                return ` role="img" aria-label="${label}"`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Get the accessible name of a node (layer name without its prefix)
+     * @param {Object} node - Figma node
+     * @returns {string} Accessible name
+     */
+    getAccessibleName(node) {
+        if (typeof node.name !== 'string') return '';
+        return node.name.replace(/^\[[^\]]*\]\s*/, '').trim();
+    }
+
     /**
      * Get appropriate HTML tag for Figma node type
      * @param {string} nodeType - Figma node type
@@ -337,7 +654,8 @@ class NodeStructurePass {
                 return 'div';
             case 'VECTOR':
             case 'ELLIPSE':
-                return 'svg'; // Only complex vectors and ellipses become SVG elements
+            case 'BOOLEAN_OPERATION':
+                return 'svg'; // Only complex vectors, ellipses and boolean groups become SVG elements
             case 'RECTANGLE':
             case 'STAR':
             case 'POLYGON':
@@ -393,13 +711,261 @@ class NodeStructurePass {
             .replace(/'/g, '&#39;');
     }
 
+    /**
+     * Escape text and keep hard line breaks (newline and Figma's line separator)
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text with <br> line breaks
+     */
+    escapeTextWithBreaks(text) {
+        return this.escapeHTML(text).replace(/\r?\n|\u2028/g, '<br>');
+    }
+
+    /**
+     * Check if a text node contains bulleted or numbered paragraphs
+     * @param {Object} node - TEXT node
+     * @returns {boolean} True if any segment is part of a list
+     */
+    hasTextList(node) {
+        return Array.isArray(node.textSegments) && node.textSegments.some(segment =>
+            segment.listOptions && (segment.listOptions.type === 'ORDERED' || segment.listOptions.type === 'UNORDERED')
+        );
+    }
+
+    /**
+     * Generate rich text HTML from styled text segments
+     * Each segment becomes a run (<span>, or <a> for links) tagged with
+     * data-text-run so Pass 2 can style it; list paragraphs become <ul>/<ol>.
+     * @param {Array} segments - Styled text segments
+     * @returns {string} HTML for the text content
+     */
+    generateRichTextContent(segments) {
+        // Split segments into paragraphs at hard line breaks
+        const paragraphs = [];
+        let current = { listType: null, runs: [] };
+        const getListType = (segment) => {
+            const listType = segment.listOptions ? segment.listOptions.type : 'NONE';
+            return listType === 'ORDERED' || listType === 'UNORDERED' ? listType : '';
+        };
+        segments.forEach((segment, index) => {
+            const lines = (segment.characters || '').split('\n');
+            lines.forEach((line, lineIndex) => {
+                // A paragraph belongs to the segment holding its first character,
+                // or its line break when it is empty
+                if (lineIndex > 0) {
+                    if (current.listType === null) {
+                        current.listType = getListType(segment);
+                    }
+                    paragraphs.push(current);
+                    current = { listType: null, runs: [] };
+                }
+                if (line) {
+                    if (current.listType === null) {
+                        current.listType = getListType(segment);
+                    }
+                    current.runs.push(this.generateTextRun(line, index, segment.hyperlink));
+                }
+            });
+        });
+        paragraphs.push(current);
+
+        let html = '';
+        let i = 0;
+        while (i < paragraphs.length) {
+            const listType = paragraphs[i].listType;
+            if (listType) {
+                const listTag = listType === 'ORDERED' ? 'ol' : 'ul';
+                html += `<${listTag}>`;
+                while (i < paragraphs.length && paragraphs[i].listType === listType) {
+                    html += `<li>${paragraphs[i].runs.join('')}</li>`;
+                    i++;
+                }
+                html += `</${listTag}>`;
+            } else {
+                // Lists already break lines; plain paragraphs need an explicit break
+                if (i > 0 && !paragraphs[i - 1].listType) {
+                    html += '<br>';
+                }
+                html += paragraphs[i].runs.join('');
+                i++;
+            }
+        }
+
+        return html;
+    }
+
+    /**
+     * Generate a single text run
+     * @param {string} text - Run text (without hard line breaks)
+     * @param {number} index - Segment index (matches Pass 2 run selectors)
+     * @param {Object} hyperlink - Figma hyperlink ({ type, value }), if any
+     * @returns {string} HTML for the run
+     */
+    generateTextRun(text, index, hyperlink) {
+        const content = this.escapeTextWithBreaks(text);
+        // Inside a linked layer the run stays plain text (links cannot be nested)
+        if (hyperlink && hyperlink.type === 'URL' && this.isAllowedLinkURL(hyperlink.value) && this.linkDepth === 0) {
+            return `<a data-text-run="${index}" href="${this.escapeHTML(hyperlink.value)}" target="_blank" rel="noopener">${content}</a>`;
+        }
+        if (hyperlink && hyperlink.type === 'NODE' && hyperlink.value) {
+            return `<span data-text-run="${index}" data-link-node="${this.escapeHTML(hyperlink.value)}">${content}</span>`;
+        }
+        return `<span data-text-run="${index}">${content}</span>`;
+    }
+
     /**
      * Check if node type is a vector type
      * @param {string} nodeType - Node type
      * @returns {boolean} True if vector type
      */
     isVectorNode(nodeType) {
-        return ['VECTOR', 'ELLIPSE'].includes(nodeType);
+        return ['VECTOR', 'ELLIPSE', 'BOOLEAN_OPERATION'].includes(nodeType);
+    }
+
+    /**
+     * Generate the content of an exported layer
+     * Inline SVGs get their ids prefixed with the node id, so gradients, filters
+     * and clip paths of different exports do not collide in one document.
+     * @param {Object} node - Node with exportedSVG or exportedImage
+     * @returns {string} SVG markup or <img> element
+     */
+    generateExportedContent(node) {
+        if (node.exportedSVG) {
+            const prefix = `export-${String(node.id).replace(/[^A-Za-z0-9_-]/g, '-')}-`;
+            return String(node.exportedSVG)
+                .replace(/<\?xml[^>]*\?>\s*/, '')
+                .replace(/\bid="([^"]+)"/g, (match, id) => `id="${prefix}${id}"`)
+                .replace(/url\(#([^)]+)\)/g, (match, id) => `url(#${prefix}${id})`)
+                .replace(/\b(xlink:href|href)="#([^"]+)"/g, (match, attribute, id) => `${attribute}="#${prefix}${id}"`)
+                .replace(/<svg\b/, '<svg class="figma-export" aria-hidden="true"')
+                .trim();
+        }
+
+        return `<img class="figma-export" src="${this.escapeHTML(node.exportedImage.path)}" alt="${this.escapeHTML(this.getAccessibleName(node))}">`;
+    }
+
+    /**
+     * Get the SVG fill-rule of one of a vector's paths
+     * Figma stores a winding rule per path; boolean groups without one fall back
+     * to the rule their operation produces.
+     * @param {Object} node - Vector or boolean operation node
+     * @param {number} index - Index of the path in fillGeometry (or vectorPaths)
+     * @returns {string} 'evenodd' or 'nonzero'
+     */
+    getSVGFillRule(node, index) {
+        const geometry = Array.isArray(node.fillGeometry) && node.fillGeometry.length > 0
+            ? node.fillGeometry
+            : (node.vectorPaths || []);
+        const windingRule = geometry[index] && geometry[index].windingRule;
+        if (windingRule === 'EVENODD') {
+            return 'evenodd';
+        }
+        if (!windingRule && node.booleanOperation === 'EXCLUDE') {
+            return 'evenodd';
+        }
+        return 'nonzero';
+    }
+
+    /**
+     * Collect the vector shapes of a tree and count how often each one is used
+     * @param {Array} nodes - Figma nodes
+     */
+    collectSVGSymbols(nodes) {
+        (nodes || []).forEach(node => {
+            if (!node) return;
+            if (isExportedNode(node)) return;
+
+            if (this.isVectorNode(node.type)) {
+                const svgPath = this.generateSVGPath(node);
+                if (svgPath) {
+                    this.registerSVGSymbol(node, svgPath).count++;
+                }
+            }
+            // Boolean group operands are drawn by the group itself
+            if (node.type !== 'BOOLEAN_OPERATION' && Array.isArray(node.children)) {
+                this.collectSVGSymbols(node.children);
+            }
+        });
+    }
+
+    /**
+     * Get the shared symbol of a vector shape, adding it on first sight
+     * Shapes are identical when their size and SVG content match, with the
+     * solid fill left out (it is painted in currentColor, so each instance
+     * sets its own color) and node ids in gradient and clip ids ignored.
+     * @param {Object} node - Vector, boolean operation or ellipse node
+     * @param {string} svgPath - SVG content from generateSVGPath
+     * @returns {Object} Symbol ({ id, content, width, height, count, used })
+     */
+    registerSVGSymbol(node, svgPath) {
+        const { fillValue } = this.processSVGFills(node);
+        const content = fillValue.startsWith('rgba(')
+            ? svgPath.split(` fill="${fillValue}"`).join('')
+            : svgPath;
+        const key = `${node.width}x${node.height}|${content.split(node.id.replace(/[:.]/g, '-')).join('{id}')}`;
+
+        let symbol = this.svgSymbols.get(key);
+        if (!symbol) {
+            // Ids are derived from the shape, so they stay stable across exports
+            let id = `figma-symbol-${this.hashString(key)}`;
+            while (Array.from(this.svgSymbols.values()).some(existing => existing.id === id)) {
+                id += '-';
+            }
+            symbol = { id, content, width: node.width || 0, height: node.height || 0, count: 0, used: false };
+            this.svgSymbols.set(key, symbol);
+        }
+        return symbol;
+    }
+
+    /**
+     * Hash a string (32-bit FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {string} Hash in base 36
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Generate the content of a vector node's <svg>
+     * Shapes used more than once are drawn from the sprite with <use>; its
+     * fill is currentColor, which Pass 2 sets from the node's solid fill.
+     * @param {Object} node - Vector, boolean operation or ellipse node
+     * @returns {string} SVG content
+     */
+    generateSVGContent(node) {
+        const svgPath = this.generateSVGPath(node);
+        if (!svgPath) {
+            return svgPath;
+        }
+
+        const symbol = this.registerSVGSymbol(node, svgPath);
+        if (symbol.count < 2) {
+            return svgPath;
+        }
+        symbol.used = true;
+        return `<use href="#${symbol.id}" fill="currentColor" />`;
+    }
+
+    /**
+     * Generate the hidden sprite holding the shared vector symbols
+     * @returns {string} SVG sprite ('' when no shape is repeated)
+     */
+    generateSVGSprite() {
+        const symbols = Array.from(this.svgSymbols.values()).filter(symbol => symbol.used);
+        if (symbols.length === 0) {
+            return '';
+        }
+
+        // Strokes may reach past the shape's box, like on the inline <svg>
+        const content = symbols.map(symbol =>
+            `<symbol id="${symbol.id}" viewBox="0 0 ${symbol.width} ${symbol.height}" overflow="visible">${symbol.content}</symbol>`
+        ).join('');
+        return `<svg class="figma-symbols" aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden;" xmlns="http://www.w3.org/2000/svg">${content}</svg>`;
     }
 
     /**
@@ -413,31 +979,41 @@ class NodeStructurePass {
             const { fillValue, gradientDefs } = this.processSVGFills(node);
             
             let pathElements = '';
+            // Stroked shapes without visible fills draw the stroke only
+            const hasFills = Array.isArray(node.fills) && node.fills.some(fill => fill && fill.visible !== false);
             
             // Add gradient definitions if any
             if (gradientDefs) {
                 pathElements += `<defs>${gradientDefs}</defs>`;
             }
             
-            if (node.type === 'VECTOR') {
-                // Extract actual vector path data
+            if (node.type === 'VECTOR' || node.type === 'BOOLEAN_OPERATION') {
+                // Extract actual vector path data (a boolean group's fillGeometry is
+                // the combined result of its operands)
                 const pathDataArray = this.extractVectorPath(node);
+                const stroke = this.generateSVGStroke(node, pathDataArray || []);
                 
                 if (pathDataArray && pathDataArray.length > 0) {
-                    // Generate a path element for each path data with correct fill
-                    for (const pathData of pathDataArray) {
-                        pathElements += `<path d="${pathData}" fill="${fillValue}" />`;
+                    if (hasFills || !stroke) {
+                        // Generate a path element for each path data with correct fill and winding
+                        pathDataArray.forEach((pathData, index) => {
+                            pathElements += `<path d="${pathData}" fill="${fillValue}" fill-rule="${this.getSVGFillRule(node, index)}" />`;
+                        });
                     }
                 } else {
                     // Fallback to placeholder if no path data available
                     pathElements += `<path d="M0,0 L100,0 L100,100 L0,100 Z" fill="${fillValue}" />`;
                 }
+                pathElements += stroke;
             } else if (node.type === 'ELLIPSE') {
                 // Special handling for ellipses with correct fill
-                const ellipseElement = this.convertEllipseToSVG(node, fillValue);
-                pathElements += ellipseElement;
+                const stroke = this.generateSVGStroke(node, [this.generateEllipsePath(node)]);
+                if (hasFills || !stroke) {
+                    pathElements += this.convertEllipseToSVG(node, fillValue);
+                }
+                pathElements += stroke;
             } else {
-                // Only VECTOR and ELLIPSE should reach here now
+                // Only VECTOR, BOOLEAN_OPERATION and ELLIPSE should reach here now
                 return '';
             }
             
@@ -448,17 +1024,87 @@ class NodeStructurePass {
         }
     }
 
+    /**
+     * Generate the SVG stroke of a vector or ellipse
+     * Figma's strokeGeometry is the outline it draws (alignment, dashes, caps and
+     * joins included) and is filled with the stroke paint. Without it the shape
+     * is stroked with stroke-* attributes; inside and outside strokes are drawn
+     * twice as wide and cut to the shape with a clip path or mask.
+     * Stroke paths carry data-figma-stroke so fill animations skip them.
+     * @param {Object} node - Vector, boolean operation or ellipse node
+     * @param {Array} shapePaths - SVG path data of the shape
+     * @returns {string} SVG defs and stroke paths ('' without a visible stroke)
+     */
+    generateSVGStroke(node, shapePaths) {
+        const strokes = Array.isArray(node.strokes) ? node.strokes.filter(stroke => stroke && stroke.visible !== false) : [];
+        const weight = typeof node.strokeWeight === 'number' ? node.strokeWeight : 0;
+        if (strokes.length === 0 || weight <= 0) {
+            return '';
+        }
+
+        const { fillValue, gradientDefs } = this.processSVGFills(node, [strokes[0]], 'stroke');
+        const safeId = node.id.replace(/[:.]/g, '-');
+        let defs = gradientDefs;
+        let elements = '';
+
+        if (Array.isArray(node.strokeGeometry) && node.strokeGeometry.length > 0) {
+            node.strokeGeometry.filter(geometry => geometry && geometry.data).forEach(geometry => {
+                const fillRule = geometry.windingRule === 'EVENODD' ? 'evenodd' : 'nonzero';
+                elements += `<path data-figma-stroke d="${geometry.data}" fill="${fillValue}" fill-rule="${fillRule}" />`;
+            });
+        } else if (shapePaths.length > 0) {
+            const align = node.strokeAlign || 'CENTER';
+            const capMap = { 'ROUND': 'round', 'SQUARE': 'square' };
+            const joinMap = { 'ROUND': 'round', 'BEVEL': 'bevel' };
+            const attributes = [
+                `stroke="${fillValue}"`,
+                `stroke-width="${align === 'CENTER' ? weight : weight * 2}"`,
+                `stroke-linecap="${capMap[node.strokeCap] || 'butt'}"`,
+                `stroke-linejoin="${joinMap[node.strokeJoin] || 'miter'}"`
+            ];
+            if (typeof node.strokeMiterLimit === 'number') {
+                attributes.push(`stroke-miterlimit="${node.strokeMiterLimit}"`);
+            }
+            if (Array.isArray(node.dashPattern) && node.dashPattern.length > 0) {
+                attributes.push(`stroke-dasharray="${node.dashPattern.join(' ')}"`);
+            }
+
+            const shapes = shapePaths.map(pathData => `<path d="${pathData}" />`).join('');
+            if (align === 'INSIDE') {
+                defs += `<clipPath id="stroke-clip-${safeId}">${shapes}</clipPath>`;
+                attributes.push(`clip-path="url(#stroke-clip-${safeId})"`);
+            } else if (align === 'OUTSIDE') {
+                const width = node.width || 0;
+                const height = node.height || 0;
+                const cutout = shapePaths.map(pathData => `<path d="${pathData}" fill="black" />`).join('');
+                defs += `<mask id="stroke-mask-${safeId}" maskUnits="userSpaceOnUse" x="${-weight * 2}" y="${-weight * 2}" width="${width + weight * 4}" height="${height + weight * 4}">` +
+                    `<rect x="${-weight * 2}" y="${-weight * 2}" width="${width + weight * 4}" height="${height + weight * 4}" fill="white" />${cutout}</mask>`;
+                attributes.push(`mask="url(#stroke-mask-${safeId})"`);
+            }
+
+            elements = shapePaths.map(pathData =>
+                `<path data-figma-stroke d="${pathData}" fill="none" ${attributes.join(' ')} />`
+            ).join('');
+        }
+
+        if (!elements) {
+            return '';
+        }
+        return (defs ? `<defs>${defs}</defs>` : '') + elements;
+    }
+
     /**
      * Process SVG fills to generate appropriate fill values and gradient definitions
      * @param {Object} node - Figma node
+     * @param {Array} paints - Paints to use (the node's fills by default)
+     * @param {string} idPrefix - Prefix of the gradient id
      * @returns {Object} Object with fillValue and gradientDefs
      */
-    processSVGFills(node) {
-        if (!node.fills || node.fills.length === 0) {
+    processSVGFills(node, paints = node.fills, idPrefix = 'gradient') {
+        const fill = Array.isArray(paints) ? paints.find(paint => paint && paint.visible !== false) : null;
+        if (!fill) {
             return { fillValue: 'currentColor', gradientDefs: '' };
         }
-
-        const fill = node.fills[0];
         
         if (fill.type === 'SOLID' && fill.color) {
             // Handle solid fills
@@ -470,7 +1116,7 @@ class NodeStructurePass {
             }
         } else if (fill.type === 'GRADIENT_RADIAL' || fill.type === 'GRADIENT_LINEAR') {
             // Handle gradient fills
-            const gradientId = `gradient-${node.id.replace(/[:.]/g, '-')}`;
+            const gradientId = `${idPrefix}-${node.id.replace(/[:.]/g, '-')}`;
             const gradientDefs = this.generateSVGGradient(fill, gradientId);
             const fillValue = `url(#${gradientId})`;
             return { fillValue, gradientDefs };
@@ -977,6 +1623,160 @@ class NodeStructurePass {
         });
     }
 
+    /**
+     * Collect the destinations of the click navigations in a node tree
+     * @param {Array} nodes - Top-level nodes
+     * @param {Array} types - Navigation types to collect (see getReactionNavigation)
+     * @returns {Set} Destination node ids
+     */
+    collectNavigationDestinations(nodes, types) {
+        const destinations = new Set();
+        const visit = node => {
+            if (!node) return;
+            const navigation = this.getReactionNavigation(node);
+            if (navigation && navigation.destinationId && types.includes(navigation.type)) {
+                destinations.add(navigation.destinationId);
+            }
+            (node.children || []).forEach(visit);
+        };
+        (nodes || []).forEach(visit);
+        return destinations;
+    }
+
+    /**
+     * Find the top-level frames of an export that are opened as overlays
+     * @param {Array} nodes - Top-level nodes
+     * @returns {Set} Overlay frame ids
+     */
+    getPrototypeOverlays(nodes) {
+        const destinations = this.collectNavigationDestinations(nodes, ['OVERLAY', 'SWAP']);
+        return new Set((nodes || []).filter(node => node && destinations.has(node.id)).map(node => node.id));
+    }
+
+    /**
+     * Find the prototype routes of an export
+     * Routing needs several top-level frames (overlays aside) and a NAVIGATE
+     * reaction that targets one of them. The first flow starting point among
+     * the frames is the initial route, otherwise the first frame.
+     * @param {Array} nodes - Top-level nodes
+     * @param {Array} flowStartingPoints - Prototype flows of the page ({ nodeId, name })
+     * @returns {Object|null} { ids, initialId }, or null without routing
+     */
+    getPrototypeRoutes(nodes, flowStartingPoints) {
+        const topLevelNodes = (nodes || []).filter(node => node && node.id && !this.overlays.has(node.id));
+        if (topLevelNodes.length < 2) {
+            return null;
+        }
+
+        const ids = new Set(topLevelNodes.map(node => node.id));
+        const destinations = this.collectNavigationDestinations(nodes, ['NAVIGATE']);
+        if (!Array.from(destinations).some(id => ids.has(id))) {
+            return null;
+        }
+
+        const flow = (flowStartingPoints || []).find(point => point && ids.has(point.nodeId));
+        return { ids, initialId: flow ? flow.nodeId : topLevelNodes[0].id };
+    }
+
+    /**
+     * Get the prototype navigation a node runs when clicked
+     * @param {Object} node - Figma node
+     * @returns {Object|null} { type, destinationId, offset, transition } where type is
+     *   NAVIGATE, OVERLAY, SWAP, BACK or CLOSE, or null
+     */
+    getReactionNavigation(node) {
+        if (!Array.isArray(node.reactions)) return null;
+        for (const reaction of node.reactions) {
+            const action = reaction && reaction.action;
+            if (!action || !reaction.trigger || (reaction.trigger.type !== 'ON_CLICK' && reaction.trigger.type !== 'ON_PRESS')) {
+                continue;
+            }
+            if (action.type === 'BACK' || action.type === 'CLOSE') {
+                return { type: action.type, destinationId: null, offset: null, transition: null };
+            }
+            if (action.type === 'NODE' && ['NAVIGATE', 'OVERLAY', 'SWAP'].includes(action.navigation) && action.destinationId) {
+                return {
+                    type: action.navigation,
+                    destinationId: action.destinationId,
+                    // Manually positioned overlays are placed relative to the trigger
+                    offset: action.overlayRelativePosition || null,
+                    transition: action.transition || null
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the prototype navigation of a node in the current export
+     * Destinations outside the exported frames are dropped.
+     * @param {Object} node - Figma node
+     * @returns {Object|null} Navigation (see getReactionNavigation), or null
+     */
+    getNavigationAction(node) {
+        const navigation = this.getReactionNavigation(node);
+        if (!navigation) return null;
+
+        switch (navigation.type) {
+            case 'NAVIGATE':
+                return this.routes && this.routes.ids.has(navigation.destinationId) ? navigation : null;
+            case 'OVERLAY':
+            case 'SWAP':
+                return this.overlays.has(navigation.destinationId) ? navigation : null;
+            case 'BACK':
+                // Back also closes the topmost overlay
+                return this.routes || this.overlays.size > 0 ? navigation : null;
+            default:
+                return this.overlays.size > 0 ? navigation : null;
+        }
+    }
+
+    /**
+     * Get the attributes of a top-level frame opened as an overlay
+     * @param {Object} node - Overlay frame
+     * @returns {string} Attribute string (with leading space)
+     */
+    getOverlayAttributes(node) {
+        let attributes = ` data-figma-overlay="${node.id}" data-overlay-position="${node.overlayPositionType || 'CENTER'}"`;
+        const background = node.overlayBackground;
+        if (background && background.type === 'SOLID_COLOR' && background.color) {
+            const { r, g, b, a } = background.color;
+            const alpha = a !== undefined ? Math.round(a * 1000) / 1000 : 1;
+            attributes += ` data-overlay-background="rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})"`;
+        }
+        if (node.overlayBackgroundInteraction === 'CLOSE_ON_CLICK_OUTSIDE') {
+            attributes += ' data-overlay-close-outside="true"';
+        }
+        return attributes;
+    }
+
+    /**
+     * Get the trigger attributes of a prototype navigation
+     * @param {Object} navigation - Navigation (see getReactionNavigation)
+     * @returns {string} Attribute string (with leading space)
+     */
+    getNavigationAttributes(navigation) {
+        switch (navigation.type) {
+            case 'NAVIGATE':
+                return ` data-navigate-to="${navigation.destinationId}"`;
+            case 'BACK':
+                return ' data-navigate-back="true"';
+            case 'CLOSE':
+                return ' data-close-overlay="true"';
+            default: {
+                const attribute = navigation.type === 'SWAP' ? 'data-swap-overlay' : 'data-open-overlay';
+                let attributes = ` ${attribute}="${navigation.destinationId}"`;
+                if (navigation.offset) {
+                    attributes += ` data-overlay-offset="${navigation.offset.x || 0},${navigation.offset.y || 0}"`;
+                }
+                if (navigation.transition) {
+                    attributes += ' data-overlay-transition="' + this.escapeHTML(JSON.stringify(navigation.transition)) + '"';
+                }
+                return attributes;
+            }
+        }
+    }
+
     /**
      * Get variant trigger information for a node
      * @param {Object} node - The current node
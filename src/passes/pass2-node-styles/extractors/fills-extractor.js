@@ -18,7 +18,8 @@ function extractFills(node) {
         const fillStyle = {
             type: fill.type,
             visible: fill.visible !== false,
-            opacity: fill.opacity !== undefined ? fill.opacity : 1
+            opacity: fill.opacity !== undefined ? fill.opacity : 1,
+            blendMode: fill.blendMode || 'NORMAL'
         };
 
         switch (fill.type) {
@@ -33,6 +34,9 @@ function extractFills(node) {
                     a: colorA * opacity
                 };
                 fillStyle.color = rgbaToHex(colorWithOpacity);
+                fillStyle.rgba = colorWithOpacity;
+                // Color variable bound to the paint (resolved to var() in Pass 2)
+                fillStyle.colorVariable = fill.boundVariables && fill.boundVariables.color ? fill.boundVariables.color : null;
                 break;
             case 'GRADIENT_LINEAR':
             case 'GRADIENT_RADIAL':
@@ -55,8 +59,12 @@ function extractFills(node) {
                 fillStyle.gradientTransform = fill.gradientTransform;
                 break;
             case 'IMAGE':
+                // Plugin API paints carry imageHash, REST exports carry imageRef
+                fillStyle.imageHash = fill.imageHash || fill.imageRef;
                 fillStyle.imageRef = fill.imageRef;
                 fillStyle.scaleMode = fill.scaleMode;
+                fillStyle.imageTransform = fill.imageTransform;
+                fillStyle.scalingFactor = fill.scalingFactor;
                 break;
         }
 
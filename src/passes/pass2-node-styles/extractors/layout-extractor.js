@@ -25,6 +25,11 @@ function extractLayout(node, parent = null, isTopLevel = false) {
         paddingTop: node.paddingTop || 0,
         paddingBottom: node.paddingBottom || 0,
         itemSpacing: node.itemSpacing || 0,
+        counterAxisSpacing: node.counterAxisSpacing || 0,
+        counterAxisAlignContent: node.counterAxisAlignContent || 'AUTO',
+        layoutWrap: node.layoutWrap || 'NO_WRAP',
+        strokesIncludedInLayout: node.strokesIncludedInLayout || false,
+        itemReverseZIndex: node.itemReverseZIndex || false,
         layoutGrow: node.layoutGrow || 0,
         layoutAlign: node.layoutAlign || 'INHERIT',
         
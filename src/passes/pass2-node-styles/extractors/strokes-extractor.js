@@ -14,7 +14,12 @@ function extractStrokes(node) {
         return null;
     }
 
-    const stroke = node.strokes[0]; // Use first stroke
+    // Use the first visible stroke
+    const stroke = node.strokes.find(paint => paint && paint.visible !== false);
+    if (!stroke) {
+        return null;
+    }
+    const colorVariable = stroke.boundVariables && stroke.boundVariables.color ? stroke.boundVariables.color : null;
     
     // Check if individual strokes are enabled or if strokeWeight is mixed
     const hasIndividualStrokes = node.individualStrokes || 
@@ -33,10 +38,11 @@ function extractStrokes(node) {
             a: stroke.opacity !== undefined ? stroke.opacity : (stroke.color.a !== undefined ? stroke.color.a : 1)
         } : null;
 
-        return {
+        return Object.assign({
             type: stroke.type,
             color: strokeColorWithOpacity ? rgbaToHex(strokeColorWithOpacity) : null,
             opacity: stroke.opacity !== undefined ? stroke.opacity : 1,
+            colorVariable: colorVariable,
             align: node.strokeAlign || 'INSIDE',
             individualStrokes: true,
             // Individual stroke weights
@@ -49,7 +55,7 @@ function extractStrokes(node) {
             strokeRightColor: node.strokeRightColor ? rgbaToHex(node.strokeRightColor) : (strokeColorWithOpacity ? rgbaToHex(strokeColorWithOpacity) : null),
             strokeBottomColor: node.strokeBottomColor ? rgbaToHex(node.strokeBottomColor) : (strokeColorWithOpacity ? rgbaToHex(strokeColorWithOpacity) : null),
             strokeLeftColor: node.strokeLeftColor ? rgbaToHex(node.strokeLeftColor) : (strokeColorWithOpacity ? rgbaToHex(strokeColorWithOpacity) : null)
-        };
+        }, extractStrokeGeometry(node, stroke));
     }
     
     // Standard stroke (all sides same)
@@ -61,13 +67,31 @@ function extractStrokes(node) {
         a: stroke.opacity !== undefined ? stroke.opacity : (stroke.color.a !== undefined ? stroke.color.a : 1)
     } : null;
 
-    return {
+    return Object.assign({
         type: stroke.type,
         color: strokeColorWithOpacity ? rgbaToHex(strokeColorWithOpacity) : null,
         weight: typeof node.strokeWeight === 'number' ? node.strokeWeight : 1,
         align: node.strokeAlign || 'INSIDE',
         opacity: stroke.opacity !== undefined ? stroke.opacity : 1,
+        colorVariable: colorVariable,
         individualStrokes: false
+    }, extractStrokeGeometry(node, stroke));
+}
+
+/**
+ * Extract the stroke properties shared by uniform and individual strokes
+ * @param {Object} node - Figma node
+ * @param {Object} stroke - Stroke paint
+ * @returns {Object} { dashPattern, cap, join, miterLimit, paint }
+ */
+function extractStrokeGeometry(node, stroke) {
+    return {
+        dashPattern: Array.isArray(node.dashPattern) ? node.dashPattern.filter(value => typeof value === 'number') : [],
+        cap: typeof node.strokeCap === 'string' ? node.strokeCap : 'NONE',
+        join: typeof node.strokeJoin === 'string' ? node.strokeJoin : 'MITER',
+        miterLimit: typeof node.strokeMiterLimit === 'number' ? node.strokeMiterLimit : 4,
+        // Gradient and image strokes are painted from the original paint
+        paint: stroke.type !== 'SOLID' ? stroke : null
     };
 }
 
@@ -2,6 +2,22 @@
  * Typography extractor for extracting text styles from Figma nodes
  */
 
+const { rgbaToHex, roundCSS } = require('../utils/color-utils');
+
+// Weight of each font style keyword, longest first so "extrabold" wins over "bold"
+const FONT_WEIGHT_KEYWORDS = [
+    ['extrablack', 950], ['ultrablack', 950],
+    ['extralight', 200], ['ultralight', 200],
+    ['extrabold', 800], ['ultrabold', 800],
+    ['semibold', 600], ['demibold', 600],
+    ['hairline', 100], ['regular', 400],
+    ['medium', 500], ['normal', 400],
+    ['black', 900], ['heavy', 900],
+    ['light', 300], ['thin', 100],
+    ['book', 400], ['roman', 400],
+    ['bold', 700]
+];
+
 /**
  * Extract typography styles from a text node
  * @param {Object} node - Figma node
@@ -16,6 +32,7 @@ function extractTypography(node) {
     const typography = {
         // Font properties - directly on node
         fontFamily: node.fontName ? node.fontName.family : null,
+        fontStyleName: node.fontName ? node.fontName.style : null,
         fontSize: node.fontSize,
         fontWeight: node.fontWeight,
         fontStyle: node.fontName && node.fontName.style ? (node.fontName.style.toLowerCase().includes('italic') ? 'italic' : 'normal') : 'normal',
@@ -31,7 +48,7 @@ function extractTypography(node) {
         
         // Spacing and layout - directly on node
         lineHeight: mapLineHeightToCSS(node.lineHeight),
-        letterSpacing: node.letterSpacing || 0,
+        letterSpacing: mapLetterSpacingToCSS(node.letterSpacing),
         paragraphSpacing: node.paragraphSpacing || 0,
         paragraphIndent: node.paragraphIndent || 0,
         
@@ -48,10 +65,17 @@ function extractTypography(node) {
         // Font features - directly on node
         fontVariant: 'normal', // Not directly available in Figma API
         fontStretch: 'normal', // Not directly available in Figma API
+        fontFeatureSettings: mapOpenTypeFeaturesToCSS(node.openTypeFeatures),
+        fontVariationSettings: mapFontVariationsToCSS(node.fontVariations),
+        
+        // Truncation - ending ellipsis after maxLines or at the bottom of the box
+        textTruncation: node.textTruncation || 'DISABLED',
+        maxLines: typeof node.maxLines === 'number' && node.maxLines > 0 ? node.maxLines : null,
+        textBoxHeight: typeof node.height === 'number' ? node.height : null,
         
-        // Text effects
-        textShadow: extractTextShadow(node),
+        // Text effects (text-shadow is generated from the node's effects)
         textStroke: extractTextStroke(node),
+        hasClippedFill: hasClippedTextFill(node.fills),
         
         // Advanced properties
         wordSpacing: 'normal', // Not directly available in Figma API
@@ -137,38 +161,58 @@ function mapTextCaseToCSS(textCase) {
 }
 
 /**
- * Extract text shadow from node effects
+ * Extract the stroke of a text layer
+ * Only solid strokes can be drawn on glyphs (-webkit-text-stroke takes a color).
  * @param {Object} node - Figma node
- * @returns {string|null} CSS text-shadow value
+ * @returns {Object|null} { weight, color, align }, or null without a solid stroke
  */
-function extractTextShadow(node) {
-    if (!node.effects || !Array.isArray(node.effects)) {
+function extractTextStroke(node) {
+    if (!node.strokes || !Array.isArray(node.strokes) || node.strokes.length === 0) {
         return null;
     }
 
-    const textShadow = node.effects.find(effect => 
-        effect.type === 'DROP_SHADOW' && effect.visible
-    );
+    const stroke = node.strokes.find(paint => paint && paint.visible !== false);
+    const weight = typeof node.strokeWeight === 'number' ? node.strokeWeight : 0;
+    if (!stroke || stroke.type !== 'SOLID' || !stroke.color || weight <= 0) return null;
 
-    if (!textShadow) return null;
+    const alpha = (stroke.color.a !== undefined ? stroke.color.a : 1) * (stroke.opacity !== undefined ? stroke.opacity : 1);
+    return {
+        weight,
+        color: rgbaToHex({ r: stroke.color.r, g: stroke.color.g, b: stroke.color.b, a: alpha }),
+        // Figma strokes text outside by default
+        align: node.strokeAlign || 'OUTSIDE'
+    };
+}
 
-    return `${textShadow.offset.x}px ${textShadow.offset.y}px ${textShadow.radius}px ${textShadow.color}`;
+/**
+ * Check whether a text layer is filled with a gradient or an image
+ * Such fills are painted as a background clipped to the glyphs.
+ * @param {Array} fills - Figma or extracted fills
+ * @returns {boolean} True when a visible fill is not a solid color
+ */
+function hasClippedTextFill(fills) {
+    return Array.isArray(fills) && fills.some(fill => fill && fill.visible !== false && fill.type !== 'SOLID');
 }
 
 /**
- * Extract text stroke from node strokes
- * @param {Object} node - Figma node
- * @returns {string|null} CSS -webkit-text-stroke value
+ * Map Figma letterSpacing to a CSS letter-spacing value
+ * @param {Object|number} letterSpacing - {unit: 'PIXELS'|'PERCENT', value} or a pixel number
+ * @returns {string|null} CSS letter-spacing value, or null when there is no spacing
  */
-function extractTextStroke(node) {
-    if (!node.strokes || !Array.isArray(node.strokes) || node.strokes.length === 0) {
-        return null;
+function mapLetterSpacingToCSS(letterSpacing) {
+    if (typeof letterSpacing === 'number') {
+        return letterSpacing !== 0 ? `${roundCSS(letterSpacing)}px` : null;
     }
 
-    const stroke = node.strokes.find(s => s.visible);
-    if (!stroke || stroke.type !== 'SOLID') return null;
+    if (!letterSpacing || typeof letterSpacing !== 'object' || !letterSpacing.value) {
+        return null;
+    }
 
-    return `${stroke.weight}px ${stroke.color}`;
+    // Figma percentages are relative to the font size
+    if (letterSpacing.unit === 'PERCENT') {
+        return `${roundCSS(letterSpacing.value / 100, 3)}em`;
+    }
+    return `${roundCSS(letterSpacing.value)}px`;
 }
 
 /**
@@ -204,6 +248,44 @@ function mapLineHeightToCSS(lineHeight) {
     return lineHeight || 'normal';
 }
 
+/**
+ * Map Figma OpenType features to CSS font-feature-settings
+ * Figma lists the features set explicitly on the text ({ TNUM: true, LIGA: false }).
+ * @param {Object} features - Figma openTypeFeatures
+ * @returns {string|null} CSS font-feature-settings value, or null without features
+ */
+function mapOpenTypeFeaturesToCSS(features) {
+    if (!features || typeof features !== 'object') {
+        return null;
+    }
+
+    const settings = Object.keys(features)
+        .filter(tag => /^[A-Za-z0-9]{4}$/.test(tag) && typeof features[tag] === 'boolean')
+        .map(tag => `"${tag.toLowerCase()}" ${features[tag] ? 1 : 0}`);
+    return settings.length > 0 ? settings.join(', ') : null;
+}
+
+/**
+ * Map variable font axes to CSS font-variation-settings
+ * @param {Array|Object} variations - [{ axisTag, value }] or { axisTag: value }
+ * @returns {string|null} CSS font-variation-settings value, or null without axes
+ */
+function mapFontVariationsToCSS(variations) {
+    if (!variations || typeof variations !== 'object') {
+        return null;
+    }
+
+    const entries = Array.isArray(variations)
+        ? variations.map(variation => [variation && (variation.axisTag || variation.tag), variation && variation.value])
+        : Object.keys(variations).map(tag => [tag, variations[tag]]);
+
+    // Registered axes are lower case (wght, wdth, opsz), custom axes upper case, so tags keep their case
+    const settings = entries
+        .filter(([tag, value]) => typeof tag === 'string' && tag.length === 4 && typeof value === 'number')
+        .map(([tag, value]) => `"${tag}" ${roundCSS(value, 3)}`);
+    return settings.length > 0 ? settings.join(', ') : null;
+}
+
 /**
  * Map Figma text properties to CSS white-space value
  * @param {Object} node - Figma node
@@ -244,14 +326,29 @@ function mapTextOverflowToCSS(node) {
     return 'clip';
 }
 
+/**
+ * Map a font style name to a numeric CSS weight
+ * @param {string} fontStyle - Figma font style (e.g. "Semi Bold Italic")
+ * @returns {number} Font weight (400 when the style names no weight)
+ */
+function mapFontStyleToWeight(fontStyle) {
+    const style = String(fontStyle || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const match = FONT_WEIGHT_KEYWORDS.find(([keyword]) => style.includes(keyword));
+    return match ? match[1] : 400;
+}
+
 module.exports = {
     extractTypography,
+    mapFontStyleToWeight,
     mapTextDecoration,
     mapTextDecorationStyle,
     mapTextCaseToCSS,
-    extractTextShadow,
     extractTextStroke,
+    hasClippedTextFill,
+    mapLetterSpacingToCSS,
     mapLineHeightToCSS,
+    mapOpenTypeFeaturesToCSS,
+    mapFontVariationsToCSS,
     mapWhiteSpaceToCSS,
     mapTextOverflowToCSS
 };
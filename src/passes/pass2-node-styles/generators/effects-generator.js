@@ -0,0 +1,117 @@
+/**
+ * Effects CSS generator for converting Figma shadows and blurs to CSS
+ */
+
+const { roundCSS } = require('../utils/color-utils');
+const { hasClippedTextFill } = require('../extractors/typography-extractor');
+
+/**
+ * Generate effects CSS rules (shadows, blurs) for a node
+ * Figma renders shadows differently per node type: frames and shapes cast a box
+ * shadow, text casts a glyph shadow and vectors cast a shadow of their outline.
+ * @param {Array} effects - Extracted effects
+ * @param {Object} node - Figma node (for its type)
+ * @returns {Array} Array of CSS rule strings
+ */
+function generateEffectsCSS(effects, node = {}) {
+    const rules = [];
+    const visibleEffects = (effects || []).filter(effect => effect.visible);
+    if (visibleEffects.length === 0) {
+        return rules;
+    }
+
+    // Like fills, effects are stored bottom-first while CSS lists the topmost shadow first
+    const shadows = visibleEffects
+        .filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+        .reverse();
+    const filters = [];
+
+    // The plugin exports these layers as PNG; anything that still reaches
+    // Pass 2 (e.g. an older snapshot) is drawn without them
+    if ((node.type === 'TEXT' || isVectorEffectTarget(node)) && shadows.some(effect => effect.type === 'INNER_SHADOW')) {
+        console.warn(`⚠️ ${node.name || node.id}: inner shadows on ${node.type} layers have no CSS equivalent and are not drawn`);
+    }
+
+    if (node.type === 'TEXT' && hasClippedTextFill(node.fills)) {
+        // text-shadow would paint over the transparent glyphs of gradient text,
+        // drop-shadow() follows the clipped background instead
+        shadows
+            .filter(effect => effect.type === 'DROP_SHADOW')
+            .forEach(effect => filters.push(`drop-shadow(${formatShadow(effect, false)})`));
+    } else if (node.type === 'TEXT') {
+        // text-shadow has no spread or inset
+        const textShadows = shadows
+            .filter(effect => effect.type === 'DROP_SHADOW')
+            .map(effect => formatShadow(effect, false));
+        if (textShadows.length > 0) {
+            rules.push(`text-shadow: ${textShadows.join(', ')};`);
+        }
+    } else if (isVectorEffectTarget(node)) {
+        // drop-shadow() follows the vector outline
+        shadows
+            .filter(effect => effect.type === 'DROP_SHADOW')
+            .forEach(effect => filters.push(`drop-shadow(${formatShadow(effect, false)})`));
+    } else {
+        const boxShadows = shadows.map(effect => {
+            const shadow = formatShadow(effect, true);
+            return effect.type === 'INNER_SHADOW' ? `inset ${shadow}` : shadow;
+        });
+        if (boxShadows.length > 0) {
+            rules.push(`box-shadow: ${boxShadows.join(', ')};`);
+        }
+    }
+
+    visibleEffects.forEach(effect => {
+        if (effect.type === 'LAYER_BLUR') {
+            filters.push(`blur(${roundCSS(effect.radius || 0)}px)`);
+        }
+    });
+    if (filters.length > 0) {
+        rules.push(`filter: ${filters.join(' ')};`);
+    }
+
+    const backgroundBlur = visibleEffects.find(effect => effect.type === 'BACKGROUND_BLUR');
+    if (backgroundBlur) {
+        const backdrop = `blur(${roundCSS(backgroundBlur.radius || 0)}px)`;
+        rules.push(`-webkit-backdrop-filter: ${backdrop};`);
+        rules.push(`backdrop-filter: ${backdrop};`);
+    }
+
+    return rules;
+}
+
+/**
+ * Format a shadow effect as a CSS shadow value
+ * @param {Object} effect - Shadow effect
+ * @param {boolean} includeSpread - Whether the target property supports spread
+ * @returns {string} CSS shadow (offset-x offset-y blur [spread] color)
+ */
+function formatShadow(effect, includeSpread) {
+    const offset = effect.offset || { x: 0, y: 0 };
+    const parts = [
+        `${roundCSS(offset.x || 0)}px`,
+        `${roundCSS(offset.y || 0)}px`,
+        `${roundCSS(effect.radius || 0)}px`
+    ];
+    if (includeSpread) {
+        parts.push(`${roundCSS(effect.spread || 0)}px`);
+    }
+    parts.push(effect.color);
+    return parts.join(' ');
+}
+
+/**
+ * Check whether a node's effects should follow its vector outline
+ * @param {Object} node - Figma node
+ * @returns {boolean} True for vector shapes rendered as SVG
+ */
+function isVectorEffectTarget(node) {
+    return node.type === 'VECTOR' || node.type === 'ELLIPSE' || node.type === 'STAR' ||
+        node.type === 'POLYGON' || node.type === 'BOOLEAN_OPERATION';
+}
+
+module.exports = {
+    generateEffectsCSS,
+    formatShadow,
+    isVectorEffectTarget
+};
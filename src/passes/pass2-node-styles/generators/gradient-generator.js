@@ -0,0 +1,374 @@
+/**
+ * Gradient CSS generator for converting Figma gradient paints to CSS gradients
+ *
+ * Figma stores a gradientTransform that maps the node's normalized box (0..1 on
+ * both axes) into gradient space. In gradient space a linear gradient runs from
+ * (0, 0.5) to (1, 0.5) and radial, angular and diamond gradients are centered on
+ * (0.5, 0.5) with a radius of 0.5. Inverting the transform gives the on-canvas
+ * handle positions, which are then converted to CSS geometry.
+ *
+ * CSS radial gradients are axis-aligned ellipses, so radial and diamond
+ * gradients with rotated or skewed handles are drawn as an SVG background
+ * image instead, with the handles as the SVG transform.
+ */
+
+const { rgbaToHex, roundCSS } = require('../utils/color-utils');
+
+/**
+ * Invert a Figma 2x3 affine transform
+ * @param {Array} transform - [[a, c, e], [b, d, f]]
+ * @returns {Array|null} Inverted transform, or null if it is not invertible
+ */
+function invertGradientTransform(transform) {
+    if (!Array.isArray(transform) || transform.length < 2) {
+        return [[1, 0, 0], [0, 1, 0]];
+    }
+
+    const [[a, c, e], [b, d, f]] = transform;
+    const det = a * d - b * c;
+    if (!det || isNaN(det)) {
+        return null;
+    }
+
+    return [
+        [d / det, -c / det, (c * f - d * e) / det],
+        [-b / det, a / det, (b * e - a * f) / det]
+    ];
+}
+
+/**
+ * Get gradient handle positions in pixels
+ * @param {Array} gradientTransform - Figma gradient transform
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @param {boolean} isLinear - Linear gradients start at the left edge, others at the center
+ * @returns {Object|null} { start, end, side } points in node pixel space
+ */
+function getGradientHandles(gradientTransform, width, height, isLinear) {
+    const inverse = invertGradientTransform(gradientTransform);
+    if (!inverse) {
+        return null;
+    }
+
+    const toPixels = (x, y) => ({
+        x: (inverse[0][0] * x + inverse[0][1] * y + inverse[0][2]) * width,
+        y: (inverse[1][0] * x + inverse[1][1] * y + inverse[1][2]) * height
+    });
+
+    return {
+        start: isLinear ? toPixels(0, 0.5) : toPixels(0.5, 0.5),
+        end: toPixels(1, 0.5),
+        side: isLinear ? toPixels(0, 1) : toPixels(0.5, 1)
+    };
+}
+
+/**
+ * Format gradient stops as a CSS color-stop list
+ * @param {Array} gradientStops - Figma gradient stops
+ * @param {Function} mapPosition - Maps a Figma stop position (0..1) to a CSS percentage
+ * @returns {string} CSS color stops
+ */
+function formatGradientStops(gradientStops, mapPosition) {
+    return gradientStops.map(stop => {
+        const color = rgbaToHex(stop.color);
+        const position = typeof stop.position === 'number' ? stop.position : 0;
+        return `${color} ${roundCSS(mapPosition(position))}%`;
+    }).join(', ');
+}
+
+/**
+ * Convert a direction vector to a CSS angle (0deg points up, clockwise)
+ * @param {number} dx - Horizontal component
+ * @param {number} dy - Vertical component (down is positive)
+ * @returns {number} Angle in degrees (0..360)
+ */
+function vectorToCSSAngle(dx, dy) {
+    const angle = Math.atan2(dx, -dy) * 180 / Math.PI;
+    return (angle + 360) % 360;
+}
+
+/**
+ * Resolve the box size used for gradient math
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @returns {Object} { width, height }
+ */
+function resolveGradientBox(width, height) {
+    // Without dimensions the gradient is laid out on a square box, which keeps
+    // the identity transform output (90deg, centered) unchanged
+    return {
+        width: typeof width === 'number' && width > 0 ? width : 100,
+        height: typeof height === 'number' && height > 0 ? height : 100
+    };
+}
+
+/**
+ * Generate linear gradient CSS
+ * @param {Object} fill - Gradient fill
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @returns {string|null} CSS linear gradient
+ */
+function generateLinearGradientCSS(fill, width, height) {
+    if (!fill.gradientStops || fill.gradientStops.length < 2) {
+        return null;
+    }
+
+    const box = resolveGradientBox(width, height);
+    const handles = getGradientHandles(fill.gradientTransform, box.width, box.height, true);
+    if (!handles) {
+        return null;
+    }
+
+    const dx = handles.end.x - handles.start.x;
+    const dy = handles.end.y - handles.start.y;
+    const handleLength = Math.sqrt(dx * dx + dy * dy);
+    if (handleLength === 0) {
+        return null;
+    }
+
+    const angle = vectorToCSSAngle(dx, dy);
+    const radians = angle * Math.PI / 180;
+    const ux = dx / handleLength;
+    const uy = dy / handleLength;
+
+    // CSS gradient line: centered on the box, long enough to reach the corners
+    const lineLength = Math.abs(box.width * Math.sin(radians)) + Math.abs(box.height * Math.cos(radians));
+    const lineStartX = box.width / 2 - ux * lineLength / 2;
+    const lineStartY = box.height / 2 - uy * lineLength / 2;
+
+    // Project the Figma handles onto the CSS gradient line
+    const startOffset = (handles.start.x - lineStartX) * ux + (handles.start.y - lineStartY) * uy;
+    const stops = formatGradientStops(fill.gradientStops, position =>
+        (startOffset + position * handleLength) / lineLength * 100
+    );
+
+    return `linear-gradient(${roundCSS(angle)}deg, ${stops})`;
+}
+
+/**
+ * Generate radial gradient CSS
+ * @param {Object} fill - Gradient fill
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @returns {string|null} CSS radial gradient
+ */
+function generateRadialGradientCSS(fill, width, height) {
+    if (!fill.gradientStops || fill.gradientStops.length < 2) {
+        return null;
+    }
+
+    const box = resolveGradientBox(width, height);
+    const handles = getGradientHandles(fill.gradientTransform, box.width, box.height, false);
+    if (handles && !hasAxisAlignedHandles(handles)) {
+        return generateSVGGradientLayer(fill, box, handles, false);
+    }
+
+    const geometry = getEllipseGeometry(fill, box);
+    if (!geometry) {
+        return null;
+    }
+
+    const stops = formatGradientStops(fill.gradientStops, position => position * 100);
+    return `radial-gradient(ellipse ${geometry.radiusX}% ${geometry.radiusY}% at ${geometry.centerX}% ${geometry.centerY}%, ${stops})`;
+}
+
+/**
+ * Generate angular gradient CSS (conic-gradient)
+ * @param {Object} fill - Gradient fill
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @returns {string|null} CSS conic gradient
+ */
+function generateAngularGradientCSS(fill, width, height) {
+    if (!fill.gradientStops || fill.gradientStops.length < 2) {
+        return null;
+    }
+
+    const box = resolveGradientBox(width, height);
+    const geometry = getEllipseGeometry(fill, box);
+    if (!geometry) {
+        return null;
+    }
+
+    // Figma sweeps clockwise from the main handle; a mirrored transform sweeps
+    // the other way, which conic-gradient expresses with reversed stops
+    let gradientStops = fill.gradientStops;
+    if (geometry.mirrored) {
+        gradientStops = gradientStops
+            .map(stop => Object.assign({}, stop, { position: 1 - stop.position }))
+            .reverse();
+    }
+
+    const stops = formatGradientStops(gradientStops, position => position * 100);
+    return `conic-gradient(from ${roundCSS(geometry.angle)}deg at ${geometry.centerX}% ${geometry.centerY}%, ${stops})`;
+}
+
+/**
+ * Generate diamond gradient CSS
+ * CSS has no diamond gradient, so each quadrant is painted with a corner-to-corner
+ * linear gradient whose 50% line is the diamond edge. The last stop color fills
+ * the area outside the diamond, matching how Figma extends the final stop.
+ * @param {Object} fill - Gradient fill
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @returns {Array|null} CSS background layers, topmost first
+ */
+function generateDiamondGradientCSS(fill, width, height) {
+    if (!fill.gradientStops || fill.gradientStops.length < 2) {
+        return null;
+    }
+
+    const box = resolveGradientBox(width, height);
+    const handles = getGradientHandles(fill.gradientTransform, box.width, box.height, false);
+    if (!handles) {
+        return null;
+    }
+
+    const center = handles.start;
+    const radiusX = Math.hypot(handles.end.x - center.x, handles.end.y - center.y);
+    const radiusY = Math.hypot(handles.side.x - center.x, handles.side.y - center.y);
+    if (radiusX === 0 || radiusY === 0) {
+        return null;
+    }
+
+    if (!hasAxisAlignedHandles(handles)) {
+        return [generateSVGGradientLayer(fill, box, handles, true)];
+    }
+
+    const stops = formatGradientStops(fill.gradientStops, position => position * 50);
+    const size = `${roundCSS(radiusX)}px ${roundCSS(radiusY)}px`;
+    const left = roundCSS(center.x - radiusX);
+    const right = roundCSS(center.x);
+    const top = roundCSS(center.y - radiusY);
+    const bottom = roundCSS(center.y);
+
+    const lastStop = fill.gradientStops[fill.gradientStops.length - 1];
+    const outerColor = rgbaToHex(lastStop.color);
+
+    return [
+        `linear-gradient(to bottom right, ${stops}) ${right}px ${bottom}px / ${size} no-repeat`,
+        `linear-gradient(to bottom left, ${stops}) ${left}px ${bottom}px / ${size} no-repeat`,
+        `linear-gradient(to top right, ${stops}) ${right}px ${top}px / ${size} no-repeat`,
+        `linear-gradient(to top left, ${stops}) ${left}px ${top}px / ${size} no-repeat`,
+        `linear-gradient(${outerColor}, ${outerColor})`
+    ];
+}
+
+/**
+ * Check whether gradient handles describe an axis-aligned ellipse
+ * The main handle has to be horizontal or vertical and the side handle
+ * perpendicular to it.
+ * @param {Object} handles - { start, end, side } from getGradientHandles
+ * @returns {boolean} True when CSS gradients can follow the handles
+ */
+function hasAxisAlignedHandles(handles) {
+    const mainX = handles.end.x - handles.start.x;
+    const mainY = handles.end.y - handles.start.y;
+    const sideX = handles.side.x - handles.start.x;
+    const sideY = handles.side.y - handles.start.y;
+    const mainLength = Math.hypot(mainX, mainY);
+    const sideLength = Math.hypot(sideX, sideY);
+    const tolerance = 1e-3;
+
+    const isAxisAligned = Math.min(Math.abs(mainX), Math.abs(mainY)) <= tolerance * mainLength;
+    const isPerpendicular = Math.abs(mainX * sideX + mainY * sideY) <= tolerance * mainLength * sideLength;
+    return isAxisAligned && isPerpendicular;
+}
+
+/**
+ * Draw a radial or diamond gradient as an SVG background layer
+ * The SVG transform maps the unit circle onto the handles: (1, 0) is the main
+ * handle and (0, 1) the side handle. A diamond is |u| + |v| in that space, so
+ * each quadrant is a mirrored copy of a linear gradient from (0, 0) to (0.5, 0.5).
+ * @param {Object} fill - Gradient fill
+ * @param {Object} box - { width, height }
+ * @param {Object} handles - { start, end, side } in node pixel space
+ * @param {boolean} isDiamond - Draw a diamond instead of an ellipse
+ * @returns {string} CSS background layer
+ */
+function generateSVGGradientLayer(fill, box, handles, isDiamond) {
+    const center = handles.start;
+    const main = { x: handles.end.x - center.x, y: handles.end.y - center.y };
+    const side = { x: handles.side.x - center.x, y: handles.side.y - center.y };
+    const matrix = [main.x, main.y, side.x, side.y, center.x, center.y].map(value => roundCSS(value, 4)).join(' ');
+
+    const stops = fill.gradientStops.map(stop => {
+        const color = stop.color || {};
+        const alpha = typeof color.a === 'number' ? color.a : 1;
+        const offset = typeof stop.position === 'number' ? stop.position : 0;
+        return `<stop offset="${roundCSS(offset, 4)}" stop-color="${rgbaToHex(Object.assign({}, color, { a: 1 }))}" stop-opacity="${roundCSS(alpha, 4)}"/>`;
+    }).join('');
+
+    let content;
+    if (isDiamond) {
+        // The quadrants reach past the farthest box corner; the last stop pads the rest
+        const det = main.x * side.y - main.y * side.x;
+        const corners = [[0, 0], [box.width, 0], [0, box.height], [box.width, box.height]];
+        const extent = Math.ceil(Math.max.apply(null, corners.map(([x, y]) => {
+            const dx = x - center.x;
+            const dy = y - center.y;
+            return Math.max(Math.abs((side.y * dx - side.x * dy) / det), Math.abs((main.x * dy - main.y * dx) / det));
+        }))) + 1;
+        const quadrants = ['1 1', '-1 1', '1 -1', '-1 -1']
+            .map(scale => `<rect width="${extent}" height="${extent}" transform="scale(${scale})" fill="url(#g)"/>`)
+            .join('');
+        content = `<defs><linearGradient id="g" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="0.5" y2="0.5">${stops}</linearGradient></defs>` +
+            `<g transform="matrix(${matrix})">${quadrants}</g>`;
+    } else {
+        content = `<defs><radialGradient id="g" gradientUnits="userSpaceOnUse" cx="0" cy="0" r="1" gradientTransform="matrix(${matrix})">${stops}</radialGradient></defs>` +
+            `<rect width="${box.width}" height="${box.height}" fill="url(#g)"/>`;
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${box.width} ${box.height}" preserveAspectRatio="none">${content}</svg>`;
+    return `url("data:image/svg+xml,${encodeURIComponent(svg)}") 0 0 / 100% 100% no-repeat`;
+}
+
+/**
+ * Get center, radii and start angle of a radial/angular gradient
+ * @param {Object} fill - Gradient fill
+ * @param {Object} box - { width, height }
+ * @returns {Object|null} Geometry in box percentages and degrees
+ */
+function getEllipseGeometry(fill, box) {
+    const handles = getGradientHandles(fill.gradientTransform, box.width, box.height, false);
+    if (!handles) {
+        return null;
+    }
+
+    const center = handles.start;
+    const mainX = handles.end.x - center.x;
+    const mainY = handles.end.y - center.y;
+    const sideX = handles.side.x - center.x;
+    const sideY = handles.side.y - center.y;
+
+    let radiusX = Math.hypot(mainX, mainY);
+    let radiusY = Math.hypot(sideX, sideY);
+
+    // Radii of axis-aligned handles (rotated ones are drawn with SVG):
+    // swap them when the main handle is vertical
+    if (Math.abs(mainY) > Math.abs(mainX)) {
+        [radiusX, radiusY] = [radiusY, radiusX];
+    }
+
+    // Conic gradients start at 12 o'clock, Figma starts at the main handle
+    const angle = vectorToCSSAngle(mainX, mainY);
+
+    return {
+        centerX: roundCSS(center.x / box.width * 100),
+        centerY: roundCSS(center.y / box.height * 100),
+        radiusX: roundCSS(radiusX / box.width * 100),
+        radiusY: roundCSS(radiusY / box.height * 100),
+        angle: angle,
+        mirrored: (mainX * sideY - mainY * sideX) < 0
+    };
+}
+
+module.exports = {
+    generateLinearGradientCSS,
+    generateRadialGradientCSS,
+    generateAngularGradientCSS,
+    generateDiamondGradientCSS,
+    invertGradientTransform,
+    getGradientHandles
+};
@@ -0,0 +1,287 @@
+/**
+ * Grid CSS generator for Figma grid auto-layout and layout grids
+ *
+ * Grid auto-layout frames (layoutMode GRID) become CSS grid containers and
+ * their children are placed by anchor index and span. Column and row layout
+ * grids on manually laid out frames are exposed as grid templates, so content
+ * added in code can snap to the same columns, and can be drawn as an overlay
+ * while debugging.
+ */
+
+const { rgbaToHex, roundCSS } = require('../utils/color-utils');
+
+/**
+ * Convert a grid auto-layout track size to a CSS track size
+ * @param {Object} track - Track size ({ type: 'FIXED' | 'FLEX' | 'HUG', value })
+ * @returns {string} CSS track size
+ */
+function mapGridTrackToCSS(track) {
+    if (!track) {
+        return 'minmax(0, 1fr)';
+    }
+    switch (track.type) {
+        case 'FIXED':
+            return `${roundCSS(track.value || 0)}px`;
+        case 'HUG':
+            return 'auto';
+        case 'FLEX':
+        default:
+            return `minmax(0, ${roundCSS(track.value || 1)}fr)`;
+    }
+}
+
+/**
+ * Get a CSS track list for one axis of a grid auto-layout frame
+ * @param {Array} sizes - Track sizes from Figma
+ * @param {number} count - Track count
+ * @returns {string|null} CSS track list
+ */
+function getGridTrackList(sizes, count) {
+    if (Array.isArray(sizes) && sizes.length > 0) {
+        return sizes.map(mapGridTrackToCSS).join(' ');
+    }
+    if (typeof count === 'number' && count > 0) {
+        return `repeat(${count}, minmax(0, 1fr))`;
+    }
+    return null;
+}
+
+/**
+ * Generate the grid container rules for a grid auto-layout frame
+ * @param {Object} node - Node with layoutMode GRID
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateGridLayoutCSS(node, rules) {
+    rules.push('display: grid;');
+
+    const columns = getGridTrackList(node.gridColumnSizes, node.gridColumnCount);
+    if (columns) {
+        rules.push(`grid-template-columns: ${columns};`);
+    }
+    const rows = getGridTrackList(node.gridRowSizes, node.gridRowCount);
+    if (rows) {
+        rules.push(`grid-template-rows: ${rows};`);
+    }
+
+    if (typeof node.gridRowGap === 'number' && node.gridRowGap > 0) {
+        rules.push(`row-gap: ${roundCSS(node.gridRowGap)}px;`);
+    }
+    if (typeof node.gridColumnGap === 'number' && node.gridColumnGap > 0) {
+        rules.push(`column-gap: ${roundCSS(node.gridColumnGap)}px;`);
+    }
+}
+
+/**
+ * Generate the placement rules for a child of a grid auto-layout frame
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateGridChildCSS(node, parent, rules) {
+    if (!parent || parent.layoutMode !== 'GRID' || node.layoutPositioning === 'ABSOLUTE') {
+        return;
+    }
+
+    // Anchor indices are zero-based, CSS grid lines start at 1
+    if (typeof node.gridRowAnchorIndex === 'number' && node.gridRowAnchorIndex >= 0) {
+        rules.push(`grid-row: ${node.gridRowAnchorIndex + 1} / span ${node.gridRowSpan || 1};`);
+    }
+    if (typeof node.gridColumnAnchorIndex === 'number' && node.gridColumnAnchorIndex >= 0) {
+        rules.push(`grid-column: ${node.gridColumnAnchorIndex + 1} / span ${node.gridColumnSpan || 1};`);
+    }
+
+    const alignMap = {
+        'MIN': 'start',
+        'CENTER': 'center',
+        'MAX': 'end'
+    };
+    if (alignMap[node.gridChildHorizontalAlign]) {
+        rules.push(`justify-self: ${alignMap[node.gridChildHorizontalAlign]};`);
+    }
+    if (alignMap[node.gridChildVerticalAlign]) {
+        rules.push(`align-self: ${alignMap[node.gridChildVerticalAlign]};`);
+    }
+}
+
+/**
+ * Get the visible column and row layout grids of a node
+ * @param {Object} node - Node properties
+ * @param {string} pattern - 'COLUMNS', 'ROWS' or 'GRID'
+ * @returns {Array} Layout grids with that pattern
+ */
+function getLayoutGrids(node, pattern) {
+    if (!Array.isArray(node.layoutGrids)) {
+        return [];
+    }
+    return node.layoutGrids.filter(grid => grid && grid.visible !== false && grid.pattern === pattern);
+}
+
+/**
+ * Describe a column or row layout grid as a CSS track list
+ * Stretch grids divide the frame into equal tracks inside the offsets; fixed
+ * grids use the section size and are aligned to the start, center or end.
+ * Figma reports an automatic count as Infinity (null once serialized).
+ * @param {Object} grid - Figma layout grid
+ * @returns {Object} { tracks, gap, alignment, startOffset, endOffset }
+ */
+function describeLayoutGrid(grid) {
+    const hasCount = typeof grid.count === 'number' && isFinite(grid.count) && grid.count > 0;
+    const offset = typeof grid.offset === 'number' ? grid.offset : 0;
+    const gap = typeof grid.gutterSize === 'number' ? grid.gutterSize : 0;
+
+    if (grid.alignment === 'STRETCH') {
+        return {
+            tracks: `repeat(${hasCount ? grid.count : 'auto-fill'}, minmax(0, 1fr))`,
+            gap,
+            alignment: 'stretch',
+            startOffset: offset,
+            endOffset: offset
+        };
+    }
+
+    const alignMap = {
+        'MIN': 'start',
+        'CENTER': 'center',
+        'MAX': 'end'
+    };
+    return {
+        tracks: `repeat(${hasCount ? grid.count : 'auto-fill'}, ${roundCSS(grid.sectionSize || 0)}px)`,
+        gap,
+        alignment: alignMap[grid.alignment] || 'start',
+        // Figma ignores the offset of centered grids
+        startOffset: grid.alignment === 'MIN' ? offset : 0,
+        endOffset: grid.alignment === 'MAX' ? offset : 0
+    };
+}
+
+/**
+ * Generate grid template rules from a frame's column and row layout grids
+ * Only manually laid out frames get a template: their children are positioned
+ * absolutely, so the grid does not move them.
+ * @param {Object} node - Node properties
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateLayoutGridCSS(node, rules) {
+    if (node.layoutMode && node.layoutMode !== 'NONE') {
+        return;
+    }
+
+    const columns = getLayoutGrids(node, 'COLUMNS')[0];
+    const rows = getLayoutGrids(node, 'ROWS')[0];
+    if (!columns && !rows) {
+        return;
+    }
+
+    rules.push('display: grid;');
+
+    if (columns) {
+        const layout = describeLayoutGrid(columns);
+        rules.push(`grid-template-columns: ${layout.tracks};`);
+        rules.push(`column-gap: ${roundCSS(layout.gap)}px;`);
+        rules.push(`justify-content: ${layout.alignment};`);
+        if (layout.startOffset || layout.endOffset) {
+            rules.push(`padding-left: ${roundCSS(layout.startOffset)}px;`);
+            rules.push(`padding-right: ${roundCSS(layout.endOffset)}px;`);
+        }
+    }
+
+    if (rows) {
+        const layout = describeLayoutGrid(rows);
+        rules.push(`grid-template-rows: ${layout.tracks};`);
+        rules.push(`row-gap: ${roundCSS(layout.gap)}px;`);
+        rules.push(`align-content: ${layout.alignment};`);
+        if (layout.startOffset || layout.endOffset) {
+            rules.push(`padding-top: ${roundCSS(layout.startOffset)}px;`);
+            rules.push(`padding-bottom: ${roundCSS(layout.endOffset)}px;`);
+        }
+    }
+}
+
+/**
+ * Get the background layer that draws one column or row layout grid
+ * @param {Object} grid - Figma layout grid
+ * @param {boolean} isColumns - True for a column grid, false for a row grid
+ * @returns {string|null} CSS background layer (image, position, size and repeat)
+ */
+function getLayoutGridOverlayLayer(grid, isColumns) {
+    const color = grid.color ? rgbaToHex(grid.color) : 'rgba(255, 0, 0, 0.1)';
+    const layout = describeLayoutGrid(grid);
+    const hasCount = typeof grid.count === 'number' && isFinite(grid.count) && grid.count > 0;
+    const gap = roundCSS(layout.gap);
+
+    let track;
+    let extent;
+    if (layout.alignment === 'stretch') {
+        if (!hasCount) {
+            return null;
+        }
+        // Equal tracks across the space left between the offsets
+        track = `calc((100% - ${roundCSS(gap * (grid.count - 1))}px) / ${grid.count})`;
+        extent = `calc(100% - ${roundCSS(layout.startOffset + layout.endOffset)}px)`;
+    } else {
+        const section = roundCSS(grid.sectionSize || 0);
+        track = `${section}px`;
+        extent = hasCount
+            ? `${roundCSS(section * grid.count + gap * (grid.count - 1))}px`
+            : `calc(100% - ${roundCSS(layout.startOffset + layout.endOffset)}px)`;
+    }
+
+    // The tracks are painted in a box placed where Figma draws the grid
+    let position;
+    if (layout.alignment === 'center') {
+        position = isColumns ? 'center top' : 'left center';
+    } else {
+        const edge = layout.alignment === 'end'
+            ? (isColumns ? 'right' : 'bottom')
+            : (isColumns ? 'left' : 'top');
+        const offset = `${roundCSS(layout.alignment === 'end' ? layout.endOffset : layout.startOffset)}px`;
+        position = isColumns ? `${edge} ${offset} top 0px` : `left 0px ${edge} ${offset}`;
+    }
+    const size = isColumns ? `${extent} 100%` : `100% ${extent}`;
+    const gradient = `repeating-linear-gradient(${isColumns ? 'to right' : 'to bottom'}, ${color} 0 ${track}, transparent ${track} calc(${track} + ${gap}px))`;
+
+    return `${gradient} ${position} / ${size} no-repeat`;
+}
+
+/**
+ * Generate the debug overlay that draws a frame's layout grids
+ * The overlay is a ::after layer that only shows while the document element
+ * has the figma-show-grids class.
+ * @param {Object} node - Node properties
+ * @returns {Array} CSS declarations for the ::after rule ([] without layout grids)
+ */
+function generateLayoutGridOverlayCSS(node) {
+    const layers = [];
+
+    getLayoutGrids(node, 'COLUMNS').forEach(grid => layers.push(getLayoutGridOverlayLayer(grid, true)));
+    getLayoutGrids(node, 'ROWS').forEach(grid => layers.push(getLayoutGridOverlayLayer(grid, false)));
+
+    // Square grids are drawn as lines every section size
+    getLayoutGrids(node, 'GRID').forEach(grid => {
+        const color = grid.color ? rgbaToHex(grid.color) : 'rgba(255, 0, 0, 0.1)';
+        const size = roundCSS(grid.sectionSize || 10);
+        layers.push(`repeating-linear-gradient(to right, ${color} 0 1px, transparent 1px ${size}px)`);
+        layers.push(`repeating-linear-gradient(to bottom, ${color} 0 1px, transparent 1px ${size}px)`);
+    });
+
+    const backgrounds = layers.filter(Boolean);
+    if (backgrounds.length === 0) {
+        return [];
+    }
+
+    return [
+        `content: '';`,
+        `position: absolute;`,
+        `inset: 0;`,
+        `pointer-events: none;`,
+        `z-index: 2147483647;`,
+        `background: ${backgrounds.join(', ')};`
+    ];
+}
+
+module.exports = {
+    generateGridLayoutCSS,
+    generateGridChildCSS,
+    generateLayoutGridCSS,
+    generateLayoutGridOverlayCSS
+};
@@ -0,0 +1,93 @@
+/**
+ * Image fill CSS generator for converting Figma IMAGE paints to CSS background layers
+ */
+
+const { roundCSS } = require('../utils/color-utils');
+
+/**
+ * Generate a CSS background layer for an IMAGE fill
+ * @param {Object} fill - Image fill (imageHash, scaleMode, imageTransform, scalingFactor)
+ * @param {Object} asset - Exported image asset ({ path, width, height }); without
+ *   one there is no file to point at, so the fill draws no layer
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @returns {string|null} CSS background layer (image position / size repeat)
+ */
+function generateImageFillCSS(fill, asset, width, height) {
+    const imageHash = fill.imageHash || fill.imageRef;
+    if (!imageHash || !asset || !asset.path) {
+        return null;
+    }
+
+    const image = `url("${asset.path}")`;
+
+    switch (fill.scaleMode) {
+        case 'FIT':
+            return `${image} center / contain no-repeat`;
+        case 'TILE':
+            return `${image} left top / ${getImageTileSize(fill, asset)} repeat`;
+        case 'CROP':
+            return `${image} ${getImageCropGeometry(fill, width, height)} no-repeat`;
+        case 'FILL':
+        default:
+            return `${image} center / cover no-repeat`;
+    }
+}
+
+/**
+ * Get the tile size for a TILE image fill
+ * @param {Object} fill - Image fill
+ * @param {Object} asset - Exported image asset
+ * @returns {string} CSS background-size value
+ */
+function getImageTileSize(fill, asset) {
+    const scalingFactor = typeof fill.scalingFactor === 'number' && fill.scalingFactor > 0 ? fill.scalingFactor : 1;
+
+    if (asset && asset.width && asset.height) {
+        return `${roundCSS(asset.width * scalingFactor)}px ${roundCSS(asset.height * scalingFactor)}px`;
+    }
+
+    // Without the natural size the browser's own image size is the best match
+    return 'auto';
+}
+
+/**
+ * Get background position and size for a CROP image fill
+ * The imageTransform maps the node's normalized box into the image's normalized
+ * space, so its inverse gives the image rectangle relative to the node.
+ * @param {Object} fill - Image fill
+ * @param {number} width - Node width
+ * @param {number} height - Node height
+ * @returns {string} CSS "position / size" value
+ */
+function getImageCropGeometry(fill, width, height) {
+    const transform = fill.imageTransform;
+    if (!Array.isArray(transform) || transform.length < 2) {
+        return 'center / cover';
+    }
+
+    const [[scaleX, , offsetX], [, scaleY, offsetY]] = transform;
+    if (!scaleX || !scaleY) {
+        return 'center / cover';
+    }
+
+    // Image rectangle in node-relative fractions (rotation and skew are ignored)
+    const imageWidth = 1 / scaleX;
+    const imageHeight = 1 / scaleY;
+    const imageLeft = -offsetX / scaleX;
+    const imageTop = -offsetY / scaleY;
+
+    const size = `${roundCSS(imageWidth * 100)}% ${roundCSS(imageHeight * 100)}%`;
+
+    if (typeof width === 'number' && width > 0 && typeof height === 'number' && height > 0) {
+        return `${roundCSS(imageLeft * width)}px ${roundCSS(imageTop * height)}px / ${size}`;
+    }
+
+    return `left top / ${size}`;
+}
+
+module.exports = {
+    generateImageFillCSS,
+    getImageTileSize,
+    getImageCropGeometry
+};
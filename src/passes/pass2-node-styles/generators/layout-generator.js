@@ -2,8 +2,13 @@
  * Layout CSS generator for converting layout properties to CSS rules
  */
 
-const { generatePositioningCSS } = require('./positioning-generator');
+const { generatePositioningCSS, hasConstraintSize } = require('./positioning-generator');
+const { generateGridLayoutCSS, generateGridChildCSS, generateLayoutGridCSS } = require('./grid-generator');
 const { roundCSS } = require('../utils/color-utils');
+const { getTransformMatrix, formatTransformMatrixCSS } = require('../utils/transform-utils');
+const { usesBorderStroke, getStrokeSideWeights } = require('./stroke-generator');
+const { extractStrokes } = require('../extractors/strokes-extractor');
+const { getStrokeOutsideShare } = require('../mappers/property-mappers');
 
 /**
  * Generate layout CSS rules directly from node properties
@@ -19,16 +24,25 @@ function generateLayoutCSS(node, parent = null, isTopLevel = false, isImageFrame
     // Enhanced positioning support (includes layout sizing logic)
     generatePositioningCSS(node, parent, isTopLevel, rules);
     
-    // Basic dimensions - apply if node has width/height and layout sizing is not 'FILL'
-    if (node.width && typeof node.width === 'number' && node.layoutSizingHorizontal !== 'FILL') {
+    // Basic dimensions - apply if node has width/height, the size is not filled from
+    // the auto-layout parent and does not follow a STRETCH/SCALE constraint
+    if (node.width && typeof node.width === 'number' && !fillsParentAxis(node, parent, 'horizontal') &&
+        !hasConstraintSize(node, parent, isTopLevel, 'horizontal')) {
         rules.push(`width: ${roundCSS(node.width)}px;`);
     }
-    if (node.height && typeof node.height === 'number' && node.layoutSizingVertical !== 'FILL') {
+    if (node.height && typeof node.height === 'number' && !fillsParentAxis(node, parent, 'vertical') &&
+        !hasConstraintSize(node, parent, isTopLevel, 'vertical')) {
         rules.push(`height: ${roundCSS(node.height)}px;`);
     }
     
+    // Flex item properties (grow, stretch, stacking) inside auto-layout parents
+    generateAutoLayoutChildCSS(node, parent, rules);
+    
+    // Cell placement inside grid auto-layout parents
+    generateGridChildCSS(node, parent, rules);
+    
     // Transform properties (including rotation)
-    generateTransformCSS(node, rules);
+    generateTransformCSS(node, rules, parent, isTopLevel);
     
     // Border radius
     if (node.cornerRadius || node.topLeftRadius || node.topRightRadius || node.bottomLeftRadius || node.bottomRightRadius) {
@@ -52,41 +66,20 @@ function generateLayoutCSS(node, parent = null, isTopLevel = false, isImageFrame
     
     // Flexbox layout
     if (node.layoutMode === 'HORIZONTAL' || node.layoutMode === 'VERTICAL') {
-        rules.push(`display: flex;`);
-        rules.push(`flex-direction: ${node.layoutMode === 'HORIZONTAL' ? 'row' : 'column'};`);
-        
-        if (node.primaryAxisAlignItems) {
-            const alignMap = {
-                'MIN': 'flex-start',
-                'CENTER': 'center',
-                'MAX': 'flex-end',
-                'SPACE_BETWEEN': 'space-between'
-            };
-            rules.push(`justify-content: ${alignMap[node.primaryAxisAlignItems] || 'flex-start'};`);
-        }
-        
-        if (node.counterAxisAlignItems) {
-            const alignMap = {
-                'MIN': 'flex-start',
-                'CENTER': 'center',
-                'MAX': 'flex-end'
-            };
-            rules.push(`align-items: ${alignMap[node.counterAxisAlignItems] || 'flex-start'};`);
-        }
-        
-        // Only apply gap if not using space-between (which distributes space automatically)
-        if (node.itemSpacing && typeof node.itemSpacing === 'number' && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
-            rules.push(`gap: ${roundCSS(node.itemSpacing)}px;`);
-        }
+        generateAutoLayoutCSS(node, rules);
+    } else if (node.layoutMode === 'GRID') {
+        generateGridLayoutCSS(node, rules);
+    } else {
+        // Column and row layout grids become a grid template for manual frames
+        generateLayoutGridCSS(node, rules);
     }
     
     // Padding - skip for image frames to avoid interfering with image display
     if (!isImageFrame && (node.paddingLeft || node.paddingRight || node.paddingTop || node.paddingBottom)) {
-        const paddingTop = typeof node.paddingTop === 'number' ? roundCSS(node.paddingTop) : 0;
-        const paddingRight = typeof node.paddingRight === 'number' ? roundCSS(node.paddingRight) : 0;
-        const paddingBottom = typeof node.paddingBottom === 'number' ? roundCSS(node.paddingBottom) : 0;
-        const paddingLeft = typeof node.paddingLeft === 'number' ? roundCSS(node.paddingLeft) : 0;
-        const padding = `${paddingTop}px ${paddingRight}px ${paddingBottom}px ${paddingLeft}px`;
+        // CSS borders add to the padding, outlines do not (see getLayoutStrokeInsets)
+        const strokeInsets = getLayoutStrokeInsets(node);
+        const inset = (padding, stroke) => roundCSS(Math.max(0, (typeof padding === 'number' ? padding : 0) - stroke));
+        const padding = `${inset(node.paddingTop, strokeInsets.top)}px ${inset(node.paddingRight, strokeInsets.right)}px ${inset(node.paddingBottom, strokeInsets.bottom)}px ${inset(node.paddingLeft, strokeInsets.left)}px`;
         rules.push(`padding: ${padding};`);
         console.log(`📏 Adding padding to node: ${node.name || node.id} - ${padding}`);
     } else if (isImageFrame) {
@@ -97,25 +90,199 @@ function generateLayoutCSS(node, parent = null, isTopLevel = false, isImageFrame
 }
 
 /**
- * Generate transform CSS (rotation, scale, translate, etc.)
+ * Generate the flex container rules for an auto-layout frame
+ * @param {Object} node - Auto-layout node (layoutMode HORIZONTAL or VERTICAL)
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateAutoLayoutCSS(node, rules) {
+    const alignMap = {
+        'MIN': 'flex-start',
+        'CENTER': 'center',
+        'MAX': 'flex-end',
+        'SPACE_BETWEEN': 'space-between',
+        'BASELINE': 'baseline'
+    };
+    // Only horizontal auto-layout can wrap in Figma
+    const wraps = node.layoutMode === 'HORIZONTAL' && node.layoutWrap === 'WRAP';
+
+    rules.push(`display: flex;`);
+    rules.push(`flex-direction: ${node.layoutMode === 'HORIZONTAL' ? 'row' : 'column'};`);
+    if (wraps) {
+        rules.push(`flex-wrap: wrap;`);
+    }
+    
+    if (node.primaryAxisAlignItems) {
+        rules.push(`justify-content: ${alignMap[node.primaryAxisAlignItems] || 'flex-start'};`);
+    }
+    
+    if (node.counterAxisAlignItems) {
+        rules.push(`align-items: ${alignMap[node.counterAxisAlignItems] || 'flex-start'};`);
+    }
+    
+    // Wrapped rows are packed at the counter-axis alignment or spread with SPACE_BETWEEN
+    if (wraps) {
+        const alignContent = node.counterAxisAlignContent === 'SPACE_BETWEEN'
+            ? 'space-between'
+            : (alignMap[node.counterAxisAlignItems] || 'flex-start');
+        rules.push(`align-content: ${alignContent === 'baseline' ? 'flex-start' : alignContent};`);
+    }
+    
+    // Only apply gap if not using space-between (which distributes space automatically);
+    // negative spacing is applied as margins on the children
+    if (typeof node.itemSpacing === 'number' && node.itemSpacing > 0 && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+        rules.push(`gap: ${roundCSS(node.itemSpacing)}px;`);
+    }
+    
+    // Spacing between wrapped rows
+    if (wraps && typeof node.counterAxisSpacing === 'number' && node.counterAxisAlignContent !== 'SPACE_BETWEEN') {
+        rules.push(`row-gap: ${roundCSS(Math.max(0, node.counterAxisSpacing))}px;`);
+    }
+}
+
+/**
+ * Check whether a node is placed by the flow of its auto-layout parent
  * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @returns {boolean} True for auto-layout children that are not absolutely positioned
+ */
+function isAutoLayoutFlowChild(node, parent) {
+    if (!parent || (parent.layoutMode !== 'HORIZONTAL' && parent.layoutMode !== 'VERTICAL')) {
+        return false;
+    }
+    const isVariant = node.type === 'COMPONENT' && parent.type === 'COMPONENT_SET';
+    return node.layoutPositioning !== 'ABSOLUTE' && !isVariant;
+}
+
+/**
+ * Check whether a node's size on one axis is filled from its parent instead of fixed
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @param {string} axis - 'horizontal' or 'vertical'
+ * @returns {boolean} True for FILL sizing, grow on the primary axis or stretch on the counter axis
+ */
+function fillsParentAxis(node, parent, axis) {
+    const sizing = axis === 'horizontal' ? node.layoutSizingHorizontal : node.layoutSizingVertical;
+    if (sizing === 'FILL') {
+        return true;
+    }
+    if (!isAutoLayoutFlowChild(node, parent)) {
+        return false;
+    }
+
+    const isPrimaryAxis = (parent.layoutMode === 'HORIZONTAL') === (axis === 'horizontal');
+    return isPrimaryAxis ? node.layoutGrow > 0 : node.layoutAlign === 'STRETCH';
+}
+
+/**
+ * Generate flex item rules for a child of an auto-layout frame
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
  * @param {Array} rules - Array to add CSS rules to
  */
-function generateTransformCSS(node, rules) {
-    const transforms = [];
+function generateAutoLayoutChildCSS(node, parent, rules) {
+    if (!parent || (parent.layoutMode !== 'HORIZONTAL' && parent.layoutMode !== 'VERTICAL')) {
+        return;
+    }
+
+    // "First on top" stacking: earlier layers paint above later ones
+    const siblings = Array.isArray(parent.children) ? parent.children.filter(child => child && child.visible !== false) : [];
+    const stackIndex = siblings.findIndex(child => child.id === node.id);
+    if (parent.itemReverseZIndex && stackIndex >= 0) {
+        rules.push(`z-index: ${siblings.length - stackIndex};`);
+    }
+
+    if (!isAutoLayoutFlowChild(node, parent)) {
+        return;
+    }
+
+    const isHorizontal = parent.layoutMode === 'HORIZONTAL';
+    if (node.layoutGrow > 0) {
+        rules.push(`flex: ${roundCSS(node.layoutGrow)} 1 0;`);
+        // Let grown children shrink below their content size, as Figma does
+        const minSize = isHorizontal ? node.minWidth : node.minHeight;
+        if (!minSize) {
+            rules.push(`min-${isHorizontal ? 'width' : 'height'}: 0;`);
+        }
+    } else {
+        // Figma never shrinks fixed or hugging children to fit the frame
+        rules.push('flex-shrink: 0;');
+    }
+
+    if (node.layoutAlign === 'STRETCH') {
+        rules.push('align-self: stretch;');
+    }
+
+    // gap cannot be negative, so overlapping items pull themselves back with a margin
+    const flowSiblings = siblings.filter(child => isAutoLayoutFlowChild(child, parent));
+    const flowIndex = flowSiblings.findIndex(child => child.id === node.id);
+    if (flowIndex > 0 && typeof parent.itemSpacing === 'number' && parent.itemSpacing < 0 &&
+        parent.primaryAxisAlignItems !== 'SPACE_BETWEEN' && parent.layoutWrap !== 'WRAP') {
+        rules.push(`margin-${isHorizontal ? 'left' : 'top'}: ${roundCSS(parent.itemSpacing)}px;`);
+    }
+}
+
+/**
+ * Get the stroke widths to take out of an auto-layout frame's padding
+ * Figma leaves strokes out of the layout unless strokesIncludedInLayout is set.
+ * Border strokes add to the padding in CSS, so they are taken back out when
+ * they are left out; outline and shadow strokes take no space, so included
+ * strokes add their inside share (negative widths).
+ * @param {Object} node - Node properties
+ * @returns {Object} Widths per side ({ top, right, bottom, left })
+ */
+function getLayoutStrokeInsets(node) {
+    const none = { top: 0, right: 0, bottom: 0, left: 0 };
+    const isAutoLayout = node.layoutMode === 'HORIZONTAL' || node.layoutMode === 'VERTICAL';
+    const stroke = isAutoLayout ? extractStrokes(node) : null;
+    if (!stroke) {
+        return none;
+    }
 
-    // Only apply simple rotation if it exists and is reasonable
-    if (node.rotation && typeof node.rotation === 'number' && Math.abs(node.rotation) > 0.1 && Math.abs(node.rotation) < 360) {
-        transforms.push(`rotate(${roundCSS(node.rotation)}deg)`);
+    const weights = getStrokeSideWeights(stroke);
+    if (usesBorderStroke(stroke)) {
+        return node.strokesIncludedInLayout ? none : weights;
+    }
+    if (!node.strokesIncludedInLayout) {
+        return none;
     }
 
-    // Skip relativeTransform matrix processing as it often contains document-level coordinates
-    // and transformations that are not suitable for CSS transforms.
-    // Positioning is already handled by the positioning system.
+    const inside = 1 - getStrokeOutsideShare(stroke.align);
+    return {
+        top: -weights.top * inside,
+        right: -weights.right * inside,
+        bottom: -weights.bottom * inside,
+        left: -weights.left * inside
+    };
+}
 
-    if (transforms.length > 0) {
-        rules.push(`transform: ${transforms.join(' ')};`);
+/**
+ * Generate transform CSS (rotation, flips, skew) from the node's relativeTransform
+ * The matrix translation is the node's x/y, which left/top already place, so the
+ * linear part is applied around the top-left corner like Figma does. Nodes that
+ * are not placed by their x/y (top-level frames, variants, auto-layout children)
+ * turn around their center instead.
+ * @param {Object} node - Node properties
+ * @param {Array} rules - Array to add CSS rules to
+ * @param {Object} parent - Parent node (for context)
+ * @param {boolean} isTopLevel - Whether this is a top-level node
+ */
+function generateTransformCSS(node, rules, parent = null, isTopLevel = false) {
+    // Group children carry the group's transform in their own matrices
+    if (node.type === 'GROUP') {
+        return;
     }
+
+    const transform = formatTransformMatrixCSS(getTransformMatrix(node));
+    if (!transform) {
+        return;
+    }
+
+    const isVariant = node.type === 'COMPONENT' && parent && parent.type === 'COMPONENT_SET';
+    const isFlowChild = parent && parent.layoutMode && parent.layoutMode !== 'NONE' && node.layoutPositioning !== 'ABSOLUTE';
+    const isPlacedByPosition = !isTopLevel && !isVariant && !isFlowChild;
+
+    rules.push(`transform-origin: ${isPlacedByPosition ? '0 0' : '50% 50%'};`);
+    rules.push(`transform: ${transform};`);
 }
 
 /**
@@ -173,6 +340,9 @@ function mapOverflowToCSS(overflow) {
 
 module.exports = {
     generateLayoutCSS,
+    generateAutoLayoutCSS,
+    generateAutoLayoutChildCSS,
+    fillsParentAxis,
     generateTransformCSS,
     generateBorderRadiusCSS,
     mapOverflowToCSS
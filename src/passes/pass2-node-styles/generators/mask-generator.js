@@ -0,0 +1,223 @@
+/**
+ * Mask CSS generator for Figma mask layers
+ *
+ * In Figma a layer with isMask hides itself and masks every sibling above it
+ * (later in the children array) until the next mask layer. Each masked sibling
+ * gets a CSS mask-image: an inline SVG of the mask shape, drawn in the
+ * sibling's own coordinate space so the mask lines up whatever the layout.
+ * Vector masks clip to the outline with an SVG clipPath; alpha and luminance
+ * masks draw the mask layer's fill and use mask-mode alpha or luminance.
+ */
+
+const { roundCSS } = require('../utils/color-utils');
+const { invertGradientTransform } = require('./gradient-generator');
+const { generateRectanglePath, generateEllipsePath } = require('./svg-generator');
+const { getNodeAffineTransform } = require('../utils/transform-utils');
+
+/**
+ * Check whether a layer is an active mask
+ * @param {Object} node - Node properties
+ * @returns {boolean} True for visible layers with isMask
+ */
+function isMaskLayer(node) {
+    return !!(node && node.isMask && node.visible !== false);
+}
+
+/**
+ * Find the mask layer that masks a node
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @returns {Object|null} Closest mask layer below the node, or null
+ */
+function getMaskingLayer(node, parent) {
+    if (!parent || !Array.isArray(parent.children) || isMaskLayer(node)) {
+        return null;
+    }
+
+    let mask = null;
+    for (const sibling of parent.children) {
+        if (sibling === node || (sibling && sibling.id === node.id)) {
+            return mask;
+        }
+        if (isMaskLayer(sibling)) {
+            mask = sibling;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the transform from the mask layer's space into a masked node's space
+ * @param {Object} mask - Mask layer
+ * @param {Object} node - Masked node
+ * @returns {string|null} SVG matrix() value, or null if the node cannot be inverted
+ */
+function getMaskToNodeTransform(mask, node) {
+    const m = getNodeAffineTransform(mask);
+    const n = getNodeAffineTransform(node);
+
+    const inverse = invertGradientTransform([[n.a, n.c, n.e], [n.b, n.d, n.f]]);
+    if (!inverse) {
+        return null;
+    }
+
+    const [[ia, ic, ie], [ib, id, iF]] = inverse;
+    const values = [
+        ia * m.a + ic * m.b,
+        ib * m.a + id * m.b,
+        ia * m.c + ic * m.d,
+        ib * m.c + id * m.d,
+        ia * m.e + ic * m.f + ie,
+        ib * m.e + id * m.f + iF
+    ];
+    return `matrix(${values.map(value => roundCSS(value, 6)).join(' ')})`;
+}
+
+/**
+ * Get the outline of a mask layer as SVG paths
+ * @param {Object} mask - Mask layer
+ * @returns {Array} Paths ({ data, fillRule }) in the mask layer's space
+ */
+function getMaskGeometry(mask) {
+    if (Array.isArray(mask.fillGeometry) && mask.fillGeometry.length > 0) {
+        return mask.fillGeometry
+            .filter(geometry => geometry && geometry.data)
+            .map(geometry => ({
+                data: geometry.data,
+                fillRule: geometry.windingRule === 'EVENODD' ? 'evenodd' : 'nonzero'
+            }));
+    }
+
+    const data = mask.type === 'ELLIPSE' ? generateEllipsePath(mask) : generateRectanglePath(mask);
+    return [{ data, fillRule: 'nonzero' }];
+}
+
+/**
+ * Format a Figma color as SVG fill attributes
+ * @param {Object} color - { r, g, b, a }
+ * @param {number} opacity - Paint opacity
+ * @param {string} colorAttribute - 'fill' or 'stop-color'
+ * @returns {string} Color and opacity attributes
+ */
+function formatMaskColorAttributes(color, opacity, colorAttribute) {
+    const alpha = (color.a !== undefined ? color.a : 1) * (opacity !== undefined ? opacity : 1);
+    const rgb = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+    const opacityAttribute = colorAttribute === 'fill' ? 'fill-opacity' : 'stop-opacity';
+    return `${colorAttribute}="${rgb}" ${opacityAttribute}="${roundCSS(alpha, 4)}"`;
+}
+
+/**
+ * Get the paint of an alpha or luminance mask as SVG
+ * The topmost visible solid or linear/radial gradient fill is used; other
+ * paints (images) mask as an opaque shape.
+ * @param {Object} mask - Mask layer
+ * @returns {Object} { fill, defs } where fill is the attributes for the mask paths
+ */
+function getMaskPaintSVG(mask) {
+    const fills = Array.isArray(mask.fills) ? mask.fills.filter(fill => fill && fill.visible !== false) : [];
+    const fill = fills[fills.length - 1];
+
+    if (fill && fill.type === 'SOLID' && fill.color) {
+        return { fill: formatMaskColorAttributes(fill.color, fill.opacity, 'fill'), defs: '' };
+    }
+
+    if (fill && (fill.type === 'GRADIENT_LINEAR' || fill.type === 'GRADIENT_RADIAL') && Array.isArray(fill.gradientStops)) {
+        const inverse = invertGradientTransform(fill.gradientTransform);
+        if (inverse) {
+            // Gradient space (0..1) -> node pixels, like the gradient handles
+            const width = mask.width || 0;
+            const height = mask.height || 0;
+            const matrix = [
+                inverse[0][0] * width, inverse[1][0] * height,
+                inverse[0][1] * width, inverse[1][1] * height,
+                inverse[0][2] * width, inverse[1][2] * height
+            ].map(value => roundCSS(value, 6)).join(' ');
+
+            const stops = fill.gradientStops.map(stop =>
+                `<stop offset="${roundCSS((stop.position || 0) * 100, 2)}%" ${formatMaskColorAttributes(stop.color, fill.opacity, 'stop-color')}/>`
+            ).join('');
+            const gradient = fill.type === 'GRADIENT_LINEAR'
+                ? `<linearGradient id="p" gradientUnits="userSpaceOnUse" gradientTransform="matrix(${matrix})" x1="0" y1="0.5" x2="1" y2="0.5">${stops}</linearGradient>`
+                : `<radialGradient id="p" gradientUnits="userSpaceOnUse" gradientTransform="matrix(${matrix})" cx="0.5" cy="0.5" r="0.5">${stops}</radialGradient>`;
+            return { fill: 'fill="url(#p)"', defs: gradient };
+        }
+    }
+
+    return { fill: 'fill="#000"', defs: '' };
+}
+
+/**
+ * Build the SVG image that masks a node
+ * @param {Object} mask - Mask layer
+ * @param {Object} node - Masked node
+ * @returns {string|null} SVG markup sized to the masked node, or null
+ */
+function generateMaskSVG(mask, node) {
+    const transform = getMaskToNodeTransform(mask, node);
+    if (!transform) {
+        return null;
+    }
+
+    const width = roundCSS(node.width || 0);
+    const height = roundCSS(node.height || 0);
+    const geometry = getMaskGeometry(mask);
+    let content;
+    let defs = '';
+
+    if (mask.maskType === 'VECTOR') {
+        // Outline masks ignore the mask's fill and opacity
+        // clipPath only takes shapes, so each path carries the transform
+        const paths = geometry.map(path => `<path d="${path.data}" clip-rule="${path.fillRule}" transform="${transform}"/>`).join('');
+        defs = `<clipPath id="m">${paths}</clipPath>`;
+        content = `<rect width="${width}" height="${height}" fill="#000" clip-path="url(#m)"/>`;
+    } else {
+        const paint = getMaskPaintSVG(mask);
+        defs = paint.defs;
+        const paths = geometry.map(path => `<path d="${path.data}" fill-rule="${path.fillRule}" ${paint.fill}/>`).join('');
+        const opacity = typeof mask.opacity === 'number' && mask.opacity < 1 ? ` opacity="${roundCSS(mask.opacity, 4)}"` : '';
+        content = `<g transform="${transform}"${opacity}>${paths}</g>`;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${defs ? `<defs>${defs}</defs>` : ''}${content}</svg>`;
+}
+
+/**
+ * Generate mask rules for a node
+ * Mask layers are hidden (they keep their place in auto-layout, like in
+ * Figma) and the siblings they mask get a mask-image.
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateMaskCSS(node, parent, rules) {
+    if (isMaskLayer(node)) {
+        rules.push('visibility: hidden;');
+        rules.push('pointer-events: none;');
+        return;
+    }
+
+    const mask = getMaskingLayer(node, parent);
+    if (!mask) {
+        return;
+    }
+
+    const svg = generateMaskSVG(mask, node);
+    if (!svg) {
+        return;
+    }
+
+    const image = `url("data:image/svg+xml,${encodeURIComponent(svg)}")`;
+    rules.push(`-webkit-mask-image: ${image};`);
+    rules.push(`mask-image: ${image};`);
+    rules.push('-webkit-mask-size: 100% 100%;');
+    rules.push('mask-size: 100% 100%;');
+    rules.push('-webkit-mask-repeat: no-repeat;');
+    rules.push('mask-repeat: no-repeat;');
+    rules.push(`mask-mode: ${mask.maskType === 'LUMINANCE' ? 'luminance' : 'alpha'};`);
+}
+
+module.exports = {
+    isMaskLayer,
+    getMaskingLayer,
+    generateMaskCSS
+};
@@ -46,17 +46,17 @@ function generatePositioningCSS(node, parent = null, isTopLevel = false, rules)
         if (positioning) {
             rules.push(`position: ${positioning};`);
             
-            // If absolute positioning, add x/y coordinates (relative to parent or figma-container)
+            // If absolute positioning, anchor x/y to the parent edges its constraints pin
             if (positioning === 'absolute' && hasAbsolutePositioning) {
                 if (node.x !== undefined && typeof node.x === 'number') {
                     // Use node.x directly - it's already relative to parent in Figma
                     const relativeX = isTopLevel ? 0 : node.x;
-                    rules.push(`left: ${roundCSS(relativeX)}px;`);
+                    generateConstraintPositionCSS(node, parent, isTopLevel, 'horizontal', relativeX, rules);
                 }
                 if (node.y !== undefined && typeof node.y === 'number') {
                     // Use node.y directly - it's already relative to parent in Figma
                     const relativeY = isTopLevel ? 0 : node.y;
-                    rules.push(`top: ${roundCSS(relativeY)}px;`);
+                    generateConstraintPositionCSS(node, parent, isTopLevel, 'vertical', relativeY, rules);
                 }
             }
         }
@@ -69,16 +69,16 @@ function generatePositioningCSS(node, parent = null, isTopLevel = false, rules)
             rules.push('position: relative;');
             // x/y coordinates are ignored in auto-layout (handled by flexbox)
         } else {
-            // Parent is manual layout: child can be absolutely positioned
+            // Parent is manual layout: child is absolutely positioned following its constraints
             if (hasAbsolutePositioning) {
                 rules.push('position: absolute;');
                 if (node.x !== undefined && typeof node.x === 'number') {
                     const relativeX = isTopLevel ? 0 : node.x;
-                    rules.push(`left: ${roundCSS(relativeX)}px;`);
+                    generateConstraintPositionCSS(node, parent, isTopLevel, 'horizontal', relativeX, rules);
                 }
                 if (node.y !== undefined && typeof node.y === 'number') {
                     const relativeY = isTopLevel ? 0 : node.y;
-                    rules.push(`top: ${roundCSS(relativeY)}px;`);
+                    generateConstraintPositionCSS(node, parent, isTopLevel, 'vertical', relativeY, rules);
                 }
             }
         }
@@ -115,8 +115,6 @@ function generatePositioningCSS(node, parent = null, isTopLevel = false, rules)
         rules.push('position: relative;');
     }
     
-    // Constraints are ignored - using x/y coordinates directly
-    
     // Handle layout sizing
     generateLayoutSizingCSS(node, rules);
     
@@ -154,7 +152,94 @@ function mapLayoutPositioningToCSS(layoutPositioning) {
     }
 }
 
-// Constraints handling removed - using x/y coordinates directly
+/**
+ * Get the Figma constraint that applies to a node on one axis
+ * Constraints only take effect for children placed by coordinates inside a
+ * frame; top-level nodes, auto-layout flow children and group children keep
+ * their pixel offsets (MIN).
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @param {boolean} isTopLevel - Whether this is a top-level node
+ * @param {string} axis - 'horizontal' or 'vertical'
+ * @returns {string} MIN, MAX, CENTER, STRETCH or SCALE
+ */
+function getEffectiveConstraint(node, parent, isTopLevel, axis) {
+    if (isTopLevel || !parent || !node.constraints) {
+        return 'MIN';
+    }
+
+    const isAbsoluteChild = node.layoutPositioning === 'ABSOLUTE' || parent.layoutMode === 'NONE';
+    const isVariant = node.type === 'COMPONENT' && parent.type === 'COMPONENT_SET';
+    const parentSize = axis === 'horizontal' ? parent.width : parent.height;
+    if (!isAbsoluteChild || isVariant || typeof parentSize !== 'number' || parentSize <= 0) {
+        return 'MIN';
+    }
+
+    return node.constraints[axis] || 'MIN';
+}
+
+/**
+ * Generate the position rules for one axis from the node's constraint
+ * - MIN: offset from the left/top edge
+ * - MAX: offset from the right/bottom edge
+ * - CENTER: offset from the parent's center (calc, so rotation transforms are untouched)
+ * - STRETCH: offsets from both edges, the size follows the parent
+ * - SCALE: position and size as percentages of the parent
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @param {boolean} isTopLevel - Whether this is a top-level node
+ * @param {string} axis - 'horizontal' or 'vertical'
+ * @param {number} offset - Offset from the parent's left/top edge in pixels
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateConstraintPositionCSS(node, parent, isTopLevel, axis, offset, rules) {
+    const isHorizontal = axis === 'horizontal';
+    const startProperty = isHorizontal ? 'left' : 'top';
+    const endProperty = isHorizontal ? 'right' : 'bottom';
+    const sizeProperty = isHorizontal ? 'width' : 'height';
+
+    const constraint = getEffectiveConstraint(node, parent, isTopLevel, axis);
+    const parentSize = parent ? parent[sizeProperty] : 0;
+    const size = typeof node[sizeProperty] === 'number' ? node[sizeProperty] : 0;
+    const endOffset = parentSize - offset - size;
+
+    switch (constraint) {
+        case 'MAX':
+            rules.push(`${endProperty}: ${roundCSS(endOffset)}px;`);
+            break;
+        case 'CENTER': {
+            const centerOffset = roundCSS(offset - parentSize / 2);
+            const sign = centerOffset < 0 ? '-' : '+';
+            rules.push(`${startProperty}: calc(50% ${sign} ${Math.abs(centerOffset)}px);`);
+            break;
+        }
+        case 'STRETCH':
+            rules.push(`${startProperty}: ${roundCSS(offset)}px;`);
+            rules.push(`${endProperty}: ${roundCSS(endOffset)}px;`);
+            break;
+        case 'SCALE':
+            rules.push(`${startProperty}: ${roundCSS(offset / parentSize * 100, 4)}%;`);
+            rules.push(`${sizeProperty}: ${roundCSS(size / parentSize * 100, 4)}%;`);
+            break;
+        case 'MIN':
+        default:
+            rules.push(`${startProperty}: ${roundCSS(offset)}px;`);
+            break;
+    }
+}
+
+/**
+ * Check whether a node's size on one axis comes from its constraint rather than a fixed size
+ * @param {Object} node - Node properties
+ * @param {Object} parent - Parent node
+ * @param {boolean} isTopLevel - Whether this is a top-level node
+ * @param {string} axis - 'horizontal' or 'vertical'
+ * @returns {boolean} True for STRETCH and SCALE constraints
+ */
+function hasConstraintSize(node, parent, isTopLevel, axis) {
+    const constraint = getEffectiveConstraint(node, parent, isTopLevel, axis);
+    return constraint === 'STRETCH' || constraint === 'SCALE';
+}
 
 /**
  * Generate layout sizing CSS from node properties
@@ -164,16 +249,16 @@ function mapLayoutPositioningToCSS(layoutPositioning) {
 function generateLayoutSizingCSS(node, rules) {
     // Min/Max dimensions
     if (node.minWidth) {
-        rules.push(`min-width: ${node.minWidth}px;`);
+        rules.push(`min-width: ${roundCSS(node.minWidth)}px;`);
     }
     if (node.maxWidth) {
-        rules.push(`max-width: ${node.maxWidth}px;`);
+        rules.push(`max-width: ${roundCSS(node.maxWidth)}px;`);
     }
     if (node.minHeight) {
-        rules.push(`min-height: ${node.minHeight}px;`);
+        rules.push(`min-height: ${roundCSS(node.minHeight)}px;`);
     }
     if (node.maxHeight) {
-        rules.push(`max-height: ${node.maxHeight}px;`);
+        rules.push(`max-height: ${roundCSS(node.maxHeight)}px;`);
     }
 
     // Layout sizing horizontal
@@ -206,5 +291,8 @@ function generateLayoutSizingCSS(node, rules) {
 module.exports = {
     generatePositioningCSS,
     mapLayoutPositioningToCSS,
+    getEffectiveConstraint,
+    generateConstraintPositionCSS,
+    hasConstraintSize,
     generateLayoutSizingCSS
 };
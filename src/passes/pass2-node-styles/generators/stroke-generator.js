@@ -1,8 +1,15 @@
 /**
- * Stroke CSS generator for converting stroke styles to CSS border properties
+ * Stroke CSS generator for converting stroke styles to CSS outlines, borders and shadows
+ *
+ * Figma strokes never move a layer's content, so uniform strokes are drawn
+ * with outline (offset by the stroke alignment) rather than border. Strokes
+ * with different weights per side use borders when they are inside the layer
+ * and box shadows when they reach outside it. Gradient and image strokes are
+ * painted on a masked ::before layer.
  */
 
 const { roundCSS } = require('../utils/color-utils');
+const { getStrokeOutsideShare } = require('../mappers/property-mappers');
 
 /**
  * Generate stroke CSS rules from stroke styles
@@ -16,28 +23,185 @@ function generateStrokeCSS(stroke) {
 
     const rules = [];
 
-    if (stroke.individualStrokes) {
+    if (isUniformStroke(stroke)) {
+        generateOutlineStrokeCSS(stroke, rules);
+    } else if (usesBorderStroke(stroke)) {
         // Generate individual border properties for each side
         generateIndividualStrokeCSS(stroke, rules);
     } else {
-        // Generate standard border property
-        generateStandardStrokeCSS(stroke, rules);
+        generateShadowStrokeCSS(stroke, rules);
     }
 
     return rules;
 }
 
+/**
+ * Get the stroke weight of each side
+ * @param {Object} stroke - Stroke styles
+ * @returns {Object} { top, right, bottom, left } in pixels
+ */
+function getStrokeSideWeights(stroke) {
+    if (!stroke.individualStrokes) {
+        const weight = typeof stroke.weight === 'number' ? stroke.weight : 0;
+        return { top: weight, right: weight, bottom: weight, left: weight };
+    }
+    const side = value => (typeof value === 'number' ? value : 0);
+    return {
+        top: side(stroke.strokeTopWeight),
+        right: side(stroke.strokeRightWeight),
+        bottom: side(stroke.strokeBottomWeight),
+        left: side(stroke.strokeLeftWeight)
+    };
+}
+
+/**
+ * Check whether a stroke has the same weight and color on every side
+ * @param {Object} stroke - Stroke styles
+ * @returns {boolean} True for uniform strokes
+ */
+function isUniformStroke(stroke) {
+    if (!stroke.individualStrokes) {
+        return true;
+    }
+    const { top, right, bottom, left } = getStrokeSideWeights(stroke);
+    return top === right && right === bottom && bottom === left &&
+        stroke.strokeTopColor === stroke.strokeRightColor &&
+        stroke.strokeRightColor === stroke.strokeBottomColor &&
+        stroke.strokeBottomColor === stroke.strokeLeftColor;
+}
+
+/**
+ * Check whether a stroke is drawn with CSS borders
+ * Borders take space in the box, which the layout generator compensates for.
+ * @param {Object} stroke - Stroke styles
+ * @returns {boolean} True for inside solid strokes with different sides
+ */
+function usesBorderStroke(stroke) {
+    return !!stroke && stroke.type === 'SOLID' && !isUniformStroke(stroke) && getStrokeOutsideShare(stroke.align) === 0;
+}
+
+/**
+ * Get the CSS line style of a stroke's dash pattern
+ * CSS cannot set dash lengths, so any pattern becomes dashed, and zero-length
+ * dashes (round dots in Figma) become dotted.
+ * @param {Object} stroke - Stroke styles
+ * @returns {string} 'solid', 'dashed' or 'dotted'
+ */
+function getStrokeLineStyle(stroke) {
+    const pattern = Array.isArray(stroke.dashPattern) ? stroke.dashPattern : [];
+    if (pattern.length === 0 || pattern.every(value => value <= 0)) {
+        return 'solid';
+    }
+    return pattern[0] <= 0.01 ? 'dotted' : 'dashed';
+}
+
+/**
+ * Generate a uniform stroke as an outline placed by the stroke alignment
+ * @param {Object} stroke - Stroke styles
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateOutlineStrokeCSS(stroke, rules) {
+    const weight = getStrokeSideWeights(stroke).top;
+    const color = stroke.individualStrokes ? (stroke.strokeTopColor || stroke.color) : stroke.color;
+    if (!(weight > 0) || !color) {
+        return;
+    }
+
+    const offset = (getStrokeOutsideShare(stroke.align) - 1) * weight;
+    rules.push(`outline: ${roundCSS(weight)}px ${getStrokeLineStyle(stroke)} ${color};`);
+    rules.push(`outline-offset: ${roundCSS(offset)}px;`);
+}
+
+/**
+ * Generate per-side centered or outside strokes as box shadows
+ * Each side is an unblurred shadow shifted past that edge (outside share) plus
+ * an inset shadow for the share inside the layer. Dashes cannot be drawn this way.
+ * @param {Object} stroke - Stroke styles
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateShadowStrokeCSS(stroke, rules) {
+    const weights = getStrokeSideWeights(stroke);
+    const outside = getStrokeOutsideShare(stroke.align);
+    const sides = [
+        { weight: weights.top, color: stroke.strokeTopColor, x: 0, y: -1 },
+        { weight: weights.right, color: stroke.strokeRightColor, x: 1, y: 0 },
+        { weight: weights.bottom, color: stroke.strokeBottomColor, x: 0, y: 1 },
+        { weight: weights.left, color: stroke.strokeLeftColor, x: -1, y: 0 }
+    ];
+
+    const shadows = [];
+    sides.forEach(side => {
+        const color = side.color || stroke.color;
+        if (!(side.weight > 0) || !color) return;
+
+        const outer = side.weight * outside;
+        const inner = side.weight - outer;
+        if (outer > 0) {
+            shadows.push(`${roundCSS(side.x * outer)}px ${roundCSS(side.y * outer)}px 0 0 ${color}`);
+        }
+        if (inner > 0) {
+            shadows.push(`inset ${roundCSS(-side.x * inner)}px ${roundCSS(-side.y * inner)}px 0 0 ${color}`);
+        }
+    });
+
+    if (shadows.length > 0) {
+        rules.push(`box-shadow: ${shadows.join(', ')};`);
+    }
+}
+
+/**
+ * Generate the ::before layer that paints a gradient or image stroke
+ * The layer covers the stroke area and masks out everything but its padding,
+ * so it follows rounded corners (border-image cannot).
+ * @param {Object} stroke - Stroke styles
+ * @param {Object} node - Figma node (for its corner radii)
+ * @param {string} background - CSS background painted by the stroke
+ * @returns {Array} CSS declarations for the ::before rule
+ */
+function generateStrokePaintLayerCSS(stroke, node, background) {
+    const weights = getStrokeSideWeights(stroke);
+    if (!background || !Object.keys(weights).some(side => weights[side] > 0)) {
+        return [];
+    }
+
+    const outside = getStrokeOutsideShare(stroke.align);
+    const px = value => `${roundCSS(value)}px`;
+    const outer = side => weights[side] * outside;
+    const radius = (corner, sideA, sideB) => {
+        const value = typeof node[corner] === 'number' ? node[corner] : (typeof node.cornerRadius === 'number' ? node.cornerRadius : 0);
+        return value > 0 ? px(value + Math.max(outer(sideA), outer(sideB))) : '0px';
+    };
+
+    return [
+        `content: '';`,
+        `position: absolute;`,
+        `top: ${px(-outer('top'))};`,
+        `right: ${px(-outer('right'))};`,
+        `bottom: ${px(-outer('bottom'))};`,
+        `left: ${px(-outer('left'))};`,
+        `padding: ${px(weights.top)} ${px(weights.right)} ${px(weights.bottom)} ${px(weights.left)};`,
+        `border-radius: ${radius('topLeftRadius', 'top', 'left')} ${radius('topRightRadius', 'top', 'right')} ${radius('bottomRightRadius', 'bottom', 'right')} ${radius('bottomLeftRadius', 'bottom', 'left')};`,
+        `background: ${background};`,
+        `-webkit-mask: linear-gradient(#000 0 0) content-box, linear-gradient(#000 0 0);`,
+        `-webkit-mask-composite: xor;`,
+        `mask: linear-gradient(#000 0 0) content-box exclude, linear-gradient(#000 0 0);`,
+        `pointer-events: none;`
+    ];
+}
+
 /**
  * Generate individual stroke CSS (border-top, border-right, etc.)
  * @param {Object} stroke - Stroke styles with individual properties
  * @param {Array} rules - Array to add CSS rules to
  */
 function generateIndividualStrokeCSS(stroke, rules) {
+    const style = getStrokeLineStyle(stroke);
+
     // Top border
     if (typeof stroke.strokeTopWeight === 'number' && stroke.strokeTopWeight > 0) {
         const color = stroke.strokeTopColor || stroke.color;
         if (color) {
-            rules.push(`border-top: ${roundCSS(stroke.strokeTopWeight)}px solid ${color};`);
+            rules.push(`border-top: ${roundCSS(stroke.strokeTopWeight)}px ${style} ${color};`);
         }
     }
 
@@ -45,7 +209,7 @@ function generateIndividualStrokeCSS(stroke, rules) {
     if (typeof stroke.strokeRightWeight === 'number' && stroke.strokeRightWeight > 0) {
         const color = stroke.strokeRightColor || stroke.color;
         if (color) {
-            rules.push(`border-right: ${roundCSS(stroke.strokeRightWeight)}px solid ${color};`);
+            rules.push(`border-right: ${roundCSS(stroke.strokeRightWeight)}px ${style} ${color};`);
         }
     }
 
@@ -53,7 +217,7 @@ function generateIndividualStrokeCSS(stroke, rules) {
     if (typeof stroke.strokeBottomWeight === 'number' && stroke.strokeBottomWeight > 0) {
         const color = stroke.strokeBottomColor || stroke.color;
         if (color) {
-            rules.push(`border-bottom: ${roundCSS(stroke.strokeBottomWeight)}px solid ${color};`);
+            rules.push(`border-bottom: ${roundCSS(stroke.strokeBottomWeight)}px ${style} ${color};`);
         }
     }
 
@@ -61,7 +225,7 @@ function generateIndividualStrokeCSS(stroke, rules) {
     if (typeof stroke.strokeLeftWeight === 'number' && stroke.strokeLeftWeight > 0) {
         const color = stroke.strokeLeftColor || stroke.color;
         if (color) {
-            rules.push(`border-left: ${roundCSS(stroke.strokeLeftWeight)}px solid ${color};`);
+            rules.push(`border-left: ${roundCSS(stroke.strokeLeftWeight)}px ${style} ${color};`);
         }
     }
 
@@ -78,7 +242,7 @@ function generateIndividualStrokeCSS(stroke, rules) {
         rules.length = 0;
         const color = stroke.strokeTopColor || stroke.color;
         if (color) {
-            rules.push(`border: ${roundCSS(stroke.strokeTopWeight)}px solid ${color};`);
+            rules.push(`border: ${roundCSS(stroke.strokeTopWeight)}px ${style} ${color};`);
         }
     }
 }
@@ -131,6 +295,10 @@ function generateBorderShorthand(stroke) {
 
 module.exports = {
     generateStrokeCSS,
+    generateStrokePaintLayerCSS,
+    getStrokeLineStyle,
+    getStrokeSideWeights,
+    usesBorderStroke,
     generateIndividualStrokeCSS,
     generateStandardStrokeCSS,
     generateBorderShorthand
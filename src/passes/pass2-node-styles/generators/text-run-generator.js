@@ -0,0 +1,83 @@
+/**
+ * Text run CSS generator for styling rich text segments emitted by Pass 1
+ */
+
+const { extractFills } = require('../extractors/fills-extractor');
+const { mapTextDecoration, mapTextCaseToCSS, mapLetterSpacingToCSS, mapLineHeightToCSS, mapOpenTypeFeaturesToCSS } = require('../extractors/typography-extractor');
+const { mapFontFamilyToCSS } = require('./typography-generator');
+const { rgbaToHex, compositeColors, roundCSS } = require('../utils/color-utils');
+
+/**
+ * Generate CSS rules for a single styled text segment
+ * @param {Object} segment - Styled text segment (from getStyledTextSegments)
+ * @param {Object} [fontFamilies] - Bundled family names by Figma family and style
+ * @returns {Array} Array of CSS rule strings
+ */
+function generateTextRunCSS(segment, fontFamilies) {
+    const rules = [];
+
+    if (segment.fontName && segment.fontName.family) {
+        rules.push(`font-family: ${mapFontFamilyToCSS(segment.fontName.family, segment.fontName.style, fontFamilies)};`);
+        const isItalic = typeof segment.fontName.style === 'string' && segment.fontName.style.toLowerCase().includes('italic');
+        rules.push(`font-style: ${isItalic ? 'italic' : 'normal'};`);
+    }
+    if (typeof segment.fontSize === 'number') {
+        rules.push(`font-size: ${roundCSS(segment.fontSize)}px;`);
+    }
+    if (typeof segment.fontWeight === 'number') {
+        rules.push(`font-weight: ${segment.fontWeight};`);
+    }
+
+    const featureSettings = mapOpenTypeFeaturesToCSS(segment.openTypeFeatures);
+    if (featureSettings) {
+        rules.push(`font-feature-settings: ${featureSettings};`);
+    }
+
+    const color = getTextRunColor(segment.fills);
+    if (color) {
+        rules.push(`color: ${color};`);
+    }
+
+    // Always set decoration so links only get an underline when Figma has one
+    rules.push(`text-decoration: ${mapTextDecoration(segment.textDecoration)};`);
+
+    const textTransform = mapTextCaseToCSS(segment.textCase);
+    if (textTransform !== 'none') {
+        rules.push(`text-transform: ${textTransform};`);
+    }
+
+    const letterSpacing = mapLetterSpacingToCSS(segment.letterSpacing);
+    if (letterSpacing) {
+        rules.push(`letter-spacing: ${letterSpacing};`);
+    }
+
+    const lineHeight = mapLineHeightToCSS(segment.lineHeight);
+    if (lineHeight !== 'normal' && lineHeight !== undefined) {
+        const value = typeof lineHeight === 'string' && lineHeight.includes('%') ? lineHeight : `${roundCSS(lineHeight)}px`;
+        rules.push(`line-height: ${value};`);
+    }
+
+    return rules;
+}
+
+/**
+ * Resolve the color of a text run from its fills
+ * @param {Array} fills - Figma fills of the segment
+ * @returns {string|null} CSS color
+ */
+function getTextRunColor(fills) {
+    if (!Array.isArray(fills)) {
+        return null;
+    }
+
+    const solidColors = extractFills({ fills })
+        .filter(fill => fill.visible && fill.type === 'SOLID' && fill.rgba)
+        .map(fill => fill.rgba);
+
+    return solidColors.length > 0 ? rgbaToHex(compositeColors(solidColors)) : null;
+}
+
+module.exports = {
+    generateTextRunCSS,
+    getTextRunColor
+};
@@ -7,14 +7,15 @@ const { roundCSS } = require('../utils/color-utils');
 /**
  * Generate typography CSS rules from typography styles
  * @param {Object} typography - Typography styles
+ * @param {Object} [fontFamilies] - Bundled family names by Figma family and style
  * @returns {Array} Array of CSS rule strings
  */
-function generateTypographyCSS(typography) {
+function generateTypographyCSS(typography, fontFamilies) {
     const rules = [];
     
     // Font properties
     if (typography.fontFamily) {
-        rules.push(`font-family: "${typography.fontFamily}", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;`);
+        rules.push(`font-family: ${mapFontFamilyToCSS(typography.fontFamily, typography.fontStyleName, fontFamilies)};`);
     }
     if (typography.fontSize) {
         rules.push(`font-size: ${roundCSS(typography.fontSize)}px;`);
@@ -31,6 +32,12 @@ function generateTypographyCSS(typography) {
     if (typography.fontStretch && typography.fontStretch !== 'normal') {
         rules.push(`font-stretch: ${typography.fontStretch};`);
     }
+    if (typography.fontFeatureSettings) {
+        rules.push(`font-feature-settings: ${typography.fontFeatureSettings};`);
+    }
+    if (typography.fontVariationSettings) {
+        rules.push(`font-variation-settings: ${typography.fontVariationSettings};`);
+    }
     
     // Text decoration
     if (typography.textDecoration && typography.textDecoration !== 'none') {
@@ -65,8 +72,8 @@ function generateTypographyCSS(typography) {
             rules.push(`line-height: ${roundCSS(typography.lineHeight)}px;`);
         }
     }
-    if (typography.letterSpacing && typography.letterSpacing !== 0) {
-        rules.push(`letter-spacing: ${roundCSS(typography.letterSpacing)}px;`);
+    if (typography.letterSpacing) {
+        rules.push(`letter-spacing: ${typography.letterSpacing};`);
     }
     
     // Leading trim - CSS text-box-trim and text-box-edge properties
@@ -107,11 +114,8 @@ function generateTypographyCSS(typography) {
     }
     
     // Text effects
-    if (typography.textShadow) {
-        rules.push(`text-shadow: ${typography.textShadow};`);
-    }
     if (typography.textStroke) {
-        rules.push(`-webkit-text-stroke: ${typography.textStroke};`);
+        generateTextStrokeCSS(typography.textStroke, typography.hasClippedFill, rules);
     }
     
     // Advanced properties
@@ -121,6 +125,7 @@ function generateTypographyCSS(typography) {
     if (typography.textOverflow && typography.textOverflow !== 'clip') {
         rules.push(`text-overflow: ${typography.textOverflow};`);
     }
+    generateTextTruncationCSS(typography, rules);
     
     
     // Opacity and blending
@@ -138,6 +143,79 @@ function generateTypographyCSS(typography) {
     return rules;
 }
 
+/**
+ * Generate the glyph stroke of a text layer
+ * -webkit-text-stroke is centered on the glyph outline. Outside strokes are
+ * drawn twice as wide under the fill (paint-order), so only the outer half
+ * shows. Inside strokes have no CSS equivalent and stay centered, as do
+ * outside strokes over a gradient or image fill, which paint-order cannot
+ * keep above the stroke.
+ * @param {Object} stroke - Text stroke ({ weight, color, align })
+ * @param {boolean} hasClippedFill - Whether the fill is a background clipped to the text
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateTextStrokeCSS(stroke, hasClippedFill, rules) {
+    if (stroke.align === 'OUTSIDE' && !hasClippedFill) {
+        rules.push(`-webkit-text-stroke: ${roundCSS(stroke.weight * 2)}px ${stroke.color};`);
+        rules.push('paint-order: stroke fill;');
+        return;
+    }
+    rules.push(`-webkit-text-stroke: ${roundCSS(stroke.weight)}px ${stroke.color};`);
+}
+
+/**
+ * Get the number of lines a truncated text shows
+ * Without maxLines Figma truncates at the bottom of the text box, so the
+ * count comes from the box height and the line height (auto line height is
+ * taken as 1.2 × the font size, close to most fonts).
+ * @param {Object} typography - Typography styles
+ * @returns {number|null} Line count, or null when it cannot be worked out
+ */
+function getTruncationLineCount(typography) {
+    if (typography.maxLines) {
+        return typography.maxLines;
+    }
+    if (!typography.textBoxHeight || !typography.fontSize) {
+        return null;
+    }
+
+    let lineHeight = typography.fontSize * 1.2;
+    if (typeof typography.lineHeight === 'number') {
+        lineHeight = typography.lineHeight;
+    } else if (typeof typography.lineHeight === 'string' && typography.lineHeight.includes('%')) {
+        lineHeight = typography.fontSize * parseFloat(typography.lineHeight) / 100;
+    }
+    if (!(lineHeight > 0)) {
+        return null;
+    }
+    // Allow for sub-pixel box heights
+    return Math.max(1, Math.floor((typography.textBoxHeight + 0.5) / lineHeight));
+}
+
+/**
+ * Generate the rules for ending-ellipsis truncation
+ * One line keeps text-overflow (set from the extractor) on an unwrapped line;
+ * more lines are clamped with line-clamp.
+ * @param {Object} typography - Typography styles
+ * @param {Array} rules - Array to add CSS rules to
+ */
+function generateTextTruncationCSS(typography, rules) {
+    if (typography.textTruncation !== 'ENDING') {
+        return;
+    }
+
+    const lines = getTruncationLineCount(typography);
+    if (lines === 1) {
+        rules.push('white-space: nowrap;');
+    } else if (lines > 1) {
+        rules.push('display: -webkit-box;');
+        rules.push('-webkit-box-orient: vertical;');
+        rules.push(`-webkit-line-clamp: ${lines};`);
+        rules.push(`line-clamp: ${lines};`);
+    }
+    rules.push('overflow: hidden;');
+}
+
 /**
  * Map Figma vertical alignment to CSS vertical-align
  * @param {string} verticalAlign - Figma vertical alignment value
@@ -197,8 +275,25 @@ function mapTextAutoResizeToCSS(textAutoResize) {
     }
 }
 
+/**
+ * Map a Figma font to a CSS font-family list
+ * Styles bundled under their own family name (see font-bundler) come first,
+ * so "Book" and "Regular" at the same weight each get their own face.
+ * @param {string} family - Figma font family
+ * @param {string} styleName - Figma font style
+ * @param {Object} [fontFamilies] - Bundled family names ({ [family]: { [style]: name } })
+ * @returns {string} CSS font-family value
+ */
+function mapFontFamilyToCSS(family, styleName, fontFamilies) {
+    const styles = fontFamilies && fontFamilies[family];
+    const bundled = styles && styles[styleName];
+    const families = bundled && bundled !== family ? [bundled, family] : [family];
+    return `${families.map(name => `"${name}"`).join(', ')}, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+}
+
 module.exports = {
     generateTypographyCSS,
+    mapFontFamilyToCSS,
     mapVerticalAlignment,
     mapLeadingTrimToCSS,
     mapTextAutoResizeToCSS
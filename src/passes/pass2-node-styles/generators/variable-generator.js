@@ -0,0 +1,302 @@
+/**
+ * Variable CSS generator for converting Figma Variables to CSS custom properties
+ *
+ * Every variable becomes a custom property named after its collection and path
+ * ("Colors" / "brand/primary" -> --colors-brand-primary). The default mode of
+ * each collection is declared on :root and every mode on [data-theme="<mode>"],
+ * so a wall can be re-themed by switching a single attribute. Number variables
+ * are unitless in Figma, so they are declared as plain numbers and scaled to
+ * pixels where they are used.
+ */
+
+const { rgbaToHex, roundCSS } = require('../utils/color-utils');
+
+/**
+ * Index exported variable collections and variables by id
+ * @param {Object} variableData - { collections, variables } collected by the plugin
+ * @returns {Object|null} Lookup ({ collections, variables }) or null without variables
+ */
+function createVariableLookup(variableData) {
+    if (!variableData || !Array.isArray(variableData.variables) || variableData.variables.length === 0) {
+        return null;
+    }
+
+    const collections = new Map((variableData.collections || []).map(collection => [collection.id, collection]));
+    const variables = new Map();
+    const usedNames = new Set();
+
+    variableData.variables.forEach(variable => {
+        const collection = collections.get(variable.variableCollectionId);
+        const baseName = getVariableCSSName(variable.name, collection ? collection.name : '');
+
+        // Different paths can slug to the same name ("a/b" and "a-b")
+        let cssName = baseName;
+        for (let suffix = 2; usedNames.has(cssName); suffix++) {
+            cssName = `${baseName}-${suffix}`;
+        }
+        usedNames.add(cssName);
+
+        variables.set(variable.id, Object.assign({}, variable, { cssName }));
+    });
+
+    return { collections, variables };
+}
+
+/**
+ * Convert free text to a CSS identifier fragment
+ * @param {string} text - Collection, variable or mode name
+ * @returns {string} Lower-case identifier fragment
+ */
+function toCSSIdentifier(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get the custom property name of a variable
+ * @param {string} variableName - Variable name (groups separated by "/")
+ * @param {string} collectionName - Name of the variable's collection
+ * @returns {string} Custom property name
+ */
+function getVariableCSSName(variableName, collectionName) {
+    const parts = [toCSSIdentifier(collectionName), toCSSIdentifier(variableName)].filter(Boolean);
+    return `--${parts.join('-') || 'variable'}`;
+}
+
+/**
+ * Get the data-theme value of a variable mode
+ * @param {string} modeName - Figma mode name
+ * @returns {string} Theme name ("Client A" -> "client-a")
+ */
+function getThemeName(modeName) {
+    return toCSSIdentifier(modeName) || 'default';
+}
+
+/**
+ * Format a variable value for a custom property declaration
+ * @param {*} value - Value for one mode (color, number, string, boolean or alias)
+ * @param {Object} variable - Variable the value belongs to
+ * @param {Object} lookup - Variable lookup
+ * @returns {string|null} CSS value, or null if it cannot be expressed
+ */
+function formatVariableValue(value, variable, lookup) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (typeof value === 'object' && value.type === 'VARIABLE_ALIAS') {
+        const target = lookup.variables.get(value.id);
+        return target ? `var(${target.cssName})` : null;
+    }
+
+    switch (variable.resolvedType) {
+        case 'COLOR':
+            return rgbaToHex(value);
+        case 'FLOAT':
+            return typeof value === 'number' ? String(roundCSS(value)) : null;
+        case 'STRING':
+            return JSON.stringify(String(value));
+        case 'BOOLEAN':
+            return value ? '1' : '0';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get custom property declarations for every variable of a collection in one mode
+ * @param {Object} lookup - Variable lookup
+ * @param {string} collectionId - Variable collection id
+ * @param {string} modeId - Mode id
+ * @returns {Array} CSS declarations
+ */
+function getModeDeclarations(lookup, collectionId, modeId) {
+    const declarations = [];
+    lookup.variables.forEach(variable => {
+        if (variable.variableCollectionId !== collectionId) return;
+        const value = formatVariableValue((variable.valuesByMode || {})[modeId], variable, lookup);
+        if (value !== null) {
+            declarations.push(`${variable.cssName}: ${value};`);
+        }
+    });
+    return declarations;
+}
+
+/**
+ * Get the theme names available in the exported variables
+ * @param {Object} lookup - Variable lookup
+ * @returns {Array} Theme names, in collection and mode order
+ */
+function getVariableThemes(lookup) {
+    const themes = [];
+    if (!lookup) return themes;
+
+    lookup.collections.forEach(collection => {
+        (collection.modes || []).forEach(mode => {
+            const theme = getThemeName(mode.name);
+            if (!themes.includes(theme)) {
+                themes.push(theme);
+            }
+        });
+    });
+    return themes;
+}
+
+/**
+ * Generate the :root and [data-theme] custom property blocks
+ * Modes with the same name in different collections share a theme, so one
+ * data-theme value switches every collection that defines that mode.
+ * @param {Object} lookup - Variable lookup
+ * @returns {string} CSS text ('' without variables)
+ */
+function generateVariableCSS(lookup) {
+    if (!lookup) return '';
+
+    const rootDeclarations = [];
+    const themeDeclarations = new Map();
+
+    lookup.collections.forEach(collection => {
+        (collection.modes || []).forEach(mode => {
+            const declarations = getModeDeclarations(lookup, collection.id, mode.modeId);
+            if (declarations.length === 0) return;
+
+            if (mode.modeId === collection.defaultModeId) {
+                rootDeclarations.push(...declarations);
+            }
+
+            const theme = getThemeName(mode.name);
+            themeDeclarations.set(theme, (themeDeclarations.get(theme) || []).concat(declarations));
+        });
+    });
+
+    const blocks = [];
+    if (rootDeclarations.length > 0) {
+        blocks.push({ selector: ':root', declarations: rootDeclarations });
+    }
+    themeDeclarations.forEach((declarations, theme) => {
+        blocks.push({ selector: `[data-theme="${theme}"]`, declarations });
+    });
+
+    return blocks.map(block =>
+        `${block.selector} {\n${block.declarations.map(declaration => `  ${declaration}`).join('\n')}\n}\n\n`
+    ).join('');
+}
+
+/**
+ * Get custom property declarations for the modes a frame sets explicitly
+ * @param {Object} node - Figma node with explicitVariableModes ({ collectionId: modeId })
+ * @param {Object} lookup - Variable lookup
+ * @returns {Array} CSS declarations
+ */
+function generateExplicitModeDeclarations(node, lookup) {
+    const declarations = [];
+    if (!lookup || !node.explicitVariableModes) return declarations;
+
+    Object.keys(node.explicitVariableModes).forEach(collectionId => {
+        if (!lookup.collections.has(collectionId)) return;
+        declarations.push(...getModeDeclarations(lookup, collectionId, node.explicitVariableModes[collectionId]));
+    });
+    return declarations;
+}
+
+/**
+ * Get a CSS reference to a bound variable
+ * @param {Object} alias - Variable alias ({ type: 'VARIABLE_ALIAS', id })
+ * @param {Object} lookup - Variable lookup
+ * @param {string} unit - Unit for number variables (e.g. 'px'), or '' for unitless use
+ * @returns {string|null} var() reference, or null for unknown variables
+ */
+function getVariableReference(alias, lookup, unit = '') {
+    if (!lookup || !alias || !alias.id) return null;
+
+    const variable = lookup.variables.get(alias.id);
+    if (!variable) return null;
+
+    if (variable.resolvedType === 'FLOAT' && unit) {
+        return `calc(var(${variable.cssName}) * 1${unit})`;
+    }
+    return `var(${variable.cssName})`;
+}
+
+/**
+ * Get a CSS reference to a bound color variable, keeping the paint opacity
+ * @param {Object} alias - Variable alias bound to the paint color
+ * @param {number} opacity - Paint opacity
+ * @param {Object} lookup - Variable lookup
+ * @returns {string|null} Color value, or null for unknown variables
+ */
+function getVariableColorCSS(alias, opacity, lookup) {
+    const reference = getVariableReference(alias, lookup);
+    if (!reference) return null;
+
+    if (typeof opacity === 'number' && opacity < 1) {
+        return `color-mix(in srgb, ${reference} ${roundCSS(opacity * 100)}%, transparent)`;
+    }
+    return reference;
+}
+
+/**
+ * Replace literal values with bound variables in generated declarations
+ * Covers gaps, padding, corner radii and opacity; colors are resolved when
+ * the paint layers are built.
+ * @param {Array} rules - CSS declarations for the node
+ * @param {Object} node - Figma node with boundVariables
+ * @param {Object} lookup - Variable lookup
+ * @returns {Array} CSS declarations
+ */
+function applyBoundVariablesToRules(rules, node, lookup) {
+    const bound = node.boundVariables;
+    if (!lookup || !bound) return rules;
+
+    const pixels = (field, value) =>
+        getVariableReference(bound[field], lookup, 'px') || `${roundCSS(typeof value === 'number' ? value : 0)}px`;
+    const corner = field => pixels(field, typeof node[field] === 'number' ? node[field] : node.cornerRadius);
+    const isBound = fields => fields.some(field => getVariableReference(bound[field], lookup));
+
+    return rules.map(rule => {
+        const property = rule.slice(0, rule.indexOf(':')).trim();
+        switch (property) {
+            case 'gap':
+                if (isBound(['itemSpacing'])) {
+                    return `gap: ${pixels('itemSpacing', node.itemSpacing)};`;
+                }
+                break;
+            case 'row-gap':
+                if (isBound(['counterAxisSpacing'])) {
+                    return `row-gap: ${pixels('counterAxisSpacing', node.counterAxisSpacing)};`;
+                }
+                break;
+            case 'padding':
+                if (isBound(['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'])) {
+                    return `padding: ${pixels('paddingTop', node.paddingTop)} ${pixels('paddingRight', node.paddingRight)} ${pixels('paddingBottom', node.paddingBottom)} ${pixels('paddingLeft', node.paddingLeft)};`;
+                }
+                break;
+            case 'border-radius':
+                if (isBound(['topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius'])) {
+                    return `border-radius: ${corner('topLeftRadius')} ${corner('topRightRadius')} ${corner('bottomRightRadius')} ${corner('bottomLeftRadius')};`;
+                }
+                break;
+            case 'opacity':
+                // Figma opacity variables are percentages (0-100)
+                if (isBound(['opacity'])) {
+                    return `opacity: calc(${getVariableReference(bound.opacity, lookup)} / 100);`;
+                }
+                break;
+        }
+        return rule;
+    });
+}
+
+module.exports = {
+    createVariableLookup,
+    getVariableCSSName,
+    getThemeName,
+    getVariableThemes,
+    generateVariableCSS,
+    generateExplicitModeDeclarations,
+    getVariableReference,
+    getVariableColorCSS,
+    applyBoundVariablesToRules
+};
@@ -9,22 +9,38 @@
 const { extractFills } = require('./extractors/fills-extractor');
 const { extractStrokes } = require('./extractors/strokes-extractor');
 const { extractEffects } = require('./extractors/effects-extractor');
-const { extractTypography } = require('./extractors/typography-extractor');
+const { extractTypography, hasClippedTextFill } = require('./extractors/typography-extractor');
 
 // Import generators
 const { generateTypographyCSS } = require('./generators/typography-generator');
 const { generateLayoutCSS } = require('./generators/layout-generator');
-const { generateStrokeCSS } = require('./generators/stroke-generator');
+const { generateStrokeCSS, generateStrokePaintLayerCSS } = require('./generators/stroke-generator');
 const { processVectorNode } = require('./generators/svg-generator');
+const { generateLinearGradientCSS, generateRadialGradientCSS, generateAngularGradientCSS, generateDiamondGradientCSS } = require('./generators/gradient-generator');
+const { generateImageFillCSS } = require('./generators/image-fill-generator');
+const { generateEffectsCSS } = require('./generators/effects-generator');
+const { generateTextRunCSS } = require('./generators/text-run-generator');
+const { generateLayoutGridOverlayCSS } = require('./generators/grid-generator');
+const { generateMaskCSS } = require('./generators/mask-generator');
+const { createVariableLookup, getVariableThemes, generateVariableCSS, generateExplicitModeDeclarations, getVariableColorCSS, applyBoundVariablesToRules } = require('./generators/variable-generator');
+
+// Import mappers
+const { mapBlendModeToCSS } = require('./mappers/property-mappers');
+const { getAxisAlignedBounds } = require('./utils/transform-utils');
 
 // Import utilities
-const { rgbaToHex } = require('./utils/color-utils');
+const { rgbaToHex, compositeColors } = require('./utils/color-utils');
+const { isExportedNode } = require('./utils/export-utils');
 
 class NodeStylesPass {
     constructor() {
         this.styles = new Map(); // Store styles by node ID
         this.cssRules = [];
         this.processedNodes = new Set();
+        this.imageAssets = new Map(); // Exported image files by image hash
+        this.missingImages = new Set(); // Hashes of IMAGE fills without an exported file
+        this.variables = null; // Figma variables by id (CSS custom properties)
+        this.fontFamilies = {}; // Bundled font family names by Figma family and style
     }
 
     /**
@@ -71,14 +87,22 @@ class NodeStylesPass {
      * Process nodes and extract their styles
      * @param {Array} nodes - Array of original Figma nodes (with style properties)
      * @param {Object} pass1Result - Result from Pass 1 (structure)
+     * @param {Object} options - Optional settings
+     * @param {Array} options.imageAssets - Exported image files ({ hash, path, width, height }) for IMAGE fills
+     * @param {Object} options.variables - Variable collections and variables ({ collections, variables })
+     * @param {Object} options.fontFamilies - Bundled family names by Figma family and style (see font-bundler)
      * @returns {Object} Result with CSS styles
      */
-    async process(nodes, pass1Result) {
+    async process(nodes, pass1Result, options = {}) {
         try {
             console.log('🎨 Pass 2: Starting CSS generation...');
             this.styles.clear();
             this.cssRules = [];
             this.processedNodes.clear();
+            this.imageAssets = new Map((options.imageAssets || []).map(asset => [asset.hash, asset]));
+            this.missingImages.clear();
+            this.variables = createVariableLookup(options.variables);
+            this.fontFamilies = options.fontFamilies || {};
             
             const result = {
                 css: '',
@@ -86,7 +110,9 @@ class NodeStylesPass {
                 metadata: {
                     totalNodes: 0,
                     styleTypes: {},
-                    cssRulesCount: 0
+                    cssRulesCount: 0,
+                    themes: [],
+                    missingImages: []
                 }
             };
 
@@ -102,6 +128,8 @@ class NodeStylesPass {
             result.styles = Object.fromEntries(this.styles);
             result.metadata.totalNodes = this.styles.size;
             result.metadata.cssRulesCount = this.cssRules.length;
+            result.metadata.themes = getVariableThemes(this.variables);
+            result.metadata.missingImages = Array.from(this.missingImages);
 
             console.log('✅ Pass 2: CSS generation complete');
             return result;
@@ -139,7 +167,16 @@ class NodeStylesPass {
             console.log(`🎨 Processing node styles: ${this.safeStringConversion(node.id)} (${this.safeStringConversion(node.type)})`);
             this.processedNodes.add(node.id);
         
-        const nodeStyles = {
+        // Exported layers (exportAsync SVG/PNG) already contain their paint, effects and opacity
+        const isExported = isExportedNode(node);
+        const nodeStyles = isExported ? {
+            fills: [],
+            strokes: null,
+            effects: [],
+            typography: null,
+            opacity: 1,
+            visible: node.visible !== false
+        } : {
             fills: extractFills(node),
             strokes: extractStrokes(node),
             effects: extractEffects(node),
@@ -159,8 +196,9 @@ class NodeStylesPass {
             this.processVectorNode(node);
         }
 
-        // Process children
-        if (node.children && Array.isArray(node.children)) {
+        // Process children (boolean operands are merged into their parent's path by Pass 1,
+        // the children of exported layers are part of the export)
+        if (node.children && Array.isArray(node.children) && node.type !== 'BOOLEAN_OPERATION' && !isExported) {
             for (let i = 0; i < node.children.length; i++) {
                 this.extractNodeStyles(node.children[i], depth + 1, node, false); // Children are not top-level
             }
@@ -209,36 +247,59 @@ class NodeStylesPass {
         
         // Background (fills) - handle differently for different node types
         if (styles.fills && styles.fills.length > 0) {
-            if (node.type === 'TEXT') {
+            if (node.type === 'TEXT' && hasClippedTextFill(styles.fills)) {
+                // Gradient and image fills are painted through the glyphs
+                rules.push(...this.generateClippedTextFillCSS(styles.fills, node));
+            } else if (node.type === 'TEXT') {
                 // For TEXT nodes, use color instead of background
                 const textColor = this.generateTextColorCSS(styles.fills);
                 if (textColor) {
                     rules.push(`color: ${textColor};`);
                 }
-            } else if (node.type === 'VECTOR' || node.type === 'ELLIPSE') {
-                // For VECTOR and ELLIPSE nodes, don't apply background CSS
-                // These are SVG elements that get their colors from path elements
-                // No background CSS needed
+            } else if (node.type === 'VECTOR' || node.type === 'ELLIPSE' || node.type === 'BOOLEAN_OPERATION') {
+                // For VECTOR, ELLIPSE and BOOLEAN_OPERATION nodes, don't apply background CSS
+                // These are SVG elements that get their colors from path elements;
+                // shared symbols (<use>) paint their solid fill in currentColor
+                const fill = styles.fills.find(paint => paint.visible);
+                if (fill && fill.type === 'SOLID' && fill.color) {
+                    rules.push(`color: ${this.getFillColorCSS(fill)};`);
+                }
             } else if (!isImageFrame) {
                 // For other nodes (RECTANGLE, FRAME, etc.), use background
                 // Skip background for image frames to avoid interfering with image display
-                const background = this.generateBackgroundCSS(styles.fills);
+                const background = this.generateBackgroundCSS(styles.fills, node);
                 if (background) {
                     rules.push(`background: ${background};`);
                 }
+
+                const backgroundBlendMode = this.generateBackgroundBlendModeCSS(styles.fills, node);
+                if (backgroundBlendMode) {
+                    rules.push(`background-blend-mode: ${backgroundBlendMode};`);
+                }
             }
         }
 
-        // Border (strokes) - skip for COMPONENT_SET nodes, image frames, and SVG elements
-        const isSVGElement = node.type === 'VECTOR' || node.type === 'ELLIPSE' || node.type === 'RECTANGLE' || node.type === 'POLYGON' || node.type === 'STAR';
-        if (styles.strokes && node.type !== 'COMPONENT_SET' && !isImageFrame && !isSVGElement) {
-            const strokeRules = generateStrokeCSS(styles.strokes);
+        // Strokes (outline, borders or shadows) - skip for COMPONENT_SET nodes, image frames,
+        // text (stroked glyphs, see generateTypographyCSS), lines and SVG elements, which draw their own strokes
+        const isSVGElement = node.type === 'VECTOR' || node.type === 'ELLIPSE' || node.type === 'BOOLEAN_OPERATION' || node.type === 'POLYGON' || node.type === 'STAR';
+        let strokePaintLayer = [];
+        if (styles.strokes && node.type !== 'COMPONENT_SET' && node.type !== 'TEXT' && node.type !== 'LINE' && !isImageFrame && !isSVGElement) {
+            const strokeRules = generateStrokeCSS(this.applyStrokeVariables(styles.strokes));
             rules.push(...strokeRules);
+
+            // Gradient and image strokes are painted on a ::before layer
+            if (styles.strokes.paint) {
+                const background = this.generateBackgroundCSS(extractFills({ fills: [styles.strokes.paint] }), node);
+                strokePaintLayer = generateStrokePaintLayerCSS(styles.strokes, node, background);
+            }
+        } else if (styles.strokes && isSVGElement) {
+            // Centered and outside SVG strokes reach past the viewBox
+            rules.push('overflow: visible;');
         }
 
         // Special handling for LINE nodes - use stroke properties to create line appearance
         if (node.type === 'LINE' && styles.strokes) {
-            const lineResult = this.generateLineCSS(node, styles.strokes);
+            const lineResult = this.generateLineCSS(node, this.applyStrokeVariables(styles.strokes));
             if (lineResult) {
                 // Add main rules to the current rule set
                 rules.push(...lineResult.mainRules);
@@ -253,9 +314,9 @@ class NodeStylesPass {
             }
         }
 
-        // Effects (shadows, blurs)
+        // Effects (shadows, blurs) - rendered per node type like Figma does
         if (styles.effects && styles.effects.length > 0) {
-            const effects = this.generateEffectsCSS(styles.effects);
+            const effects = this.generateEffectsCSS(styles.effects, node);
             if (effects) {
                 rules.push(...effects);
             }
@@ -270,11 +331,20 @@ class NodeStylesPass {
         }
 
         // Layout - pass isImageFrame flag to skip padding for image containers
-        const layout = this.generateLayoutCSS(node, parent, isTopLevel, isImageFrame);
+        // Exports are already rotated, so they are laid out as their axis-aligned box
+        const isExported = isExportedNode(node);
+        const layout = this.generateLayoutCSS(isExported ? this.getExportLayoutNode(node) : node, parent, isTopLevel, isImageFrame);
         if (layout) {
-            rules.push(...layout);
+            // Exports carry their own clipping, and clipping the box would cut off their shadows
+            rules.push(...(isExported ? layout.filter(rule => !rule.startsWith('overflow')) : layout));
         }
 
+        // Stroke and effect shadows share one box-shadow
+        this.mergeBoxShadowRules(rules);
+
+        // Masks (mask layers are hidden, the siblings above them are masked)
+        generateMaskCSS(node, parent, rules);
+
         // Opacity
         if (styles.opacity !== undefined && styles.opacity !== 1) {
             rules.push(`opacity: ${styles.opacity};`);
@@ -285,6 +355,12 @@ class NodeStylesPass {
             rules.push(`display: none;`);
         }
 
+        // Bound variables (gap, padding, radii, opacity) and explicit variable modes
+        if (this.variables) {
+            rules.splice(0, rules.length, ...applyBoundVariablesToRules(rules, node, this.variables));
+            this.generateExplicitModeRules(node, selector, rules, isTopLevel);
+        }
+
             if (rules.length > 0) {
                 this.cssRules.push({
                     selector,
@@ -293,6 +369,36 @@ class NodeStylesPass {
                     nodeName: this.safeStringConversion(node.name)
                 });
             }
+
+            if (strokePaintLayer.length > 0) {
+                this.cssRules.push({
+                    selector: `${selector}::before`,
+                    rules: strokePaintLayer,
+                    nodeId: this.safeStringConversion(node.id),
+                    nodeName: this.safeStringConversion(node.name)
+                });
+            }
+
+            // Exported SVG or image, placed over the layer's render bounds
+            if (isExportedNode(node)) {
+                this.generateExportedContentRules(node, selector);
+            }
+
+            // Rich text runs and lists emitted by Pass 1
+            if (node.type === 'TEXT' && !isExportedNode(node) && Array.isArray(node.textSegments)) {
+                this.generateTextRunRules(node, selector);
+            }
+
+            // Layout grid debug overlay (shown with the figma-show-grids class)
+            const gridOverlay = generateLayoutGridOverlayCSS(node);
+            if (gridOverlay.length > 0) {
+                this.cssRules.push({
+                    selector: `.figma-show-grids ${selector}::after`,
+                    rules: gridOverlay,
+                    nodeId: this.safeStringConversion(node.id),
+                    nodeName: this.safeStringConversion(node.name)
+                });
+            }
         } catch (error) {
             console.error(`🚨 Error generating CSS rule for node:`, {
                 nodeId: this.safeStringConversion(node && node.id),
@@ -307,8 +413,147 @@ class NodeStylesPass {
         }
     }
 
+    /**
+     * Get the node an exported layer is laid out as
+     * exportAsync renders the layer with its rotation and flips, and exportBounds
+     * is relative to its axis-aligned bounding box, so the wrapper takes that box
+     * and no transform.
+     * @param {Object} node - Node with exportedSVG or exportedImage
+     * @returns {Object} Copy of the node placed and sized by its axis-aligned box
+     */
+    getExportLayoutNode(node) {
+        const bounds = getAxisAlignedBounds(node);
+        return Object.assign({}, node, {
+            x: bounds.x,
+            y: bounds.y,
+            width: bounds.width,
+            height: bounds.height,
+            rotation: 0,
+            relativeTransform: [[1, 0, bounds.x], [0, 1, bounds.y]]
+        });
+    }
+
+    /**
+     * Generate the rule that places an exported SVG or image inside its layer
+     * Exports cover the render bounds, which extend past the layer for outside
+     * strokes and shadows.
+     * @param {Object} node - Node with exportedSVG or exportedImage
+     * @param {string} selector - Selector of the node
+     */
+    generateExportedContentRules(node, selector) {
+        const bounds = node.exportBounds || { x: 0, y: 0, width: node.width || 0, height: node.height || 0 };
+        this.cssRules.push({
+            selector: `${selector} > .figma-export`,
+            rules: [
+                'position: absolute;',
+                `left: ${this.roundCSS(bounds.x || 0)}px;`,
+                `top: ${this.roundCSS(bounds.y || 0)}px;`,
+                `width: ${this.roundCSS(bounds.width || 0)}px;`,
+                `height: ${this.roundCSS(bounds.height || 0)}px;`,
+                'display: block;',
+                'max-width: none;',
+                'pointer-events: none;'
+            ],
+            nodeId: this.safeStringConversion(node.id),
+            nodeName: this.safeStringConversion(node.name)
+        });
+    }
+
+    /**
+     * Generate CSS rules for the styled runs and lists of a rich TEXT node
+     * @param {Object} node - TEXT node with textSegments
+     * @param {string} selector - Selector of the text node
+     */
+    generateTextRunRules(node, selector) {
+        const nodeId = this.safeStringConversion(node.id);
+        const nodeName = this.safeStringConversion(node.name);
+
+        const hasClippedFill = hasClippedTextFill(node.fills);
+
+        node.textSegments.forEach((segment, index) => {
+            const rules = generateTextRunCSS(segment, this.fontFamilies);
+            // Solid runs in gradient text paint their own color over the clipped background
+            if (hasClippedFill && rules.some(rule => rule.startsWith('color:'))) {
+                rules.push('-webkit-text-fill-color: currentColor;');
+            }
+            if (rules.length > 0) {
+                this.cssRules.push({
+                    selector: `${selector} [data-text-run="${index}"]`,
+                    rules,
+                    nodeId,
+                    nodeName
+                });
+            }
+        });
+
+        const hasLists = node.textSegments.some(segment => segment.listOptions && segment.listOptions.type !== 'NONE');
+        if (hasLists) {
+            const indentation = Math.max(1, ...node.textSegments.map(segment => segment.indentation || 0));
+            this.cssRules.push({
+                selector: `${selector} ul, ${selector} ol`,
+                rules: ['margin: 0;', `padding-left: ${this.roundCSS(indentation * 1.5)}em;`],
+                nodeId,
+                nodeName
+            });
+        }
+    }
+
+    /**
+     * Declare the variable modes a frame sets explicitly
+     * Nested frames keep their mode like they do in Figma; on top-level frames the
+     * mode only applies until a theme is selected, so walls can still be re-themed.
+     * @param {Object} node - Figma node
+     * @param {string} selector - Selector of the node
+     * @param {Array} rules - CSS declarations of the node
+     * @param {boolean} isTopLevel - Whether this is a top-level node
+     */
+    generateExplicitModeRules(node, selector, rules, isTopLevel) {
+        const declarations = generateExplicitModeDeclarations(node, this.variables);
+        if (declarations.length === 0) return;
+
+        if (!isTopLevel) {
+            rules.unshift(...declarations);
+            return;
+        }
+
+        this.cssRules.push({
+            selector: `:root:not([data-theme]) ${selector}`,
+            rules: declarations,
+            nodeId: this.safeStringConversion(node.id),
+            nodeName: this.safeStringConversion(node.name)
+        });
+    }
+
+    /**
+     * Resolve the color of a solid fill, using its bound variable when there is one
+     * @param {Object} fill - Solid fill style
+     * @returns {string} CSS color
+     */
+    getFillColorCSS(fill) {
+        return getVariableColorCSS(fill.colorVariable, fill.opacity, this.variables) || fill.color;
+    }
+
+    /**
+     * Swap bound stroke colors for their variables
+     * @param {Object} strokes - Stroke styles
+     * @returns {Object} Stroke styles with CSS colors
+     */
+    applyStrokeVariables(strokes) {
+        const color = getVariableColorCSS(strokes.colorVariable, strokes.opacity, this.variables);
+        if (!color) return strokes;
+
+        const resolved = Object.assign({}, strokes, { color });
+        ['strokeTopColor', 'strokeRightColor', 'strokeBottomColor', 'strokeLeftColor'].forEach(side => {
+            if (strokes[side] === strokes.color) {
+                resolved[side] = color;
+            }
+        });
+        return resolved;
+    }
+
     /**
      * Generate text color CSS from fills (for TEXT nodes)
+     * Stacked solid fills are composited into a single color
      * @param {Array} fills - Array of fill styles
      * @returns {string} CSS color property
      */
@@ -316,11 +561,15 @@ class NodeStylesPass {
         const visibleFills = fills.filter(fill => fill.visible);
         if (visibleFills.length === 0) return null;
 
-        const fill = visibleFills[0]; // Use first visible fill
-        
         // For text, we only support solid colors (gradients don't work well with text)
-        if (fill.type === 'SOLID') {
-            return fill.color;
+        const solidFills = visibleFills.filter(fill => fill.type === 'SOLID' && fill.rgba);
+        if (solidFills.length === 1) {
+            return this.getFillColorCSS(solidFills[0]);
+        }
+
+        const solidColors = solidFills.map(fill => fill.rgba);
+        if (solidColors.length > 0) {
+            return rgbaToHex(compositeColors(solidColors));
         }
         
         // Fallback to black if not a solid color
@@ -328,84 +577,140 @@ class NodeStylesPass {
     }
 
     /**
-     * Generate background CSS from fills
+     * Generate CSS that paints gradient and image text fills through the glyphs
+     * The fills become the text's background, clipped to the text, and the
+     * glyphs themselves are transparent.
      * @param {Array} fills - Array of fill styles
-     * @returns {string} CSS background property
+     * @param {Object} node - TEXT node
+     * @returns {Array} CSS declarations
      */
-    generateBackgroundCSS(fills) {
-        const visibleFills = fills.filter(fill => fill.visible);
-        if (visibleFills.length === 0) return null;
+    generateClippedTextFillCSS(fills, node) {
+        const background = this.generateBackgroundCSS(fills, node);
+        if (!background) {
+            return [];
+        }
 
-        const fill = visibleFills[0]; // Use first visible fill
-        
-        switch (fill.type) {
-            case 'SOLID':
-                return fill.color;
-            case 'GRADIENT_LINEAR':
-                return this.generateLinearGradientCSS(fill);
-            case 'GRADIENT_RADIAL':
-                return this.generateRadialGradientCSS(fill);
-            default:
-                return null;
+        const rules = [`background: ${background};`];
+        const backgroundBlendMode = this.generateBackgroundBlendModeCSS(fills, node);
+        if (backgroundBlendMode) {
+            rules.push(`background-blend-mode: ${backgroundBlendMode};`);
         }
+        rules.push('-webkit-background-clip: text;');
+        rules.push('background-clip: text;');
+        rules.push('color: transparent;');
+        rules.push('-webkit-text-fill-color: transparent;');
+        return rules;
     }
 
     /**
-     * Generate linear gradient CSS
-     * @param {Object} fill - Gradient fill
-     * @returns {string} CSS linear gradient
+     * Build CSS background layers from fills
+     * Figma paints fills bottom to top while CSS lists layers top first,
+     * so the order is reversed
+     * @param {Array} fills - Array of fill styles
+     * @param {Object} node - Figma node (gradient geometry uses its size)
+     * @returns {Array} Layers ({ image, blendMode }), topmost first
      */
-    generateLinearGradientCSS(fill) {
-        if (!fill.gradientStops || fill.gradientStops.length < 2) {
-            return null;
-        }
+    getBackgroundLayers(fills, node = {}) {
+        const visibleFills = fills.filter(fill => fill.visible);
+        const layers = [];
 
-        const stops = fill.gradientStops.map(stop => {
-            const color = rgbaToHex(stop.color);
-            const position = typeof stop.position === 'number' ? Math.round(stop.position * 100) : 0;
-            return `${color} ${position}%`;
-        }).join(', ');
+        visibleFills.forEach(fill => {
+            let images = null;
+            switch (fill.type) {
+                case 'SOLID':
+                    images = this.getFillColorCSS(fill);
+                    break;
+                case 'GRADIENT_LINEAR':
+                    images = this.generateLinearGradientCSS(fill, node.width, node.height);
+                    break;
+                case 'GRADIENT_RADIAL':
+                    images = this.generateRadialGradientCSS(fill, node.width, node.height);
+                    break;
+                case 'GRADIENT_ANGULAR':
+                    images = this.generateAngularGradientCSS(fill, node.width, node.height);
+                    break;
+                case 'GRADIENT_DIAMOND':
+                    // Diamond gradients are approximated with several layers
+                    images = this.generateDiamondGradientCSS(fill, node.width, node.height);
+                    break;
+                case 'IMAGE':
+                    images = this.generateImageFillCSS(fill, node.width, node.height);
+                    break;
+            }
 
-        return `linear-gradient(90deg, ${stops})`;
+            if (images) {
+                const blendMode = mapBlendModeToCSS(fill.blendMode) || 'normal';
+                [].concat(images).reverse().forEach(image => {
+                    layers.unshift({
+                        image: image,
+                        isColor: fill.type === 'SOLID',
+                        blendMode: blendMode
+                    });
+                });
+            }
+        });
+
+        return layers;
     }
 
     /**
-     * Generate radial gradient CSS
-     * @param {Object} fill - Gradient fill
-     * @returns {string} CSS radial gradient
+     * Generate background CSS from fills
+     * @param {Array} fills - Array of fill styles
+     * @param {Object} node - Figma node
+     * @returns {string} CSS background property
      */
-    generateRadialGradientCSS(fill) {
-        if (!fill.gradientStops || fill.gradientStops.length < 2) {
+    generateBackgroundCSS(fills, node) {
+        const layers = this.getBackgroundLayers(fills, node);
+        if (layers.length === 0) return null;
+
+        // Only the bottom layer may be a plain color; solid fills above it
+        // become single-color gradients so they can be stacked
+        return layers.map((layer, index) => {
+            const isBottomLayer = index === layers.length - 1;
+            if (layer.isColor && !isBottomLayer) {
+                return `linear-gradient(${layer.image}, ${layer.image})`;
+            }
+            return layer.image;
+        }).join(', ');
+    }
+
+    /**
+     * Generate background-blend-mode CSS from fills
+     * @param {Array} fills - Array of fill styles
+     * @param {Object} node - Figma node
+     * @returns {string|null} Comma-separated blend modes, one per background layer
+     */
+    generateBackgroundBlendModeCSS(fills, node) {
+        const layers = this.getBackgroundLayers(fills, node);
+        if (!layers.some(layer => layer.blendMode !== 'normal')) {
             return null;
         }
 
-        const stops = fill.gradientStops.map(stop => {
-            const color = rgbaToHex(stop.color);
-            const position = typeof stop.position === 'number' ? Math.round(stop.position * 100) : 0;
-            return `${color} ${position}%`;
-        }).join(', ');
-
-        return `radial-gradient(circle, ${stops})`;
+        return layers.map(layer => layer.blendMode).join(', ');
     }
 
-
     /**
      * Generate CSS for LINE nodes using stroke properties
+     * The line is a box as long as the node and as thick as the stroke, painted
+     * with the stroke color; dash patterns become a repeating gradient with the
+     * Figma dash and gap lengths, and round caps round the ends.
      * @param {Object} node - LINE node
      * @param {Object} strokes - Stroke styles
-     * @param {Array} rules - Array to add CSS rules to
+     * @returns {Object|null} { mainRules, pseudoRules }
      */
-    generateLineCSS(node, strokes, rules) {
+    generateLineCSS(node, strokes) {
         if (!strokes || strokes.type !== 'SOLID' || !strokes.color) {
-            return;
+            return null;
         }
 
+        const rules = [];
         const strokeWeight = strokes.weight || 1;
         
         // For LINE nodes, override the dimensions to create a proper line
         // The layout generator will have already set dimensions, but we need to override them
         const hasWidth = node.width && typeof node.width === 'number' && node.width > 0;
         const hasHeight = node.height && typeof node.height === 'number' && node.height > 0;
+        const isVertical = hasHeight && !(hasWidth && node.width > node.height);
         
         if (hasWidth && hasHeight) {
             // Determine which dimension is the line direction based on which is larger
@@ -432,8 +737,16 @@ class NodeStylesPass {
             rules.push(`height: ${this.roundCSS(strokeWeight)}px !important;`);
         }
 
-        // Apply stroke color as background color
-        rules.push(`background-color: ${strokes.color} !important;`);
+        // Apply stroke color as background color (or dashes of it)
+        const dashes = this.getLineDashBackground(strokes, strokeWeight, isVertical);
+        if (dashes) {
+            rules.push(`background: ${dashes} !important;`);
+        } else {
+            rules.push(`background-color: ${strokes.color} !important;`);
+        }
+        if (strokes.cap === 'ROUND') {
+            rules.push(`border-radius: ${this.roundCSS(strokeWeight / 2)}px;`);
+        }
         
         // Remove any border that might interfere
         rules.push(`border: none !important;`);
@@ -448,6 +761,68 @@ class NodeStylesPass {
         };
     }
 
+    /**
+     * Get the background that draws a dashed or dotted line
+     * @param {Object} strokes - Stroke styles (dashPattern in pixels)
+     * @param {number} strokeWeight - Line thickness
+     * @param {boolean} isVertical - Whether the line runs top to bottom
+     * @returns {string|null} CSS background, or null for solid lines
+     */
+    getLineDashBackground(strokes, strokeWeight, isVertical) {
+        let pattern = (strokes.dashPattern || []).filter(value => value >= 0);
+        if (pattern.length === 0 || pattern.every(value => value === 0)) {
+            return null;
+        }
+        // Like SVG, an odd pattern is repeated to pair every dash with a gap
+        if (pattern.length % 2 === 1) {
+            pattern = pattern.concat(pattern);
+        }
+
+        const period = pattern.reduce((total, value) => total + value, 0);
+        const direction = isVertical ? 'to bottom' : 'to right';
+
+        // Zero-length dashes with round caps are dots one stroke wide
+        if (pattern[0] <= 0.01 && strokes.cap === 'ROUND') {
+            const size = isVertical
+                ? `${this.roundCSS(strokeWeight)}px ${this.roundCSS(period)}px`
+                : `${this.roundCSS(period)}px ${this.roundCSS(strokeWeight)}px`;
+            return `radial-gradient(circle closest-side, ${strokes.color} 98%, transparent) 0 0 / ${size} ${isVertical ? 'repeat-y' : 'repeat-x'}`;
+        }
+
+        const stops = [];
+        let position = 0;
+        pattern.forEach((length, index) => {
+            const color = index % 2 === 0 ? strokes.color : 'transparent';
+            stops.push(`${color} ${this.roundCSS(position)}px ${this.roundCSS(position + length)}px`);
+            position += length;
+        });
+        return `repeating-linear-gradient(${direction}, ${stops.join(', ')})`;
+    }
+
+    /**
+     * Merge every box-shadow declaration of a node into one
+     * Shadow strokes and drop/inner shadows are generated separately; a second
+     * box-shadow declaration would override the first.
+     * @param {Array} rules - CSS declarations for the node (modified in place)
+     */
+    mergeBoxShadowRules(rules) {
+        const indexes = [];
+        rules.forEach((rule, index) => {
+            if (rule.startsWith('box-shadow:')) {
+                indexes.push(index);
+            }
+        });
+        if (indexes.length < 2) {
+            return;
+        }
+
+        const values = indexes.map(index => rules[index].slice('box-shadow:'.length).trim().replace(/;$/, ''));
+        rules[indexes[0]] = `box-shadow: ${values.join(', ')};`;
+        for (let i = indexes.length - 1; i > 0; i--) {
+            rules.splice(indexes[i], 1);
+        }
+    }
+
     /**
      * Round CSS values to avoid sub-pixel rendering issues
      * @param {number} value - Value to round
@@ -460,41 +835,22 @@ class NodeStylesPass {
         return Math.round(value * 100) / 100; // Round to 2 decimal places
     }
 
-    /**
-     * Generate effects CSS (shadows, blurs)
-     * @param {Array} effects - Array of effects
-     * @returns {Array} Array of CSS rules
-     */
-    generateEffectsCSS(effects) {
-        const rules = [];
-        
-        effects.forEach(effect => {
-            if (!effect.visible) return;
-            
-            switch (effect.type) {
-                case 'DROP_SHADOW':
-                    const shadow = `${effect.offset.x}px ${effect.offset.y}px ${effect.radius}px ${effect.spread}px ${effect.color}`;
-                    rules.push(`box-shadow: ${shadow};`);
-                    break;
-                case 'LAYER_BLUR':
-                    rules.push(`filter: blur(${effect.radius}px);`);
-                    break;
-            }
-        });
-        
-        return rules;
-    }
-
     /**
      * Generate complete CSS from all rules
      * @returns {string} Complete CSS
      */
     generateCSS() {
-        if (this.cssRules.length === 0) {
+        const variableCSS = generateVariableCSS(this.variables);
+        if (this.cssRules.length === 0 && !variableCSS) {
             return '';
         }
 
         let css = '/* Generated CSS from Figma styles */\n';
+
+        if (variableCSS) {
+            css += '/* Figma variables (switch modes with data-theme) */\n';
+            css += variableCSS;
+        }
         
         this.cssRules.forEach(rule => {
             css += `${rule.selector} {\n`;
@@ -518,7 +874,38 @@ class NodeStylesPass {
     // CSS Generation methods (now implemented via generators)
     generateTypographyCSS(typography) {
         if (!typography) return [];
-        return generateTypographyCSS(typography);
+        return generateTypographyCSS(typography, this.fontFamilies);
+    }
+
+    generateEffectsCSS(effects, node) {
+        if (!effects) return [];
+        return generateEffectsCSS(effects, node);
+    }
+
+    generateLinearGradientCSS(fill, width, height) {
+        return generateLinearGradientCSS(fill, width, height);
+    }
+
+    generateRadialGradientCSS(fill, width, height) {
+        return generateRadialGradientCSS(fill, width, height);
+    }
+
+    generateAngularGradientCSS(fill, width, height) {
+        return generateAngularGradientCSS(fill, width, height);
+    }
+
+    generateDiamondGradientCSS(fill, width, height) {
+        return generateDiamondGradientCSS(fill, width, height);
+    }
+
+    generateImageFillCSS(fill, width, height) {
+        const imageHash = fill.imageHash || fill.imageRef;
+        const asset = this.imageAssets.get(imageHash);
+        if (imageHash && !asset && !this.missingImages.has(imageHash)) {
+            this.missingImages.add(imageHash);
+            console.warn(`⚠️ Image ${imageHash} was not exported, its fill layer is skipped`);
+        }
+        return generateImageFillCSS(fill, asset, width, height);
     }
 
     generateLayoutCSS(node, parent, isTopLevel) {
@@ -80,21 +80,21 @@ function mapTextAlignToCSS(textAlign) {
 }
 
 /**
- * Map Figma stroke align to CSS equivalent
+ * Get the share of a stroke drawn outside the layer for a Figma stroke align
+ * CSS borders are always inside the box, so the generators place the stroke
+ * with outline-offset (or shadow offsets) from this share.
  * @param {string} strokeAlign - Figma stroke align
- * @returns {string|null} CSS equivalent or null if not directly supported
+ * @returns {number} 0 for INSIDE, 0.5 for CENTER, 1 for OUTSIDE
  */
-function mapStrokeAlignToCSS(strokeAlign) {
-    // CSS doesn't directly support stroke alignment like Figma
-    // This is mainly for reference and potential future use
+function getStrokeOutsideShare(strokeAlign) {
     switch (strokeAlign) {
         case 'INSIDE':
-            return 'inside'; // Not standard CSS, but can be used for reference
+            return 0;
         case 'OUTSIDE':
-            return 'outside'; // Not standard CSS, but can be used for reference
+            return 1;
         case 'CENTER':
         default:
-            return 'center'; // Default stroke behavior in CSS
+            return 0.5;
     }
 }
 
@@ -124,6 +124,6 @@ module.exports = {
     mapLayoutSizingToCSS,
     mapBlendModeToCSS,
     mapTextAlignToCSS,
-    mapStrokeAlignToCSS,
+    getStrokeOutsideShare,
     mapEffectTypeToCSS
 };
@@ -29,6 +29,27 @@ function rgbaToHex(rgba) {
     }
 }
 
+/**
+ * Composite RGBA colors with normal (source-over) blending
+ * @param {Array} colors - RGBA color objects in paint order (bottom first)
+ * @returns {Object|null} Resulting RGBA color
+ */
+function compositeColors(colors) {
+    if (!colors || colors.length === 0) return null;
+
+    return colors.reduce((bottom, top) => {
+        const topA = typeof top.a === 'number' ? top.a : 1;
+        const bottomA = typeof bottom.a === 'number' ? bottom.a : 1;
+        const a = topA + bottomA * (1 - topA);
+        if (a === 0) {
+            return { r: 0, g: 0, b: 0, a: 0 };
+        }
+
+        const mix = (channel) => (top[channel] * topA + bottom[channel] * bottomA * (1 - topA)) / a;
+        return { r: mix('r'), g: mix('g'), b: mix('b'), a: a };
+    });
+}
+
 /**
  * Round a number to a reasonable precision for CSS
  * @param {number} value - Number to round
@@ -42,5 +63,6 @@ function roundCSS(value, precision = 2) {
 
 module.exports = {
     rgbaToHex,
+    compositeColors,
     roundCSS
 };
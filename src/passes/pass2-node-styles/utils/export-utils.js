@@ -0,0 +1,16 @@
+/**
+ * Export utilities shared by Pass 1 and Pass 2
+ */
+
+/**
+ * Check whether a layer was exported with exportAsync (see collectExportFallbacks)
+ * @param {Object} node - Figma node
+ * @returns {boolean} True if the node carries an exported SVG or image
+ */
+function isExportedNode(node) {
+    return !!(node && (node.exportedSVG || (node.exportedImage && node.exportedImage.path)));
+}
+
+module.exports = {
+    isExportedNode
+};
@@ -0,0 +1,152 @@
+/**
+ * Transform utilities for converting Figma relativeTransform matrices to CSS
+ *
+ * Figma stores a node's placement as a 2×3 matrix [[a, c, tx], [b, d, ty]]
+ * whose translation is the node's x/y. The translation is already emitted as
+ * left/top, so only the linear part (rotation, flips, skew) becomes a CSS
+ * transform, applied around the node's top-left corner.
+ *
+ * The smart animate runtime (calculateNodeDifferences) mirrors these functions.
+ */
+
+const { roundCSS } = require('./color-utils');
+
+// Matrix entries closer than this to their identity value are treated as exact
+const TRANSFORM_EPSILON = 1e-4;
+
+/**
+ * Get the linear part of a node's transform as CSS matrix() entries
+ * @param {Object} node - Figma node (relativeTransform, or rotation as a fallback)
+ * @returns {Object} { a, b, c, d } where CSS maps (x, y) to (a·x + c·y, b·x + d·y)
+ */
+function getTransformMatrix(node) {
+    const transform = node && node.relativeTransform;
+    if (Array.isArray(transform) && Array.isArray(transform[0]) && Array.isArray(transform[1])) {
+        return {
+            a: transform[0][0],
+            b: transform[1][0],
+            c: transform[0][1],
+            d: transform[1][1]
+        };
+    }
+
+    // Figma rotates counter-clockwise, CSS clockwise
+    const radians = -((node && node.rotation) || 0) * Math.PI / 180;
+    return {
+        a: Math.cos(radians),
+        b: Math.sin(radians),
+        c: -Math.sin(radians),
+        d: Math.cos(radians)
+    };
+}
+
+/**
+ * Get a node's full 2×3 transform in its parent's coordinate space
+ * @param {Object} node - Node properties
+ * @returns {Object} { a, b, c, d, e, f } mapping local (x, y) to (a·x + c·y + e, b·x + d·y + f)
+ */
+function getNodeAffineTransform(node) {
+    const transform = node.relativeTransform;
+    const hasTranslation = Array.isArray(transform) && Array.isArray(transform[0]) && Array.isArray(transform[1]);
+    const { a, b, c, d } = getTransformMatrix(node);
+    return {
+        a,
+        b,
+        c,
+        d,
+        e: hasTranslation ? transform[0][2] : (node.x || 0),
+        f: hasTranslation ? transform[1][2] : (node.y || 0)
+    };
+}
+
+/**
+ * Get the axis-aligned box a (rotated, flipped or skewed) node covers in its parent
+ * @param {Object} node - Node properties
+ * @returns {Object} { x, y, width, height } in the parent's coordinate space
+ */
+function getAxisAlignedBounds(node) {
+    const { a, b, c, d, e, f } = getNodeAffineTransform(node);
+    const width = node.width || 0;
+    const height = node.height || 0;
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+        .map(([x, y]) => ({ x: a * x + c * y + e, y: b * x + d * y + f }));
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Check whether a transform matrix leaves the node unchanged
+ * @param {Object} matrix - { a, b, c, d }
+ * @returns {boolean} True for the identity matrix
+ */
+function isIdentityMatrix(matrix) {
+    return Math.abs(matrix.a - 1) < TRANSFORM_EPSILON && Math.abs(matrix.b) < TRANSFORM_EPSILON &&
+        Math.abs(matrix.c) < TRANSFORM_EPSILON && Math.abs(matrix.d - 1) < TRANSFORM_EPSILON;
+}
+
+/**
+ * Decompose a transform matrix into rotate(), skewX() and scale()
+ * The matrix is factored as rotate(rotation) · skewX(skew) · scale(scaleX, scaleY);
+ * a flipped layer has a negative scaleY.
+ * @param {Object} matrix - { a, b, c, d }
+ * @returns {Object} { rotation, skew, scaleX, scaleY } with angles in degrees
+ */
+function decomposeTransformMatrix(matrix) {
+    const { a, b, c, d } = matrix;
+    const scaleX = Math.sqrt(a * a + b * b);
+    if (scaleX < TRANSFORM_EPSILON) {
+        return { rotation: 0, skew: 0, scaleX: 0, scaleY: 0 };
+    }
+
+    const scaleY = (a * d - b * c) / scaleX;
+    const shear = (a * c + b * d) / scaleX;
+    return {
+        rotation: Math.atan2(b, a) * 180 / Math.PI,
+        skew: scaleY !== 0 ? Math.atan(shear / scaleY) * 180 / Math.PI : 0,
+        scaleX,
+        scaleY
+    };
+}
+
+/**
+ * Format a transform matrix as a CSS transform value
+ * Rotations and flips become a readable rotate()/scale() chain; skews and
+ * non-uniform scales fall back to matrix().
+ * @param {Object} matrix - { a, b, c, d }
+ * @returns {string|null} CSS transform, or null for the identity matrix
+ */
+function formatTransformMatrixCSS(matrix) {
+    if (isIdentityMatrix(matrix)) {
+        return null;
+    }
+
+    const { rotation, skew, scaleX, scaleY } = decomposeTransformMatrix(matrix);
+    const isRigid = Math.abs(skew) < TRANSFORM_EPSILON && Math.abs(scaleX - 1) < TRANSFORM_EPSILON &&
+        Math.abs(Math.abs(scaleY) - 1) < TRANSFORM_EPSILON;
+
+    if (!isRigid) {
+        const { a, b, c, d } = matrix;
+        return `matrix(${roundCSS(a, 6)}, ${roundCSS(b, 6)}, ${roundCSS(c, 6)}, ${roundCSS(d, 6)}, 0, 0)`;
+    }
+
+    const parts = [];
+    if (Math.abs(rotation) > TRANSFORM_EPSILON) {
+        parts.push(`rotate(${roundCSS(rotation, 4)}deg)`);
+    }
+    if (scaleY < 0) {
+        parts.push('scaleY(-1)');
+    }
+    return parts.join(' ') || null;
+}
+
+module.exports = {
+    getTransformMatrix,
+    getNodeAffineTransform,
+    getAxisAlignedBounds,
+    isIdentityMatrix,
+    decomposeTransformMatrix,
+    formatTransformMatrixCSS
+};
@@ -0,0 +1,391 @@
+/**
+ * Pass 5: Design Tokens
+ *
+ * Builds a Design Tokens Community Group (DTCG) tokens.json from the paint,
+ * text and effect styles and the variables used in the exported selection.
+ * Styles are grouped under "color", "typography" and "shadow"; variables are
+ * grouped under their collection name, with the values of non-default modes
+ * kept in $extensions["com.figma"].modes.
+ */
+
+const { extractFills } = require('./pass2-node-styles/extractors/fills-extractor');
+const { mapFontStyleToWeight } = require('./pass2-node-styles/extractors/typography-extractor');
+const { rgbaToHex, compositeColors, roundCSS } = require('./pass2-node-styles/utils/color-utils');
+
+class DesignTokensPass {
+    constructor() {
+        this.tokens = {};
+        this.skipped = [];
+    }
+
+    /**
+     * Process styles and variables and build the token tree
+     * @param {Array} nodes - Extracted nodes from Figma
+     * @param {Object} options - Token sources
+     * @param {Array} options.styles - Styles used in the selection ({ id, type, name, description, paints | effects | font properties })
+     * @param {Object} options.variables - Variable collections and variables ({ collections, variables })
+     * @param {Array} options.usedVariableIds - Ids of the variables bound in the selection
+     * @returns {Object} { tokens, metadata }
+     */
+    async process(nodes, options = {}) {
+        console.log('🎟️ Pass 5: Building design tokens...');
+
+        this.tokens = {};
+        this.skipped = [];
+
+        let styleCount = 0;
+        (options.styles || []).forEach(style => {
+            if (this.addStyleToken(style)) {
+                styleCount++;
+            }
+        });
+
+        const variableCount = this.addVariableTokens(options.variables, options.usedVariableIds || []);
+
+        console.log(`✅ Pass 5: ${styleCount} style token(s), ${variableCount} variable token(s)`);
+        if (this.skipped.length > 0) {
+            console.log(`ℹ️ Pass 5: Skipped ${this.skipped.length} style(s)/variable(s) without a DTCG type`);
+        }
+
+        return {
+            tokens: this.tokens,
+            metadata: {
+                nodeCount: nodes ? nodes.length : 0,
+                styleCount: styleCount,
+                variableCount: variableCount,
+                skipped: this.skipped
+            }
+        };
+    }
+
+    /**
+     * Add the token for a paint, text or effect style
+     * @param {Object} style - Style definition
+     * @returns {boolean} True if a token was added
+     */
+    addStyleToken(style) {
+        let group = null;
+        let token = null;
+
+        switch (style.type) {
+            case 'PAINT':
+                group = 'color';
+                token = this.createPaintToken(style.paints);
+                break;
+            case 'TEXT':
+                group = 'typography';
+                token = this.createTypographyToken(style);
+                break;
+            case 'EFFECT':
+                group = 'shadow';
+                token = this.createShadowToken(style.effects);
+                break;
+        }
+
+        if (!token) {
+            this.skipped.push({ name: style.name, type: style.type, reason: 'no DTCG equivalent' });
+            return false;
+        }
+
+        if (style.description) {
+            token.$description = style.description;
+        }
+        return this.setToken([group].concat(this.getTokenPath(style.name)), token, style.name);
+    }
+
+    /**
+     * Create a color or gradient token from the paints of a paint style
+     * @param {Array} paints - Figma paints (bottom first)
+     * @returns {Object|null} Token, or null for image-only styles
+     */
+    createPaintToken(paints) {
+        const fills = extractFills({ fills: paints || [] }).filter(fill => fill.visible);
+        if (fills.length === 0) return null;
+
+        // Stacked solid paints render as one color
+        if (fills.every(fill => fill.type === 'SOLID')) {
+            return { $type: 'color', $value: this.toHexColor(compositeColors(fills.map(fill => fill.rgba))) };
+        }
+
+        const topFill = fills[fills.length - 1];
+        if (topFill.type === 'SOLID') {
+            return { $type: 'color', $value: this.toHexColor(topFill.rgba) };
+        }
+        if (topFill.gradientStops) {
+            return {
+                $type: 'gradient',
+                $value: topFill.gradientStops.map(stop => ({
+                    color: this.toHexColor(stop.color),
+                    position: roundCSS(stop.position, 4)
+                }))
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Create a typography token from a text style
+     * @param {Object} style - Text style (fontName, fontSize, letterSpacing, lineHeight)
+     * @returns {Object|null} Token
+     */
+    createTypographyToken(style) {
+        if (!style.fontName || typeof style.fontSize !== 'number') return null;
+
+        return {
+            $type: 'typography',
+            $value: {
+                fontFamily: style.fontName.family,
+                fontSize: `${roundCSS(style.fontSize)}px`,
+                fontWeight: mapFontStyleToWeight(style.fontName.style),
+                letterSpacing: `${this.getLetterSpacingPixels(style.letterSpacing, style.fontSize)}px`,
+                lineHeight: this.getLineHeightRatio(style.lineHeight, style.fontSize)
+            }
+        };
+    }
+
+    /**
+     * Create a shadow token from the effects of an effect style
+     * @param {Array} effects - Figma effects
+     * @returns {Object|null} Token, or null for blur-only styles
+     */
+    createShadowToken(effects) {
+        // Effects are stored bottom-first; tokens list the topmost shadow first like CSS
+        const shadows = (effects || [])
+            .filter(effect => effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW'))
+            .reverse()
+            .map(effect => {
+                const offset = effect.offset || { x: 0, y: 0 };
+                const shadow = {
+                    color: this.toHexColor(effect.color),
+                    offsetX: `${roundCSS(offset.x || 0)}px`,
+                    offsetY: `${roundCSS(offset.y || 0)}px`,
+                    blur: `${roundCSS(effect.radius || 0)}px`,
+                    spread: `${roundCSS(effect.spread || 0)}px`
+                };
+                if (effect.type === 'INNER_SHADOW') {
+                    shadow.inset = true;
+                }
+                return shadow;
+            });
+
+        if (shadows.length === 0) return null;
+        return { $type: 'shadow', $value: shadows.length === 1 ? shadows[0] : shadows };
+    }
+
+    /**
+     * Add tokens for the variables used in the selection and the variables they alias
+     * @param {Object} variableData - { collections, variables }
+     * @param {Array} usedVariableIds - Ids of the variables bound in the selection
+     * @returns {number} Number of variable tokens added
+     */
+    addVariableTokens(variableData, usedVariableIds) {
+        if (!variableData || !Array.isArray(variableData.variables)) return 0;
+
+        const collections = new Map((variableData.collections || []).map(collection => [collection.id, collection]));
+        const variables = new Map(variableData.variables.map(variable => [variable.id, variable]));
+
+        // Follow aliases so every reference in the output resolves
+        const used = new Set();
+        const pending = usedVariableIds.slice();
+        while (pending.length > 0) {
+            const id = pending.pop();
+            const variable = variables.get(id);
+            if (!variable || used.has(id)) continue;
+
+            used.add(id);
+            Object.keys(variable.valuesByMode || {}).forEach(modeId => {
+                const value = variable.valuesByMode[modeId];
+                if (value && value.type === 'VARIABLE_ALIAS') {
+                    pending.push(value.id);
+                }
+            });
+        }
+
+        const getPath = (variable) => {
+            const collection = collections.get(variable.variableCollectionId);
+            return this.getTokenPath(collection ? collection.name : 'variables').concat(this.getTokenPath(variable.name));
+        };
+
+        let count = 0;
+        variableData.variables.forEach(variable => {
+            if (!used.has(variable.id)) return;
+
+            const collection = collections.get(variable.variableCollectionId);
+            const type = this.getVariableTokenType(variable);
+            if (!collection || !type) {
+                this.skipped.push({ name: variable.name, type: variable.resolvedType, reason: 'no DTCG equivalent' });
+                return;
+            }
+
+            const formatValue = (value) => {
+                if (value && value.type === 'VARIABLE_ALIAS') {
+                    const target = variables.get(value.id);
+                    return target ? `{${getPath(target).join('.')}}` : null;
+                }
+                return this.formatVariableTokenValue(value, type);
+            };
+
+            const token = { $type: type, $value: formatValue(variable.valuesByMode[collection.defaultModeId]) };
+            if (token.$value === null) return;
+            if (variable.description) {
+                token.$description = variable.description;
+            }
+
+            const modes = {};
+            (collection.modes || []).forEach(mode => {
+                if (mode.modeId === collection.defaultModeId) return;
+                const value = formatValue(variable.valuesByMode[mode.modeId]);
+                if (value !== null) {
+                    modes[mode.name] = value;
+                }
+            });
+            if (Object.keys(modes).length > 0) {
+                token.$extensions = { 'com.figma': { modes: modes } };
+            }
+
+            if (this.setToken(getPath(variable), token, variable.name)) {
+                count++;
+            }
+        });
+
+        return count;
+    }
+
+    /**
+     * Get the DTCG type of a variable from its resolved type and scopes
+     * @param {Object} variable - Variable ({ resolvedType, scopes })
+     * @returns {string|null} Token type, or null if it has no DTCG equivalent
+     */
+    getVariableTokenType(variable) {
+        const scopes = variable.scopes || [];
+        const dimensionScopes = ['CORNER_RADIUS', 'WIDTH_HEIGHT', 'GAP', 'STROKE_FLOAT', 'EFFECT_FLOAT',
+            'FONT_SIZE', 'LINE_HEIGHT', 'LETTER_SPACING', 'PARAGRAPH_SPACING', 'PARAGRAPH_INDENT'];
+
+        switch (variable.resolvedType) {
+            case 'COLOR':
+                return 'color';
+            case 'FLOAT':
+                if (scopes.length === 1 && scopes[0] === 'FONT_WEIGHT') return 'fontWeight';
+                if (scopes.length > 0 && scopes.every(scope => dimensionScopes.includes(scope))) return 'dimension';
+                return 'number';
+            case 'STRING':
+                return scopes.length === 1 && scopes[0] === 'FONT_FAMILY' ? 'fontFamily' : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Format a literal variable value for its token type
+     * @param {*} value - Variable value
+     * @param {string} type - Token type
+     * @returns {*} Token value, or null if the value does not fit the type
+     */
+    formatVariableTokenValue(value, type) {
+        switch (type) {
+            case 'color':
+                return value && typeof value === 'object' ? this.toHexColor(value) : null;
+            case 'dimension':
+                return typeof value === 'number' ? `${roundCSS(value)}px` : null;
+            case 'number':
+            case 'fontWeight':
+                return typeof value === 'number' ? roundCSS(value, 4) : null;
+            case 'fontFamily':
+                return typeof value === 'string' ? value : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Place a token in the tree
+     * @param {Array} path - Group names followed by the token name
+     * @param {Object} token - Token ($type, $value, ...)
+     * @param {string} sourceName - Style or variable name (for collision reports)
+     * @returns {boolean} True if the token was added
+     */
+    setToken(path, token, sourceName) {
+        let group = this.tokens;
+        for (let i = 0; i < path.length - 1; i++) {
+            if (!group[path[i]]) {
+                group[path[i]] = {};
+            }
+            group = group[path[i]];
+            if (group.$value !== undefined) {
+                this.skipped.push({ name: sourceName, reason: `"${path.slice(0, i + 1).join('/')}" is already a token` });
+                return false;
+            }
+        }
+
+        const name = path[path.length - 1];
+        if (group[name]) {
+            this.skipped.push({ name: sourceName, reason: `duplicate token name "${path.join('/')}"` });
+            return false;
+        }
+
+        group[name] = token;
+        return true;
+    }
+
+    /**
+     * Split a Figma style or variable name into token path segments
+     * DTCG names may not contain ".", "{" or "}" or start with "$".
+     * @param {string} name - Name with "/" separated groups
+     * @returns {Array} Path segments
+     */
+    getTokenPath(name) {
+        const segments = String(name || '')
+            .split('/')
+            .map(segment => segment.trim().replace(/[.{}]/g, '-').replace(/^\$+/, ''))
+            .filter(segment => segment.length > 0);
+        return segments.length > 0 ? segments : ['unnamed'];
+    }
+
+    /**
+     * Convert a Figma color to a DTCG hex color (#rrggbb or #rrggbbaa)
+     * @param {Object} color - RGBA color (0..1 channels)
+     * @returns {string} Hex color
+     */
+    toHexColor(color) {
+        if (!color) return '#000000';
+
+        // rgbaToHex writes translucent colors as rgba(), so the alpha byte is appended here
+        const alpha = typeof color.a === 'number' && !isNaN(color.a) ? Math.max(0, Math.min(1, color.a)) : 1;
+        const hex = rgbaToHex(Object.assign({}, color, { a: 1 }));
+        return alpha < 1 ? hex + Math.round(alpha * 255).toString(16).padStart(2, '0') : hex;
+    }
+
+    /**
+     * Convert Figma letter spacing to pixels
+     * @param {Object|number} letterSpacing - {unit: 'PIXELS'|'PERCENT', value} or a pixel number
+     * @param {number} fontSize - Font size in pixels
+     * @returns {number} Letter spacing in pixels
+     */
+    getLetterSpacingPixels(letterSpacing, fontSize) {
+        if (typeof letterSpacing === 'number') return roundCSS(letterSpacing);
+        if (!letterSpacing || typeof letterSpacing.value !== 'number') return 0;
+        return letterSpacing.unit === 'PERCENT'
+            ? roundCSS(letterSpacing.value / 100 * fontSize)
+            : roundCSS(letterSpacing.value);
+    }
+
+    /**
+     * Convert Figma line height to a ratio of the font size
+     * @param {Object} lineHeight - {unit: 'AUTO'|'PIXELS'|'PERCENT', value}
+     * @param {number} fontSize - Font size in pixels
+     * @returns {number} Line height ratio
+     */
+    getLineHeightRatio(lineHeight, fontSize) {
+        if (lineHeight && lineHeight.unit === 'PIXELS' && typeof lineHeight.value === 'number' && fontSize) {
+            return roundCSS(lineHeight.value / fontSize, 3);
+        }
+        if (lineHeight && lineHeight.unit === 'PERCENT' && typeof lineHeight.value === 'number') {
+            return roundCSS(lineHeight.value / 100, 3);
+        }
+
+        // Figma's auto line height follows the font metrics, about 1.2 for most fonts
+        return 1.2;
+    }
+}
+
+module.exports = { DesignTokensPass };
@@ -6,9 +6,12 @@
 class FigmaToHTMLPluginCode {
     constructor() {
         this.isGenerating = false;
-        this.nodeStructurePass = new NodeStructurePass();
+        this.nodeStructurePass = new NodeStructurePass({
+            tagMapping: typeof TAG_MAPPING !== 'undefined' ? TAG_MAPPING : null
+        });
         this.nodeStylesPass = new NodeStylesPass();
         this.ruleGenerationPass = new RuleGenerationPass();
+        this.designTokensPass = new DesignTokensPass();
         this.setupMessageHandlers();
         this.showUI();
     }
@@ -192,6 +195,9 @@ class FigmaToHTMLPluginCode {
                 case 'generate-rules':
                     await this.handleGenerateRules(msg);
                     break;
+                case 'save-snapshot':
+                    await this.handleSaveSnapshot(msg);
+                    break;
                 case 'export-rules-to-showroom':
                     await this.handleExportRulesToShowroom(msg);
                     break;
@@ -300,6 +306,9 @@ class FigmaToHTMLPluginCode {
             // Extract node data
             const extractedNodes = this.extractNodeData(nodes);
             console.log('✅ Extracted nodes:', extractedNodes.length);
+
+            // Flagged and unsupported layers are exported as SVG or PNG before Pass 1
+            const exportedAssets = await this.collectExportFallbacks(extractedNodes);
             
             console.log('🔍 EXTRACTED NODES: Processed node data:');
             extractedNodes.forEach((node, index) => {
@@ -311,13 +320,19 @@ class FigmaToHTMLPluginCode {
             });
             
             console.log('🔍 Step 3: Processing HTML structure (Pass 1)...');
-            // Pass 1: Generate HTML structure
-            const pass1Result = await this.nodeStructurePass.process(extractedNodes);
+            // Pass 1: Generate HTML structure (top-level frames become routes of the page's prototype)
+            const pass1Result = await this.nodeStructurePass.process(extractedNodes, { flowStartingPoints: this.getFlowStartingPoints() });
             console.log('✅ Pass 1 complete, HTML length:', pass1Result.html.length);
             
+            // Image fill bytes (and rasterized layers) go to img/ next to the HTML
+            const imageAssets = (await this.collectImageAssets(extractedNodes)).concat(exportedAssets);
+
+            // Variables become CSS custom properties with one theme per mode
+            const variables = await this.collectVariables(extractedNodes);
+
             console.log('🔍 Step 4: Processing CSS styles (Pass 2)...');
             // Pass 2: Extract and generate CSS styles (use extracted node data for style data)
-            const pass2Result = await this.nodeStylesPass.process(extractedNodes, pass1Result);
+            const pass2Result = await this.nodeStylesPass.process(extractedNodes, pass1Result, { imageAssets, variables });
             console.log('✅ Pass 2 complete, CSS length:', pass2Result.css.length);
             
             console.log('🔍 Step 5: Wrapping in HTML document...');
@@ -332,7 +347,10 @@ class FigmaToHTMLPluginCode {
             const title = filename;
             console.log('🔍 EXPORT FLOW: Using filename as title:', title);
             // Combine structure and styles into complete HTML document
-            const html = this.wrapInHTMLDocument(pass1Result.html, pass2Result.css, extractedNodes, false, title, msg.autoGenerateNavigation);
+            const html = this.wrapInHTMLDocument(pass1Result.html, pass2Result.css, extractedNodes, false, title, msg.autoGenerateNavigation, {
+                scaleMode: msg.scaleMode,
+                letterboxColor: msg.letterboxColor
+            });
             console.log('✅ HTML document complete, total length:', html.length);
             
             console.log('🔍 Step 6: Detecting media files...');
@@ -374,8 +392,19 @@ class FigmaToHTMLPluginCode {
                 imageFilesCount: imageFiles.length
             });
             
+            // Design tokens go next to the HTML when requested
+            const extraFiles = [];
+            if (msg.exportTokens) {
+                console.log('🔍 Step 7: Building design tokens (Pass 5)...');
+                extraFiles.push({
+                    path: 'tokens.json',
+                    content: await this.buildDesignTokens(extractedNodes, variables),
+                    mimeType: 'application/json'
+                });
+            }
+            
             // Export to file using the generated filename
-            await this.exportToFile(html, filename, videoFiles, imageFiles);
+            await this.exportToFile(html, filename, videoFiles, imageFiles, imageAssets, extraFiles);
             
             this.sendMessage({
                 type: 'generation-complete',
@@ -464,6 +493,517 @@ class FigmaToHTMLPluginCode {
         }
     }
 
+    /**
+     * Handle design snapshot request
+     * Writes the extracted node tree (with image bytes inlined) to a versioned JSON
+     * file that can be attached to bug reports and replayed through the headless CLI
+     * @param {Object} msg - Message object
+     */
+    async handleSaveSnapshot(msg) {
+        if (this.isGenerating) {
+            this.sendMessage({
+                type: 'snapshot-error',
+                message: 'Generation already in progress'
+            });
+            return;
+        }
+
+        this.isGenerating = true;
+
+        try {
+            console.log('📸 Saving design snapshot...');
+
+            const nodes = this.getSelectedNodes();
+            if (nodes.length === 0) {
+                throw new Error('No nodes selected. Please select nodes to snapshot.');
+            }
+
+            const extractedNodes = this.extractNodeData(nodes);
+            const exportedAssets = await this.collectExportFallbacks(extractedNodes);
+            const images = await this.collectSnapshotImages(extractedNodes);
+            exportedAssets.forEach(asset => {
+                images[asset.hash] = asset.base64;
+            });
+            const variables = await this.collectVariables(extractedNodes);
+            const styles = await this.collectStyles(extractedNodes);
+
+            const snapshot = {
+                format: FigmaToHTMLPluginCode.SNAPSHOT_FORMAT,
+                version: FigmaToHTMLPluginCode.SNAPSHOT_VERSION,
+                createdAt: new Date().toISOString(),
+                source: {
+                    fileKey: figma.fileKey || null,
+                    page: figma.currentPage.name,
+                    selection: nodes.map(node => node.id)
+                },
+                nodes: this.sanitizeNodesForSerialization(extractedNodes),
+                images: images,
+                variables: variables,
+                styles: styles,
+                flowStartingPoints: this.getFlowStartingPoints()
+            };
+
+            const baseName = msg.wallName || this.generateIntelligentFilename(extractedNodes).replace(/\.html$/, '');
+            const filename = `${baseName}.snapshot.json`;
+
+            this.sendMessage({
+                type: 'snapshot-ready',
+                message: `Snapshot saved (${extractedNodes.length} node(s), ${Object.keys(images).length} image(s))`,
+                content: JSON.stringify(snapshot, null, 2),
+                filename: filename
+            });
+
+            console.log(`✅ Snapshot ready: ${filename}`);
+        } catch (error) {
+            console.error('🚨 Error saving snapshot:', error);
+            this.sendMessage({
+                type: 'snapshot-error',
+                message: error.message
+            });
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+
+    /**
+     * Collect the bytes of every image paint used in the extracted nodes
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Object} Map of image hash to base64-encoded bytes
+     */
+    async collectSnapshotImages(extractedNodes) {
+        const images = {};
+        for (const hash of this.collectImageHashes(extractedNodes)) {
+            try {
+                const image = figma.getImageByHash(hash);
+                if (image) {
+                    const bytes = await image.getBytesAsync();
+                    images[hash] = figma.base64Encode(bytes);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not read image ${hash} for snapshot:`, error);
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Collect the image hashes of every IMAGE fill in the extracted nodes
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Array} Unique image hashes
+     */
+    collectImageHashes(extractedNodes) {
+        const hashes = new Set();
+
+        const searchNodes = (nodes) => {
+            for (const node of nodes) {
+                if (Array.isArray(node.fills)) {
+                    node.fills.forEach(fill => {
+                        const hash = fill && fill.type === 'IMAGE' ? (fill.imageHash || fill.imageRef) : null;
+                        if (hash) {
+                            hashes.add(hash);
+                        }
+                    });
+                }
+
+                if (node.children && Array.isArray(node.children)) {
+                    searchNodes(node.children);
+                }
+            }
+        };
+
+        searchNodes(extractedNodes);
+        return Array.from(hashes);
+    }
+
+    /**
+     * Read the IMAGE fill bytes used in the extracted nodes so they can be
+     * written to the img/ folder next to the HTML
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Array} Image assets ({ hash, filename, path, mimeType, width, height, base64 })
+     */
+    async collectImageAssets(extractedNodes) {
+        const imageAssets = [];
+
+        for (const hash of this.collectImageHashes(extractedNodes)) {
+            try {
+                const image = figma.getImageByHash(hash);
+                if (!image) {
+                    console.warn(`⚠️ Image ${hash} not found`);
+                    continue;
+                }
+
+                const bytes = await image.getBytesAsync();
+                const size = await image.getSizeAsync();
+                imageAssets.push(this.createImageAsset(hash, bytes, figma.base64Encode(bytes), size));
+            } catch (error) {
+                console.warn(`⚠️ Could not read image ${hash}:`, error);
+            }
+        }
+
+        if (imageAssets.length > 0) {
+            console.log(`🖼️ Collected ${imageAssets.length} image fill asset(s)`);
+        }
+
+        return imageAssets;
+    }
+
+    /**
+     * Decide whether a layer is exported with exportAsync instead of rebuilt as HTML
+     * A [SVG] name flag exports inline SVG and [RASTER] a PNG (2x unless the flag
+     * sets a scale, e.g. [RASTER@1x]). Unflagged layers fall back to SVG when the
+     * passes cannot build their type, and to a 2x PNG when they use effects CSS
+     * cannot express.
+     * @param {Object} node - Figma node
+     * @returns {Object|null} { format: 'SVG' | 'PNG', scale, reason }, or null to build HTML
+     */
+    getExportFallback(node) {
+        const flag = typeof node.name === 'string' ? node.name.match(/^\[(RASTER|SVG)(?:@(\d+(?:\.\d+)?)x)?\]/i) : null;
+        if (flag) {
+            if (flag[1].toUpperCase() === 'SVG') {
+                return { format: 'SVG', scale: 1, reason: 'flag' };
+            }
+            const scale = flag[2] ? Math.min(4, Math.max(0.5, parseFloat(flag[2]))) : 2;
+            return { format: 'PNG', scale: scale, reason: 'flag' };
+        }
+
+        if (!FigmaToHTMLPluginCode.NATIVE_NODE_TYPES.includes(node.type)) {
+            return { format: 'SVG', scale: 1, reason: 'type' };
+        }
+
+        const effects = Array.isArray(node.effects) ? node.effects : [];
+        if (effects.some(effect => effect && effect.visible !== false && !this.isNativeEffect(effect, node.type))) {
+            return { format: 'PNG', scale: 2, reason: 'effect' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether Pass 2 can draw an effect on a node type
+     * Text and vector outlines are shadowed with text-shadow and drop-shadow(),
+     * which have no inset, so their inner shadows are exported instead.
+     * @param {Object} effect - Figma effect
+     * @param {string} nodeType - Figma node type
+     * @returns {boolean} True when the effect becomes CSS
+     */
+    isNativeEffect(effect, nodeType) {
+        if (effect.type === 'INNER_SHADOW' && FigmaToHTMLPluginCode.OUTLINE_EFFECT_NODE_TYPES.includes(nodeType)) {
+            return false;
+        }
+        return FigmaToHTMLPluginCode.NATIVE_EFFECT_TYPES.includes(effect.type);
+    }
+
+    /**
+     * Export the layers marked with an exportFallback
+     * SVG exports are stored inline on the node (exportedSVG), PNG exports become
+     * img/ assets (exportedImage). exportBounds places the export relative to the
+     * layer's axis-aligned bounding box, since it covers the render bounds (strokes,
+     * shadows) and already includes the layer's rotation. Children of an
+     * exported layer are part of its export and are not visited. Layers that
+     * cannot be exported stay live HTML.
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Array} PNG assets to write next to image fills
+     */
+    async collectExportFallbacks(extractedNodes) {
+        const assets = [];
+
+        const visit = async (nodes) => {
+            for (const nodeData of nodes) {
+                if (nodeData.exportFallback) {
+                    await this.exportNodeFallback(nodeData, assets);
+                } else if (Array.isArray(nodeData.children)) {
+                    await visit(nodeData.children);
+                }
+            }
+        };
+
+        await visit(extractedNodes);
+
+        if (assets.length > 0) {
+            console.log(`🖼️ Rasterized ${assets.length} layer(s)`);
+        }
+
+        return assets;
+    }
+
+    /**
+     * Export a single layer with exportAsync
+     * @param {Object} nodeData - Extracted node data with exportFallback
+     * @param {Array} assets - PNG assets collected so far
+     */
+    async exportNodeFallback(nodeData, assets) {
+        try {
+            const node = await figma.getNodeByIdAsync(nodeData.id);
+            if (!node || typeof node.exportAsync !== 'function') {
+                console.warn(`⚠️ ${nodeData.name} cannot be exported, keeping HTML`);
+                return;
+            }
+
+            const box = node.absoluteBoundingBox;
+            const render = node.absoluteRenderBounds || box;
+            const bounds = box && render
+                ? { x: render.x - box.x, y: render.y - box.y, width: render.width, height: render.height }
+                : { x: 0, y: 0, width: nodeData.width, height: nodeData.height };
+
+            const { format, scale } = nodeData.exportFallback;
+            if (format === 'SVG') {
+                nodeData.exportedSVG = await node.exportAsync({ format: 'SVG_STRING' });
+            } else {
+                const bytes = await node.exportAsync({ format: 'PNG', constraint: { type: 'SCALE', value: scale } });
+                const hash = `export-${nodeData.id.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+                const asset = this.createImageAsset(hash, bytes, figma.base64Encode(bytes), {
+                    width: Math.round(bounds.width * scale),
+                    height: Math.round(bounds.height * scale)
+                });
+                nodeData.exportedImage = { path: asset.path, scale: scale };
+                assets.push(asset);
+            }
+            nodeData.exportBounds = bounds;
+
+            console.log(`📦 Exported ${nodeData.name} as ${format} (${nodeData.exportFallback.reason})`);
+        } catch (error) {
+            console.warn(`⚠️ Could not export ${nodeData.name}, keeping HTML:`, error);
+        }
+    }
+
+    /**
+     * Describe an image fill asset written to the img/ folder
+     * @param {string} hash - Image hash
+     * @param {Uint8Array} bytes - Image bytes
+     * @param {string} base64 - Base64-encoded bytes
+     * @param {Object} size - Natural image size ({ width, height }), if known
+     * @returns {Object} Image asset
+     */
+    createImageAsset(hash, bytes, base64, size = null) {
+        const format = this.detectImageFormat(bytes);
+        const filename = `${hash}.${format.extension}`;
+
+        return {
+            hash: hash,
+            filename: filename,
+            path: `img/${filename}`,
+            mimeType: format.mimeType,
+            width: size ? size.width : null,
+            height: size ? size.height : null,
+            base64: base64
+        };
+    }
+
+    /**
+     * Detect an image format from its leading bytes
+     * @param {Uint8Array} bytes - Image bytes
+     * @returns {Object} { extension, mimeType }
+     */
+    detectImageFormat(bytes) {
+        if (bytes && bytes.length >= 12) {
+            if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+                return { extension: 'jpg', mimeType: 'image/jpeg' };
+            }
+            if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+                return { extension: 'gif', mimeType: 'image/gif' };
+            }
+            if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46 &&
+                bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) {
+                return { extension: 'webp', mimeType: 'image/webp' };
+            }
+        }
+
+        // Figma stores everything else as PNG
+        return { extension: 'png', mimeType: 'image/png' };
+    }
+
+    /**
+     * Collect the variable collections and variables Pass 2 turns into CSS custom properties
+     * Includes every local variable plus library variables bound in the selection
+     * (and the variables their aliases point to).
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Object|null} { collections, variables }, or null when the file has none
+     */
+    async collectVariables(extractedNodes) {
+        if (typeof figma === 'undefined' || !figma.variables) {
+            return null;
+        }
+
+        try {
+            const collections = new Map();
+            const variables = new Map();
+            const pending = this.collectBoundVariableIds(extractedNodes);
+
+            const addVariable = (variable) => {
+                variables.set(variable.id, variable);
+                Object.keys(variable.valuesByMode || {}).forEach(modeId => {
+                    const value = variable.valuesByMode[modeId];
+                    if (value && value.type === 'VARIABLE_ALIAS') {
+                        pending.push(value.id);
+                    }
+                });
+            };
+
+            (await figma.variables.getLocalVariableCollectionsAsync()).forEach(collection => collections.set(collection.id, collection));
+            (await figma.variables.getLocalVariablesAsync()).forEach(addVariable);
+
+            while (pending.length > 0) {
+                const id = pending.pop();
+                if (variables.has(id)) continue;
+
+                const variable = await figma.variables.getVariableByIdAsync(id);
+                if (variable) {
+                    addVariable(variable);
+                }
+            }
+
+            for (const variable of variables.values()) {
+                if (!collections.has(variable.variableCollectionId)) {
+                    const collection = await figma.variables.getVariableCollectionByIdAsync(variable.variableCollectionId);
+                    if (collection) {
+                        collections.set(collection.id, collection);
+                    }
+                }
+            }
+
+            if (variables.size === 0) {
+                return null;
+            }
+
+            console.log(`🎛️ Variables collected: ${variables.size} in ${collections.size} collection(s)`);
+            return {
+                collections: Array.from(collections.values()).map(collection => ({
+                    id: collection.id,
+                    name: collection.name,
+                    defaultModeId: collection.defaultModeId,
+                    modes: collection.modes.map(mode => ({ modeId: mode.modeId, name: mode.name }))
+                })),
+                variables: Array.from(variables.values()).map(variable => ({
+                    id: variable.id,
+                    name: variable.name,
+                    variableCollectionId: variable.variableCollectionId,
+                    resolvedType: variable.resolvedType,
+                    description: variable.description || '',
+                    scopes: variable.scopes || [],
+                    valuesByMode: JSON.parse(JSON.stringify(variable.valuesByMode))
+                }))
+            };
+        } catch (error) {
+            console.warn('⚠️ Could not read variables, exporting literal values:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Collect the ids of variables bound to the extracted nodes and their paints
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Array} Unique variable ids
+     */
+    collectBoundVariableIds(extractedNodes) {
+        const ids = new Set();
+
+        const addAliases = (value) => {
+            if (!value || typeof value !== 'object') return;
+            if (Array.isArray(value)) {
+                value.forEach(addAliases);
+            } else if (value.type === 'VARIABLE_ALIAS' && value.id) {
+                ids.add(value.id);
+            } else {
+                Object.keys(value).forEach(key => addAliases(value[key]));
+            }
+        };
+
+        const searchNodes = (nodes) => {
+            for (const node of nodes) {
+                addAliases(node.boundVariables);
+                [node.fills, node.strokes].forEach(paints => {
+                    if (Array.isArray(paints)) {
+                        paints.forEach(paint => addAliases(paint && paint.boundVariables));
+                    }
+                });
+
+                if (node.children && Array.isArray(node.children)) {
+                    searchNodes(node.children);
+                }
+            }
+        };
+
+        searchNodes(extractedNodes);
+        return Array.from(ids);
+    }
+
+    /**
+     * Collect the paint, text and effect styles used in the extracted nodes
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Array} Style definitions ({ id, type, name, description, paints | effects | font properties })
+     */
+    async collectStyles(extractedNodes) {
+        const styleIds = new Set();
+
+        const searchNodes = (nodes) => {
+            for (const node of nodes) {
+                [node.fillStyleId, node.strokeStyleId, node.textStyleId, node.effectStyleId].forEach(id => {
+                    if (typeof id === 'string' && id) {
+                        styleIds.add(id);
+                    }
+                });
+
+                if (node.children && Array.isArray(node.children)) {
+                    searchNodes(node.children);
+                }
+            }
+        };
+        searchNodes(extractedNodes);
+
+        const styles = [];
+        for (const id of styleIds) {
+            try {
+                const style = await figma.getStyleByIdAsync(id);
+                if (!style) continue;
+
+                const definition = {
+                    id: style.id,
+                    type: style.type,
+                    name: style.name,
+                    description: style.description || ''
+                };
+
+                if (style.type === 'PAINT') {
+                    definition.paints = JSON.parse(JSON.stringify(style.paints));
+                } else if (style.type === 'EFFECT') {
+                    definition.effects = JSON.parse(JSON.stringify(style.effects));
+                } else if (style.type === 'TEXT') {
+                    definition.fontName = style.fontName;
+                    definition.fontSize = style.fontSize;
+                    definition.letterSpacing = style.letterSpacing;
+                    definition.lineHeight = style.lineHeight;
+                    definition.textCase = style.textCase;
+                    definition.textDecoration = style.textDecoration;
+                } else {
+                    continue;
+                }
+
+                styles.push(definition);
+            } catch (error) {
+                console.warn(`⚠️ Could not read style ${id}:`, error);
+            }
+        }
+
+        return styles;
+    }
+
+    /**
+     * Build tokens.json (Pass 5) for the styles and variables used in the selection
+     * @param {Array} extractedNodes - Extracted node data
+     * @param {Object} variables - Variables collected for Pass 2
+     * @returns {string} tokens.json content
+     */
+    async buildDesignTokens(extractedNodes, variables) {
+        const styles = await this.collectStyles(extractedNodes);
+        const pass5Result = await this.designTokensPass.process(extractedNodes, {
+            styles: styles,
+            variables: variables,
+            usedVariableIds: this.collectBoundVariableIds(extractedNodes)
+        });
+        return JSON.stringify(pass5Result.tokens, null, 2);
+    }
+
     /**
      * Get selected nodes from Figma
      * @returns {Array} Selected nodes
@@ -473,6 +1013,15 @@ class FigmaToHTMLPluginCode {
         return selection;
     }
 
+    /**
+     * Get the prototype flows of the current page
+     * @returns {Array} Flow starting points ({ nodeId, name })
+     */
+    getFlowStartingPoints() {
+        const flows = figma.currentPage.flowStartingPoints || [];
+        return flows.map(flow => ({ nodeId: flow.nodeId, name: flow.name }));
+    }
+
     /**
      * Extract node data from Figma nodes
      * @param {Array} nodes - Figma nodes
@@ -560,6 +1109,16 @@ class FigmaToHTMLPluginCode {
             // Layer ordering
             zIndex: node.zIndex,
             
+            // Design variables (bound fields and per-frame modes)
+            boundVariables: node.boundVariables,
+            explicitVariableModes: node.explicitVariableModes,
+            
+            // Shared styles (figma.mixed on text with several styles is dropped)
+            fillStyleId: typeof node.fillStyleId === 'string' ? node.fillStyleId : undefined,
+            strokeStyleId: typeof node.strokeStyleId === 'string' ? node.strokeStyleId : undefined,
+            textStyleId: typeof node.textStyleId === 'string' ? node.textStyleId : undefined,
+            effectStyleId: typeof node.effectStyleId === 'string' ? node.effectStyleId : undefined,
+            
             // Vector-specific properties
             fills: node.fills,
             strokes: node.strokes,
@@ -569,6 +1128,11 @@ class FigmaToHTMLPluginCode {
             // Stroke properties
             strokeWeight: node.strokeWeight,
             strokeAlign: node.strokeAlign,
+            dashPattern: node.dashPattern,
+            // Vectors report figma.mixed when their end points differ
+            strokeCap: typeof node.strokeCap === 'symbol' ? 'NONE' : node.strokeCap,
+            strokeJoin: typeof node.strokeJoin === 'symbol' ? 'MITER' : node.strokeJoin,
+            strokeMiterLimit: node.strokeMiterLimit,
             individualStrokes: node.individualStrokes,
             strokeTopWeight: node.strokeTopWeight,
             strokeRightWeight: node.strokeRightWeight,
@@ -589,6 +1153,11 @@ class FigmaToHTMLPluginCode {
             fillGeometry: node.fillGeometry,
             strokeGeometry: node.strokeGeometry,
             arcData: node.arcData,
+            booleanOperation: node.booleanOperation,
+            
+            // Mask properties
+            isMask: node.isMask,
+            maskType: node.maskType,
             
             // Layout properties
             layoutMode: node.layoutMode,
@@ -599,6 +1168,15 @@ class FigmaToHTMLPluginCode {
             paddingTop: node.paddingTop,
             paddingBottom: node.paddingBottom,
             itemSpacing: node.itemSpacing,
+            layoutWrap: node.layoutWrap,
+            counterAxisSpacing: node.counterAxisSpacing,
+            counterAxisAlignContent: node.counterAxisAlignContent,
+            strokesIncludedInLayout: node.strokesIncludedInLayout,
+            itemReverseZIndex: node.itemReverseZIndex,
+            minWidth: node.minWidth,
+            maxWidth: node.maxWidth,
+            minHeight: node.minHeight,
+            maxHeight: node.maxHeight,
             overflow: node.overflow,
             clipsContent: node.clipsContent, // Fixed: use clipsContent (with 's')
             
@@ -619,6 +1197,11 @@ class FigmaToHTMLPluginCode {
             paragraphSpacing: node.paragraphSpacing,
             paragraphIndent: node.paragraphIndent,
             textCase: node.textCase,
+            textTruncation: node.textTruncation,
+            maxLines: node.maxLines,
+            openTypeFeatures: node.openTypeFeatures,
+            // Variable font axes, where the Figma runtime reports them
+            fontVariations: 'fontVariations' in node ? node.fontVariations : undefined,
             
             // Variant properties for component sets and components (using new API)
             variantProperties: node.componentProperties || {},
@@ -654,6 +1237,27 @@ class FigmaToHTMLPluginCode {
 
 
 
+        // Rich text: per-run styles, links and lists
+        if (node.type === 'TEXT') {
+            this.extractTextSegments(node, nodeData);
+        }
+
+        // Grid auto-layout tracks, grid cell placement and layout grids
+        this.extractGridLayout(node, nodeData, parent);
+
+        // Layers exported with exportAsync instead of being rebuilt (see collectExportFallbacks)
+        const exportFallback = this.getExportFallback(node);
+        if (exportFallback) {
+            nodeData.exportFallback = exportFallback;
+        }
+
+        // Overlay settings, used when the frame is opened with "Open overlay"
+        if ('overlayPositionType' in node) {
+            nodeData.overlayPositionType = node.overlayPositionType;
+            nodeData.overlayBackground = node.overlayBackground;
+            nodeData.overlayBackgroundInteraction = node.overlayBackgroundInteraction;
+        }
+
         // Handle INSTANCE nodes - keep as INSTANCE and add component set as child
         if (node.type === 'INSTANCE') {
             const indent = '  '.repeat(depth);
@@ -715,6 +1319,10 @@ class FigmaToHTMLPluginCode {
                             // Stroke properties
                             strokeWeight: componentSet.strokeWeight,
                             strokeAlign: componentSet.strokeAlign,
+                            dashPattern: componentSet.dashPattern,
+                            strokeCap: componentSet.strokeCap,
+                            strokeJoin: componentSet.strokeJoin,
+                            strokeMiterLimit: componentSet.strokeMiterLimit,
                             individualStrokes: componentSet.individualStrokes,
                             strokeTopWeight: componentSet.strokeTopWeight,
                             strokeRightWeight: componentSet.strokeRightWeight,
@@ -744,6 +1352,11 @@ class FigmaToHTMLPluginCode {
                             layoutSizingHorizontal: nodeData.layoutSizingHorizontal,
                             layoutSizingVertical: nodeData.layoutSizingVertical,
                             itemSpacing: nodeData.itemSpacing,
+                            layoutWrap: nodeData.layoutWrap,
+                            counterAxisSpacing: nodeData.counterAxisSpacing,
+                            counterAxisAlignContent: nodeData.counterAxisAlignContent,
+                            strokesIncludedInLayout: nodeData.strokesIncludedInLayout,
+                            itemReverseZIndex: nodeData.itemReverseZIndex,
                             paddingLeft: nodeData.paddingLeft,
                             paddingRight: nodeData.paddingRight,
                             paddingTop: nodeData.paddingTop,
@@ -834,6 +1447,10 @@ class FigmaToHTMLPluginCode {
                                     // Stroke properties
                                     strokeWeight: variant.strokeWeight,
                                     strokeAlign: variant.strokeAlign,
+                                    dashPattern: variant.dashPattern,
+                                    strokeCap: variant.strokeCap,
+                                    strokeJoin: variant.strokeJoin,
+                                    strokeMiterLimit: variant.strokeMiterLimit,
                                     individualStrokes: variant.individualStrokes,
                                     strokeTopWeight: variant.strokeTopWeight,
                                     strokeRightWeight: variant.strokeRightWeight,
@@ -863,6 +1480,11 @@ class FigmaToHTMLPluginCode {
                                     layoutSizingHorizontal: variant.layoutSizingHorizontal,
                                     layoutSizingVertical: variant.layoutSizingVertical,
                                     itemSpacing: variant.itemSpacing,
+                                    layoutWrap: variant.layoutWrap,
+                                    counterAxisSpacing: variant.counterAxisSpacing,
+                                    counterAxisAlignContent: variant.counterAxisAlignContent,
+                                    strokesIncludedInLayout: variant.strokesIncludedInLayout,
+                                    itemReverseZIndex: variant.itemReverseZIndex,
                                     paddingLeft: variant.paddingLeft,
                                     paddingRight: variant.paddingRight,
                                     paddingTop: variant.paddingTop,
@@ -896,6 +1518,9 @@ class FigmaToHTMLPluginCode {
                                     characters: variant.characters
                                 };
                                 
+                                // Variants can use grid auto-layout and layout grids too
+                                this.extractGridLayout(variant, variantData, componentSetData);
+                                
                                 // Process the variant's children with nested instance support
                                 this.processNodeChildren(variant, variantData, processedNodes, depth + 1);
                                 
@@ -944,6 +1569,122 @@ class FigmaToHTMLPluginCode {
         }
     }
 
+    /**
+     * Extract styled text segments from a TEXT node
+     * Mixed node-level properties (figma.mixed) are replaced with the first
+     * segment's value so node-level typography stays usable. Segments are only
+     * kept when the text has more than one style, links or lists.
+     * @param {Object} node - Figma TEXT node
+     * @param {Object} nodeData - Extracted node data to update
+     */
+    extractTextSegments(node, nodeData) {
+        if (typeof node.getStyledTextSegments !== 'function') {
+            return;
+        }
+
+        try {
+            const segments = node.getStyledTextSegments([
+                'fontName',
+                'fontSize',
+                'fontWeight',
+                'fills',
+                'textDecoration',
+                'textCase',
+                'letterSpacing',
+                'lineHeight',
+                'hyperlink',
+                'listOptions',
+                'indentation',
+                'openTypeFeatures'
+            ]).map(segment => ({
+                characters: segment.characters,
+                start: segment.start,
+                end: segment.end,
+                fontName: segment.fontName,
+                fontSize: segment.fontSize,
+                fontWeight: segment.fontWeight,
+                fills: segment.fills,
+                textDecoration: segment.textDecoration,
+                textCase: segment.textCase,
+                letterSpacing: segment.letterSpacing,
+                lineHeight: segment.lineHeight,
+                hyperlink: segment.hyperlink || null,
+                listOptions: segment.listOptions || null,
+                indentation: segment.indentation || 0,
+                openTypeFeatures: segment.openTypeFeatures || null
+            }));
+
+            if (segments.length === 0) {
+                return;
+            }
+
+            const mixedProperties = ['fontName', 'fontSize', 'fontWeight', 'fills', 'textDecoration', 'textCase', 'letterSpacing', 'lineHeight', 'openTypeFeatures'];
+            mixedProperties.forEach(property => {
+                if (typeof nodeData[property] === 'symbol') {
+                    nodeData[property] = segments[0][property];
+                }
+            });
+
+            const hasLinks = segments.some(segment => segment.hyperlink);
+            const hasLists = segments.some(segment => segment.listOptions && segment.listOptions.type !== 'NONE');
+            if (segments.length > 1 || hasLinks || hasLists) {
+                nodeData.textSegments = segments;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read styled text segments for ${node.name}:`, error);
+        }
+    }
+
+    /**
+     * Extract grid auto-layout and layout grid data from a node
+     * Grid cell properties only exist on children of grid frames, so they are
+     * read only there.
+     * @param {Object} node - Figma node
+     * @param {Object} nodeData - Extracted node data to update
+     * @param {Object} parent - Extracted parent node data (if any)
+     */
+    extractGridLayout(node, nodeData, parent) {
+        const copyTracks = tracks => Array.isArray(tracks)
+            ? tracks.map(track => ({ type: track.type, value: track.value }))
+            : undefined;
+
+        try {
+            if (node.layoutMode === 'GRID') {
+                nodeData.gridRowCount = node.gridRowCount;
+                nodeData.gridColumnCount = node.gridColumnCount;
+                nodeData.gridRowGap = node.gridRowGap;
+                nodeData.gridColumnGap = node.gridColumnGap;
+                nodeData.gridRowSizes = copyTracks(node.gridRowSizes);
+                nodeData.gridColumnSizes = copyTracks(node.gridColumnSizes);
+            }
+
+            if (parent && parent.layoutMode === 'GRID') {
+                nodeData.gridRowAnchorIndex = node.gridRowAnchorIndex;
+                nodeData.gridColumnAnchorIndex = node.gridColumnAnchorIndex;
+                nodeData.gridRowSpan = node.gridRowSpan;
+                nodeData.gridColumnSpan = node.gridColumnSpan;
+                nodeData.gridChildHorizontalAlign = node.gridChildHorizontalAlign;
+                nodeData.gridChildVerticalAlign = node.gridChildVerticalAlign;
+            }
+
+            if (Array.isArray(node.layoutGrids) && node.layoutGrids.length > 0) {
+                nodeData.layoutGrids = node.layoutGrids.map(grid => ({
+                    pattern: grid.pattern,
+                    visible: grid.visible,
+                    color: grid.color,
+                    alignment: grid.alignment,
+                    sectionSize: grid.sectionSize,
+                    gutterSize: grid.gutterSize,
+                    offset: grid.offset,
+                    // Automatic counts are Infinity, which JSON cannot hold
+                    count: isFinite(grid.count) ? grid.count : null
+                }));
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read grid layout for ${node.name}:`, error);
+        }
+    }
+
     /**
      * Process node children with support for nested instances
      * @param {Object} node - Figma node
@@ -1088,9 +1829,13 @@ class FigmaToHTMLPluginCode {
      * @param {Array} extractedNodes - Extracted node data
      * @param {boolean} debugMode - Whether to include debug styles
      * @param {string} title - Custom title for the HTML document
+     * @param {boolean} autoGenerateNavigation - Whether to add automatic keyboard navigation
+     * @param {Object} viewportOptions - Fit-to-viewport scaling ({ scaleMode, letterboxColor })
      * @returns {string} Complete HTML document
      */
-    wrapInHTMLDocument(structureHTML, generatedCSS = '', extractedNodes = null, debugMode = false, title = null, autoGenerateNavigation = false) {
+    wrapInHTMLDocument(structureHTML, generatedCSS = '', extractedNodes = null, debugMode = false, title = null, autoGenerateNavigation = false, viewportOptions = {}) {
+        const viewport = this.normalizeViewportOptions(viewportOptions);
+        const designSize = this.getDesignSize(extractedNodes);
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1102,13 +1847,35 @@ class FigmaToHTMLPluginCode {
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #000000; }
         .figma-container { position: absolute; top: 0; left: 0; }
+
+        /* Fit-to-viewport scaling: the letterbox color fills the space around the scaled wall */
+        html.figma-scaled, html.figma-scaled body { width: 100%; height: 100%; overflow: hidden; background: ${viewport.letterboxColor}; }
+        html.figma-scaled .figma-container { transform-origin: 0 0; overflow: hidden; }
+
+        /* Resize mode: top-level frames take the window size and their children follow their constraints */
+        html.figma-resized, html.figma-resized body { width: 100%; height: 100%; overflow: hidden; }
+        html.figma-resized .figma-container { width: 100%; height: 100%; }
+        html.figma-resized .figma-container > [data-figma-id]:not([data-figma-overlay]) { width: 100%; height: 100%; }
         
         /* Ensure image frames have no padding or borders */
         [data-image-frame="true"] { padding: 0 !important; border: none !important; background: none !important; }
         
         /* Ensure SVG elements have no borders */
         svg { border: none !important; }
-        
+
+        /* Semantic tags start unstyled so the generated Figma styles apply unchanged */
+        :where(button, a, h1, h2, h3, h4, h5, h6, ul, ol, li, label)[data-figma-id] { font: inherit; color: inherit; text-decoration: inherit; list-style: none; }
+        :where(button)[data-figma-id] { background: none; border: 0; text-align: inherit; cursor: pointer; }
+
+        /* Layers with an "Open link" reaction; headings, lists and other tags are covered by an empty, focusable link */
+        :where(a)[data-figma-link] { display: block; }
+        :where([data-figma-linked]) { position: relative; }
+        :where(a)[data-figma-link-cover] { position: absolute; inset: 0; z-index: 1; }
+
+        /* Prototype routes and overlays: only the current top-level frame and open overlays are shown */
+        [data-figma-route]:not([data-route-active]), [data-figma-overlay]:not([data-overlay-open]) { display: none !important; }
+        [data-navigate-to], [data-navigate-back], [data-open-overlay], [data-swap-overlay], [data-close-overlay] { cursor: pointer; }
+
         /* Variant trigger styles */
         [data-variant-trigger] {
             cursor: pointer;
@@ -1267,7 +2034,416 @@ ${structureHTML}
         } else {
             console.warn('Lottie library not loaded. Lottie animations will not work.');
         }
-        
+
+        // Theme System (Figma variable modes exported as [data-theme] blocks)
+        class ThemeManager {
+            constructor() {
+                // ?theme=<mode> picks a mode on load, e.g. wall.html?theme=client-a
+                const params = new URLSearchParams(window.location.search);
+                if (params.get('theme')) {
+                    this.setTheme(params.get('theme'));
+                }
+
+                // Hosts embedding the wall can switch themes with postMessage
+                window.addEventListener('message', (event) => {
+                    if (event.data && event.data.type === 'set-theme') {
+                        this.setTheme(event.data.theme);
+                    }
+                });
+            }
+
+            getThemes() {
+                const themes = [];
+                Array.from(document.styleSheets).forEach(sheet => {
+                    let rules = [];
+                    try {
+                        rules = Array.from(sheet.cssRules);
+                    } catch (error) {
+                        return; // Cross-origin stylesheet
+                    }
+                    rules.forEach(rule => {
+                        const match = rule.selectorText && rule.selectorText.match(/^\\[data-theme="([^"]+)"\\]$/);
+                        if (match && !themes.includes(match[1])) {
+                            themes.push(match[1]);
+                        }
+                    });
+                });
+                return themes;
+            }
+
+            getTheme() {
+                return document.documentElement.getAttribute('data-theme');
+            }
+
+            setTheme(theme) {
+                if (theme) {
+                    document.documentElement.setAttribute('data-theme', theme);
+                } else {
+                    // Back to the default mode of every collection
+                    document.documentElement.removeAttribute('data-theme');
+                }
+            }
+        }
+
+        window.themeManager = new ThemeManager();
+
+        // Prototype Routing (top-level frames marked data-figma-route or data-figma-overlay by Pass 1)
+        // The current frame is the URL hash, e.g. wall.html#12:34, so routes can be
+        // linked and reloaded; navigations are history entries BACK returns through.
+        // Overlays open above the current frame, each over its own backdrop, and stack.
+        class PrototypeRouter {
+            constructor() {
+                this.container = document.querySelector('.figma-container');
+                this.routes = Array.from(document.querySelectorAll('[data-figma-route]'));
+                this.openOverlays = []; // Topmost last: { element, backdrop, transition }
+                // Navigations into the page so far; kept in history so BACK still works after a reload
+                this.depth = this.getStateDepth(window.history.state);
+                if (this.routes.length === 0 && !document.querySelector('[data-figma-overlay]')) return;
+
+                if (this.routes.length > 0) {
+                    const initial = this.routes.find(route => route.hasAttribute('data-route-active')) || this.routes[0];
+                    this.initialRoute = initial.getAttribute('data-figma-route');
+                    this.show(this.getRouteFromHash());
+
+                    window.addEventListener('popstate', (event) => {
+                        this.depth = this.getStateDepth(event.state);
+                        this.closeAllOverlays();
+                        this.show(this.getRouteFromHash());
+                    });
+                }
+
+                document.addEventListener('click', (event) => this.handleClick(event));
+            }
+
+            getStateDepth(state) {
+                return state && typeof state.figmaRouteDepth === 'number' ? state.figmaRouteDepth : 0;
+            }
+
+            hasRoute(routeId) {
+                return this.routes.some(route => route.getAttribute('data-figma-route') === routeId);
+            }
+
+            getRouteFromHash() {
+                let routeId = '';
+                try {
+                    routeId = decodeURIComponent(window.location.hash.slice(1));
+                } catch (error) {
+                    // Malformed hash: fall back to the initial route
+                }
+                return this.hasRoute(routeId) ? routeId : this.initialRoute;
+            }
+
+            getCurrentRoute() {
+                return this.currentRoute || null;
+            }
+
+            handleClick(event) {
+                const trigger = event.target.closest('[data-navigate-to], [data-navigate-back], [data-open-overlay], [data-swap-overlay], [data-close-overlay]');
+                if (!trigger) return;
+
+                // Links inside the trigger navigate on their own
+                const link = event.target.closest('a[href]');
+                if (link && trigger.contains(link)) return;
+
+                event.preventDefault();
+                if (trigger.hasAttribute('data-navigate-back')) {
+                    this.back();
+                } else if (trigger.hasAttribute('data-close-overlay')) {
+                    this.closeOverlay();
+                } else if (trigger.hasAttribute('data-open-overlay')) {
+                    this.openOverlay(trigger.getAttribute('data-open-overlay'), trigger);
+                } else if (trigger.hasAttribute('data-swap-overlay')) {
+                    this.swapOverlay(trigger.getAttribute('data-swap-overlay'), trigger);
+                } else {
+                    this.navigate(trigger.getAttribute('data-navigate-to'));
+                }
+            }
+
+            navigate(routeId) {
+                if (!this.hasRoute(routeId) || routeId === this.currentRoute) return;
+                this.closeAllOverlays();
+                this.depth++;
+                window.history.pushState({ figmaRouteDepth: this.depth }, '', '#' + routeId);
+                this.show(routeId);
+            }
+
+            back() {
+                // Back closes the topmost overlay first, and never leaves the page
+                if (this.openOverlays.length > 0) {
+                    this.closeOverlay();
+                } else if (this.depth > 0) {
+                    window.history.back();
+                }
+            }
+
+            show(routeId) {
+                this.routes.forEach(route => {
+                    route.toggleAttribute('data-route-active', route.getAttribute('data-figma-route') === routeId);
+                });
+                this.currentRoute = routeId;
+            }
+
+            // The frame overlays are positioned on: the current route, or the first frame
+            getBaseFrame() {
+                return this.routes.find(route => route.hasAttribute('data-route-active')) ||
+                    document.querySelector('.figma-container > [data-figma-id]:not([data-figma-overlay])');
+            }
+
+            openOverlay(overlayId, trigger, isSwap) {
+                const element = document.querySelector('[data-figma-overlay="' + overlayId + '"]');
+                if (!element || !this.container || this.openOverlays.some(overlay => overlay.element === element)) return;
+
+                const frame = this.getBaseFrame();
+                const frameBox = {
+                    x: frame ? frame.offsetLeft : 0,
+                    y: frame ? frame.offsetTop : 0,
+                    width: frame ? frame.offsetWidth : this.container.offsetWidth,
+                    height: frame ? frame.offsetHeight : this.container.offsetHeight
+                };
+                const level = 1000 + this.openOverlays.length * 2;
+
+                // The backdrop dims the frame and catches clicks outside the overlay
+                const backdrop = document.createElement('div');
+                backdrop.className = 'figma-overlay-backdrop';
+                backdrop.style.cssText = 'position: absolute; left: ' + frameBox.x + 'px; top: ' + frameBox.y + 'px; width: ' + frameBox.width + 'px; height: ' + frameBox.height + 'px; z-index: ' + level + '; background: ' + (element.getAttribute('data-overlay-background') || 'transparent') + ';';
+                backdrop.addEventListener('click', () => {
+                    const topmost = this.openOverlays[this.openOverlays.length - 1];
+                    if (topmost && topmost.element === element && element.hasAttribute('data-overlay-close-outside')) {
+                        this.closeOverlay();
+                    }
+                });
+                this.container.appendChild(backdrop);
+
+                element.setAttribute('data-overlay-open', 'true');
+                element.style.position = 'absolute';
+                element.style.zIndex = String(level + 1);
+                const position = this.getOverlayPosition(element, trigger, frame, frameBox);
+                element.style.left = position.x + 'px';
+                element.style.top = position.y + 'px';
+
+                const overlay = { element, backdrop, transition: this.getTransition(trigger) };
+                this.openOverlays.push(overlay);
+                this.animateOverlay(overlay, false, isSwap);
+            }
+
+            swapOverlay(overlayId, trigger) {
+                const previous = this.openOverlays.pop();
+                // The new overlay is placed while the trigger is still visible
+                this.openOverlay(overlayId, trigger, !!previous);
+                if (previous) {
+                    this.removeOverlay(previous);
+                }
+            }
+
+            closeOverlay() {
+                const overlay = this.openOverlays.pop();
+                if (!overlay) return;
+                // Overlays leave with the transition they entered with, reversed
+                this.animateOverlay(overlay, true, false, () => this.removeOverlay(overlay));
+            }
+
+            closeAllOverlays() {
+                while (this.openOverlays.length > 0) {
+                    this.removeOverlay(this.openOverlays.pop());
+                }
+            }
+
+            removeOverlay(overlay) {
+                overlay.backdrop.remove();
+                overlay.element.removeAttribute('data-overlay-open');
+                ['position', 'zIndex', 'left', 'top'].forEach(property => {
+                    overlay.element.style[property] = '';
+                });
+            }
+
+            getOverlayPosition(element, trigger, frame, frameBox) {
+                const width = element.offsetWidth;
+                const height = element.offsetHeight;
+                const type = element.getAttribute('data-overlay-position') || 'CENTER';
+
+                if (type === 'MANUAL' && trigger && frame) {
+                    // Relative to the trigger, measured in design pixels
+                    const scaler = window.viewportScaler;
+                    const scaleX = scaler && scaler.scaleX ? scaler.scaleX : 1;
+                    const scaleY = scaler && scaler.scaleY ? scaler.scaleY : 1;
+                    const triggerRect = trigger.getBoundingClientRect();
+                    const frameRect = frame.getBoundingClientRect();
+                    const offset = (trigger.getAttribute('data-overlay-offset') || '0,0').split(',').map(Number);
+                    return {
+                        x: frameBox.x + (triggerRect.left - frameRect.left) / scaleX + (offset[0] || 0),
+                        y: frameBox.y + (triggerRect.top - frameRect.top) / scaleY + (offset[1] || 0)
+                    };
+                }
+
+                const x = type.endsWith('LEFT') ? 0 : type.endsWith('RIGHT') ? frameBox.width - width : (frameBox.width - width) / 2;
+                const y = type.startsWith('TOP') ? 0 : type.startsWith('BOTTOM') ? frameBox.height - height : (frameBox.height - height) / 2;
+                return { x: frameBox.x + x, y: frameBox.y + y };
+            }
+
+            getTransition(trigger) {
+                const value = trigger && trigger.getAttribute('data-overlay-transition');
+                if (!value) return null;
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    console.warn('Failed to parse overlay transition:', value);
+                    return null;
+                }
+            }
+
+            // Figma directions name where the overlay moves to, so LEFT enters from the right
+            getTransitionKeyframes(overlay) {
+                const transition = overlay.transition;
+                const moves = ['MOVE_IN', 'MOVE_OUT', 'PUSH', 'SLIDE_IN', 'SLIDE_OUT'];
+                if (moves.includes(transition.type)) {
+                    const width = overlay.backdrop.offsetWidth;
+                    const height = overlay.backdrop.offsetHeight;
+                    const offsets = { LEFT: [width, 0], RIGHT: [-width, 0], TOP: [0, height], BOTTOM: [0, -height] };
+                    const offset = offsets[transition.direction] || [0, 0];
+                    return [
+                        { transform: 'translate(' + offset[0] + 'px, ' + offset[1] + 'px)' },
+                        { transform: 'translate(0px, 0px)' }
+                    ];
+                }
+                // Dissolve (Smart Animate between frames has no layer pairs to match)
+                return [{ opacity: 0 }, { opacity: 1 }];
+            }
+
+            animateOverlay(overlay, reverse, skipBackdrop, onFinish) {
+                const transition = overlay.transition;
+                const done = onFinish || (() => {});
+                if (!transition || transition.type === 'INSTANT' || !transition.duration || !overlay.element.animate) {
+                    done();
+                    return;
+                }
+
+                // Exit animations hold their end state until the overlay is hidden
+                const options = {
+                    duration: transition.duration * 1000,
+                    easing: window.variantSwitcher ? window.variantSwitcher.mapEasingToCSS(transition.easing) : 'ease-out',
+                    direction: reverse ? 'reverse' : 'normal',
+                    fill: reverse ? 'forwards' : 'none'
+                };
+                const animations = [overlay.element.animate(this.getTransitionKeyframes(overlay), options)];
+                if (!skipBackdrop) {
+                    animations.push(overlay.backdrop.animate([{ opacity: 0 }, { opacity: 1 }], options));
+                }
+                animations[0].onfinish = () => {
+                    done();
+                    if (reverse) {
+                        animations.forEach(animation => animation.cancel());
+                    }
+                };
+            }
+        }
+
+        window.prototypeRouter = new PrototypeRouter();
+
+        // Layout grid overlay: open with ?grids=1 or call window.toggleLayoutGrids()
+        window.toggleLayoutGrids = (show) => {
+            return document.documentElement.classList.toggle('figma-show-grids', show);
+        };
+        if (${debugMode} || new URLSearchParams(window.location.search).has('grids')) {
+            window.toggleLayoutGrids(true);
+        }
+
+        // Viewport Scaling (contain / cover / stretch the wall to the window)
+        // The whole container is scaled with a transform, so the layout, hit testing
+        // and Smart Animate transforms all keep working in design pixels.
+        // resize lays the top-level frames out at the window size instead, like
+        // resizing the frame in Figma: children move and stretch by their constraints.
+        const VIEWPORT_SCALE_MODES = ['none', 'contain', 'cover', 'stretch', 'resize'];
+
+        class ViewportScaler {
+            constructor(designWidth, designHeight, mode) {
+                this.designWidth = designWidth;
+                this.designHeight = designHeight;
+                this.container = document.querySelector('.figma-container');
+                this.scaleX = 1;
+                this.scaleY = 1;
+                this.offsetX = 0;
+                this.offsetY = 0;
+                this.pendingFrame = null;
+
+                // ?scale=<mode> overrides the exported mode, e.g. wall.html?scale=cover
+                const params = new URLSearchParams(window.location.search);
+                this.setMode(params.get('scale') || mode);
+
+                window.addEventListener('resize', () => {
+                    if (this.pendingFrame) return;
+                    this.pendingFrame = requestAnimationFrame(() => {
+                        this.pendingFrame = null;
+                        this.update();
+                    });
+                });
+            }
+
+            getMode() {
+                return this.mode;
+            }
+
+            setMode(mode) {
+                this.mode = VIEWPORT_SCALE_MODES.includes(mode) ? mode : 'none';
+                document.documentElement.classList.toggle('figma-scaled', this.mode !== 'none' && this.mode !== 'resize');
+                document.documentElement.classList.toggle('figma-resized', this.mode === 'resize');
+                this.update();
+            }
+
+            update() {
+                if (!this.container) return;
+
+                if (this.mode === 'none' || this.mode === 'resize' || !this.designWidth || !this.designHeight) {
+                    this.scaleX = 1;
+                    this.scaleY = 1;
+                    this.offsetX = 0;
+                    this.offsetY = 0;
+                    this.container.style.width = '';
+                    this.container.style.height = '';
+                    this.container.style.transform = '';
+                    return;
+                }
+
+                const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+                const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+                const fitX = viewportWidth / this.designWidth;
+                const fitY = viewportHeight / this.designHeight;
+
+                if (this.mode === 'stretch') {
+                    this.scaleX = fitX;
+                    this.scaleY = fitY;
+                } else {
+                    // contain letterboxes, cover crops the overflowing edges
+                    const scale = this.mode === 'cover' ? Math.max(fitX, fitY) : Math.min(fitX, fitY);
+                    this.scaleX = scale;
+                    this.scaleY = scale;
+                }
+                this.offsetX = (viewportWidth - this.designWidth * this.scaleX) / 2;
+                this.offsetY = (viewportHeight - this.designHeight * this.scaleY) / 2;
+
+                this.container.style.width = this.designWidth + 'px';
+                this.container.style.height = this.designHeight + 'px';
+                this.container.style.transform = 'translate(' + this.offsetX + 'px, ' + this.offsetY + 'px) scale(' + this.scaleX + ', ' + this.scaleY + ')';
+            }
+
+            // Map window coordinates (e.g. event.clientX/Y) to design pixels
+            toDesignPoint(clientX, clientY) {
+                return {
+                    x: (clientX - this.offsetX) / this.scaleX,
+                    y: (clientY - this.offsetY) / this.scaleY
+                };
+            }
+
+            // Map design pixels back to window coordinates
+            toClientPoint(x, y) {
+                return {
+                    x: x * this.scaleX + this.offsetX,
+                    y: y * this.scaleY + this.offsetY
+                };
+            }
+        }
+
+        window.viewportScaler = new ViewportScaler(${designSize.width}, ${designSize.height}, '${viewport.scaleMode}');
+
         // Initialize variant switcher with extracted nodes data
         const extractedNodesData = ${this.serializeNodesForJS(extractedNodes || {})};
         if (window.variantSwitcher && extractedNodesData) {
@@ -1526,7 +2702,7 @@ class VariantSwitcher {
                 hasFills: !!m.differences.fills,
                 hasOpacity: !!m.differences.opacity,
                 hasScale: !!m.differences.scale,
-                hasRotation: !!m.differences.rotation
+                hasTransform: !!m.differences.transform
             }))
         });
         
@@ -1576,8 +2752,8 @@ class VariantSwitcher {
                     // Remove any background-color from SVG (should never have background-color)
                     svgElement.style.backgroundColor = '';
                     
-                    // Reset fill color on ALL path elements
-                    const pathElements = svgElement.querySelectorAll('path');
+                    // Reset fill color on the fill paths and shared symbols (stroke outlines keep their paint)
+                    const pathElements = svgElement.querySelectorAll('path:not([data-figma-stroke]), use');
                     pathElements.forEach(pathElement => {
                         pathElement.style.fill = '';
                     });
@@ -1775,7 +2951,7 @@ class VariantSwitcher {
             hasChanges: false,
             position: null,
             size: null,
-            rotation: null,
+            transform: null,
             opacity: null,
             scale: null,
             fills: null,
@@ -1892,10 +3068,18 @@ class VariantSwitcher {
         } else {
         }
         
-        // Rotation differences
-        if (currentNode.rotation !== targetNode.rotation) {
-            differences.rotation = (targetNode.rotation || 0) - (currentNode.rotation || 0);
-            differences.hasChanges = true;
+        // Rotation, flip and skew: animate between the transforms the exported CSS uses.
+        // Kept even when unchanged so the animation does not drop a static rotation.
+        const currentTransform = this.formatNodeTransform(currentNode);
+        const targetTransform = this.formatNodeTransform(targetNode);
+        if (currentTransform || targetTransform) {
+            differences.transform = {
+                current: currentTransform,
+                target: targetTransform
+            };
+            if (currentTransform !== targetTransform) {
+                differences.hasChanges = true;
+            }
         }
         
         // Opacity differences
@@ -1977,7 +3161,7 @@ class VariantSwitcher {
                     // Create keyframes animation
                     let keyframes = 
                         '@keyframes ' + animationName + ' {' +
-                        '0% { transform: none; }' +
+                        '0% { transform: ' + this.generateStartTransformFromDifferences(mapping.differences) + '; }' +
                         '100% { transform: ' + transform + '; }' +
                         '}';
                     
@@ -1998,7 +3182,7 @@ class VariantSwitcher {
                                 
                                 keyframes = 
                                     '@keyframes ' + animationName + ' {' +
-                                    '0% { transform: none; }' +
+                                    '0% { transform: ' + this.generateStartTransformFromDifferences(mapping.differences) + '; }' +
                                     '100% { transform: ' + transform + '; }' +
                                     '}' +
                                     '@keyframes ' + animationName + '_svg {' +
@@ -2041,8 +3225,8 @@ class VariantSwitcher {
                             // Remove any background-color from SVG (should never have background-color)
                             svgElement.style.backgroundColor = '';
                             
-                            // Apply animation to ALL path elements
-                            const pathElements = svgElement.querySelectorAll('path');
+                            // Apply animation to the fill paths and shared symbols (stroke outlines keep their paint)
+                            const pathElements = svgElement.querySelectorAll('path:not([data-figma-stroke]), use');
                             console.log('🎬 Smart Animate: Found path elements', { pathCount: pathElements.length, svgElement });
                             pathElements.forEach((pathElement, pathIndex) => {
                                 const svgAnimationCSS = animationName + '_svg ' + duration + 'ms ' + easing + ' forwards';
@@ -2383,8 +3567,8 @@ class VariantSwitcher {
                 // Remove any background-color from SVG (should never have background-color)
                 svgElement.style.backgroundColor = '';
                 
-                // Apply fill color to ALL path elements
-                const pathElements = svgElement.querySelectorAll('path');
+                // Apply fill color to the fill paths and shared symbols (stroke outlines keep their paint)
+                const pathElements = svgElement.querySelectorAll('path:not([data-figma-stroke]), use');
                 console.log('🎨 SVG Color Animation: Path elements found', { pathCount: pathElements.length });
                 pathElements.forEach((pathElement, index) => {
                     pathElement.style.fill = colorValue;
@@ -2487,8 +3671,8 @@ class VariantSwitcher {
             transforms.push('translate(' + differences.position.x + 'px, ' + differences.position.y + 'px)');
         }
         
-        if (differences.rotation) {
-            transforms.push('rotate(' + differences.rotation + 'deg)');
+        if (differences.transform && differences.transform.target) {
+            transforms.push(differences.transform.target);
         }
         
         if (differences.scale) {
@@ -2501,6 +3685,77 @@ class VariantSwitcher {
         return transforms.length > 0 ? transforms.join(' ') : null;
     }
 
+    /**
+     * Generate the starting transform matching generateTransformFromDifferences
+     * Both keyframes list the same functions so the browser interpolates them one by one.
+     * @param {Object} differences - Differences object
+     * @returns {string} CSS transform string
+     */
+    generateStartTransformFromDifferences(differences) {
+        const transforms = [];
+        
+        if (differences.position) {
+            transforms.push('translate(0px, 0px)');
+        }
+        
+        if (differences.transform && differences.transform.current) {
+            transforms.push(differences.transform.current);
+        }
+        
+        return transforms.length > 0 ? transforms.join(' ') : 'none';
+    }
+
+    /**
+     * Format a node's rotation, flip and skew as the exported CSS does
+     * Mirrors getTransformMatrix/formatTransformMatrixCSS in pass2-node-styles/utils/transform-utils.js.
+     * @param {Object} node - Node data with relativeTransform (or rotation)
+     * @returns {string|null} CSS transform, or null when the node is not transformed
+     */
+    formatNodeTransform(node) {
+        const epsilon = 1e-4;
+        const round = (value, precision) => Math.round(value * Math.pow(10, precision)) / Math.pow(10, precision);
+        const transform = node.relativeTransform;
+        let a, b, c, d;
+        if (Array.isArray(transform) && Array.isArray(transform[0]) && Array.isArray(transform[1])) {
+            a = transform[0][0];
+            b = transform[1][0];
+            c = transform[0][1];
+            d = transform[1][1];
+        } else {
+            // Figma rotates counter-clockwise, CSS clockwise
+            const radians = -(node.rotation || 0) * Math.PI / 180;
+            a = Math.cos(radians);
+            b = Math.sin(radians);
+            c = -Math.sin(radians);
+            d = Math.cos(radians);
+        }
+        
+        if (Math.abs(a - 1) < epsilon && Math.abs(b) < epsilon && Math.abs(c) < epsilon && Math.abs(d - 1) < epsilon) {
+            return null;
+        }
+        
+        // rotate(rotation) · skewX(skew) · scale(scaleX, scaleY)
+        const scaleX = Math.sqrt(a * a + b * b);
+        const scaleY = scaleX > epsilon ? (a * d - b * c) / scaleX : 0;
+        const shear = scaleX > epsilon ? (a * c + b * d) / scaleX : 0;
+        const skew = scaleY !== 0 ? Math.atan(shear / scaleY) * 180 / Math.PI : 0;
+        const isRigid = Math.abs(skew) < epsilon && Math.abs(scaleX - 1) < epsilon && Math.abs(Math.abs(scaleY) - 1) < epsilon;
+        
+        if (!isRigid) {
+            return 'matrix(' + round(a, 6) + ', ' + round(b, 6) + ', ' + round(c, 6) + ', ' + round(d, 6) + ', 0, 0)';
+        }
+        
+        const parts = [];
+        const rotation = Math.atan2(b, a) * 180 / Math.PI;
+        if (Math.abs(rotation) > epsilon) {
+            parts.push('rotate(' + round(rotation, 4) + 'deg)');
+        }
+        if (scaleY < 0) {
+            parts.push('scaleY(-1)');
+        }
+        return parts.join(' ') || null;
+    }
+
     /**
      * Generate CSS transition string from transition data
      * @param {Object} transitionData - Transition data
@@ -2952,6 +4207,12 @@ class VariantSwitcher {
 
     handleVariantSwitch(event, componentSetId) {
 
+        // Clicks on a link (the trigger itself or inside it) navigate instead of switching
+        const link = event.currentTarget && event.target.closest ? event.target.closest('a[href]') : null;
+        if (link && event.currentTarget.contains(link)) {
+            return;
+        }
+
         event.preventDefault();
         event.stopPropagation();
 
@@ -3104,12 +4365,57 @@ if (document.readyState === 'loading') {
 `;
     }
 
+    /**
+     * Validate fit-to-viewport options for the exported document
+     * @param {Object} viewportOptions - { scaleMode, letterboxColor } from the UI or CLI
+     * @returns {Object} Scale mode ('none', 'contain', 'cover', 'stretch' or 'resize') and a safe CSS color
+     */
+    normalizeViewportOptions(viewportOptions = {}) {
+        const options = viewportOptions || {};
+        const scaleModes = ['none', 'contain', 'cover', 'stretch', 'resize'];
+        const scaleMode = scaleModes.includes(options.scaleMode) ? options.scaleMode : 'none';
+
+        // The color is written into the stylesheet, so only plain color syntax is accepted
+        const color = typeof options.letterboxColor === 'string' ? options.letterboxColor.trim() : '';
+        const letterboxColor = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|rgba|hsl|hsla)\([0-9.,%\s]+\))$/.test(color) ? color : '#000000';
+
+        return { scaleMode, letterboxColor };
+    }
+
+    /**
+     * Get the design size the viewport scaler fits to the window
+     * Top-level nodes are all placed at the origin, so the largest one sets the size.
+     * @param {Array} extractedNodes - Extracted node data
+     * @returns {Object} { width, height } in design pixels
+     */
+    getDesignSize(extractedNodes) {
+        const nodes = Array.isArray(extractedNodes) ? extractedNodes : [];
+        return nodes.reduce((size, node) => ({
+            width: Math.max(size.width, Math.round(node.width || 0)),
+            height: Math.max(size.height, Math.round(node.height || 0))
+        }), { width: 0, height: 0 });
+    }
+
     /**
      * Serialize nodes for JavaScript without circular references
      * @param {Object} nodes - The nodes to serialize
      * @returns {string} JSON string without circular references
      */
     serializeNodesForJS(nodes) {
+        try {
+            return JSON.stringify(this.sanitizeNodesForSerialization(nodes));
+        } catch (error) {
+            console.warn('Failed to serialize nodes for JavaScript:', error);
+            return '{}';
+        }
+    }
+
+    /**
+     * Copy nodes into plain objects with parent references stripped
+     * @param {Object} nodes - The nodes to sanitize
+     * @returns {Object} Plain copy safe for JSON.stringify
+     */
+    sanitizeNodesForSerialization(nodes) {
         const seen = new WeakSet();
         
         const sanitize = (obj) => {
@@ -3142,12 +4448,7 @@ if (document.readyState === 'loading') {
             return result;
         };
         
-        try {
-            return JSON.stringify(sanitize(nodes));
-        } catch (error) {
-            console.warn('Failed to serialize nodes for JavaScript:', error);
-            return '{}';
-        }
+        return sanitize(nodes);
     }
 
     /**
@@ -3409,8 +4710,9 @@ if (document.readyState === 'loading') {
      * @param {string} filename - Filename
      * @param {Array} videoFiles - Array of video file information
      * @param {Array} imageFiles - Array of image file information
+     * @param {Array} imageAssets - Image fill assets to bundle into img/
      */
-    async exportToFile(html, filename, videoFiles = [], imageFiles = []) {
+    async exportToFile(html, filename, videoFiles = [], imageFiles = [], imageAssets = [], extraFiles = []) {
         // For large HTML files, we might need to chunk the content
         const maxChunkSize = 1000000; // 1MB chunks
         
@@ -3431,7 +4733,9 @@ if (document.readyState === 'loading') {
                     totalChunks: chunks.length,
                     mimeType: 'text/html',
                     videoFiles: i === 0 ? videoFiles : [], // Only send video files with first chunk
-                    imageFiles: i === 0 ? imageFiles : [] // Only send image files with first chunk
+                    imageFiles: i === 0 ? imageFiles : [], // Only send image files with first chunk
+                    imageAssets: i === 0 ? imageAssets : [],
+                    extraFiles: i === 0 ? extraFiles : []
                 });
             }
         } else {
@@ -3442,7 +4746,9 @@ if (document.readyState === 'loading') {
                 filename: filename,
                 mimeType: 'text/html',
                 videoFiles: videoFiles,
-                imageFiles: imageFiles
+                imageFiles: imageFiles,
+                imageAssets: imageAssets,
+                extraFiles: extraFiles
             });
         }
     }
@@ -5305,8 +6611,11 @@ if (document.readyState === 'loading') {
             }
 
             const extractedNodes = this.extractNodeData(nodes);
-            const pass1Result = await this.nodeStructurePass.process(extractedNodes);
-            const pass2Result = await this.nodeStylesPass.process(extractedNodes, pass1Result);
+            const exportedAssets = await this.collectExportFallbacks(extractedNodes);
+            const imageAssets = (await this.collectImageAssets(extractedNodes)).concat(exportedAssets);
+            const variables = await this.collectVariables(extractedNodes);
+            const pass1Result = await this.nodeStructurePass.process(extractedNodes, { flowStartingPoints: this.getFlowStartingPoints() });
+            const pass2Result = await this.nodeStylesPass.process(extractedNodes, pass1Result, { imageAssets, variables });
             
             const htmlFilename = `${wallName}.html`;
             const html = this.wrapInHTMLDocument(
@@ -5315,7 +6624,8 @@ if (document.readyState === 'loading') {
                 extractedNodes,
                 false,
                 htmlFilename,
-                autoGenerateNavigation
+                autoGenerateNavigation,
+                { scaleMode: msg.scaleMode, letterboxColor: msg.letterboxColor }
             );
 
             // Create directory structure
@@ -5324,7 +6634,7 @@ if (document.readyState === 'loading') {
             
             // Create subdirectories
             await this.findOrCreateFolder(wallFolderId, 'rules', accessToken);
-            await this.findOrCreateFolder(wallFolderId, 'img', accessToken);
+            const imgFolderId = await this.findOrCreateFolder(wallFolderId, 'img', accessToken);
             await this.findOrCreateFolder(wallFolderId, 'video', accessToken);
             await this.findOrCreateFolder(wallFolderId, 'lottie', accessToken);
 
@@ -5337,6 +6647,29 @@ if (document.readyState === 'loading') {
                 accessToken
             );
 
+            // Upload image fill assets referenced by the generated CSS
+            for (const asset of imageAssets) {
+                await this.uploadFileToGoogleDrive(
+                    imgFolderId,
+                    asset.filename,
+                    asset.base64,
+                    asset.mimeType,
+                    accessToken,
+                    { base64: true }
+                );
+            }
+
+            // Upload design tokens when requested
+            if (msg.exportTokens) {
+                await this.uploadFileToGoogleDrive(
+                    wallFolderId,
+                    'tokens.json',
+                    await this.buildDesignTokens(extractedNodes, variables),
+                    'application/json',
+                    accessToken
+                );
+            }
+
             // Generate and upload rules.json if media detected
             const videoFiles = this.detectVideoFiles(extractedNodes);
             const imageFiles = this.detectImageFiles(extractedNodes);
@@ -5510,8 +6843,9 @@ if (document.readyState === 'loading') {
     /**
      * Upload file to Google Drive
      * Uses multipart upload for files under 5MB
+     * Pass { base64: true } when fileContent is base64-encoded binary data
      */
-    async uploadFileToGoogleDrive(parentFolderId, fileName, fileContent, mimeType, accessToken) {
+    async uploadFileToGoogleDrive(parentFolderId, fileName, fileContent, mimeType, accessToken, options = {}) {
         try {
             // Check if file exists and delete it first (for updates)
             const existingFileId = await this.findFileInFolder(parentFolderId, fileName, accessToken);
@@ -5531,8 +6865,11 @@ if (document.readyState === 'loading') {
                 `Content-Type: application/json\r\n\r\n` +
                 `${JSON.stringify(metadata)}\r\n`;
             
+            // Binary files (images) are sent as base64 text
             const filePart = `--${boundary}\r\n` +
-                `Content-Type: ${mimeType}\r\n\r\n` +
+                `Content-Type: ${mimeType}\r\n` +
+                (options.base64 ? `Content-Transfer-Encoding: base64\r\n` : '') +
+                `\r\n` +
                 `${fileContent}\r\n` +
                 `--${boundary}--`;
 
@@ -5615,5 +6952,24 @@ if (document.readyState === 'loading') {
     }
 }
 
-// Initialize the plugin
-new FigmaToHTMLPluginCode();
\ No newline at end of file
+// Design snapshot file format (see handleSaveSnapshot)
+FigmaToHTMLPluginCode.SNAPSHOT_FORMAT = 'figma-to-html-snapshot';
+FigmaToHTMLPluginCode.SNAPSHOT_VERSION = 1;
+
+// Node types and effects the passes rebuild as HTML/CSS; other layers are exported (see getExportFallback)
+FigmaToHTMLPluginCode.NATIVE_NODE_TYPES = [
+    'FRAME', 'GROUP', 'SECTION', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'TEXT',
+    'VECTOR', 'ELLIPSE', 'BOOLEAN_OPERATION', 'RECTANGLE', 'LINE', 'SLICE'
+];
+FigmaToHTMLPluginCode.NATIVE_EFFECT_TYPES = ['DROP_SHADOW', 'INNER_SHADOW', 'LAYER_BLUR', 'BACKGROUND_BLUR'];
+// Node types whose shadows follow the glyphs or the vector outline (see isNativeEffect)
+FigmaToHTMLPluginCode.OUTLINE_EFFECT_NODE_TYPES = ['TEXT', 'VECTOR', 'ELLIPSE', 'STAR', 'POLYGON', 'BOOLEAN_OPERATION'];
+
+// Initialize the plugin (skipped when the class is loaded by the headless CLI)
+if (typeof figma !== 'undefined') {
+    new FigmaToHTMLPluginCode();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FigmaToHTMLPluginCode;
+}
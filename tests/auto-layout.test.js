@@ -0,0 +1,122 @@
+/**
+ * Auto-layout tests
+ * Auto-layout frames become flex containers; their children grow, stretch, overlap or opt out of the flow.
+ */
+
+const { generateLayoutCSS } = require('../src/passes/pass2-node-styles/generators/layout-generator');
+
+/**
+ * Build a wrapping row with a growing, a fixed and an absolutely positioned child
+ * @returns {Object} Row frame with its children
+ */
+function createWrappingRow() {
+    const row = {
+        id: '1:1',
+        name: 'Row',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 300,
+        height: 120,
+        layoutMode: 'HORIZONTAL',
+        layoutWrap: 'WRAP',
+        itemSpacing: 8,
+        counterAxisSpacing: 12,
+        primaryAxisAlignItems: 'MIN',
+        counterAxisAlignItems: 'CENTER',
+        itemReverseZIndex: true,
+        paddingLeft: 10,
+        paddingRight: 10,
+        paddingTop: 10,
+        paddingBottom: 10,
+        strokes: [{ type: 'SOLID', visible: true, color: { r: 0, g: 0, b: 0 } }],
+        strokeWeight: 2,
+        strokeAlign: 'INSIDE',
+        children: []
+    };
+    const child = (id, name, extra) => Object.assign({ id, name, type: 'FRAME', parent: row }, extra);
+    row.children = [
+        child('1:2', 'Grow', { x: 10, y: 10, width: 100, height: 40, layoutGrow: 1, layoutAlign: 'STRETCH' }),
+        child('1:3', 'Fixed', { x: 118, y: 10, width: 60, height: 40, minWidth: 40, maxWidth: 200 }),
+        child('1:4', 'Badge', { x: 270, y: -6, width: 20, height: 20, layoutPositioning: 'ABSOLUTE', constraints: { horizontal: 'MAX', vertical: 'MIN' } })
+    ];
+    return row;
+}
+
+/**
+ * Test the flex container rules of a wrapping row
+ */
+async function testAutoLayoutWrap() {
+    const row = createWrappingRow();
+
+    // After the position and size rules
+    this.assertEqual(generateLayoutCSS(row, null, true).slice(5), [
+        'display: flex;',
+        'flex-direction: row;',
+        'flex-wrap: wrap;',
+        'justify-content: flex-start;',
+        'align-items: center;',
+        'align-content: center;',
+        'gap: 8px;',
+        'row-gap: 12px;',
+        'padding: 10px 10px 10px 10px;'
+    ], 'Wrapping row');
+
+    // Spread rows have no fixed row gap
+    const spread = generateLayoutCSS(Object.assign({}, row, { counterAxisAlignContent: 'SPACE_BETWEEN' }), null, true);
+    this.assertIncludes(spread.join(' '), 'align-content: space-between;', 'Spread rows');
+    this.assertEqual(spread.some(rule => rule.startsWith('row-gap')), false, 'Spread rows without a row gap');
+
+    // Included inside strokes push the content in; excluded ones take no space
+    const included = generateLayoutCSS(Object.assign({}, row, { strokesIncludedInLayout: true }), null, true);
+    this.assertIncludes(included.join(' '), 'padding: 12px 12px 12px 12px;', 'Stroke included in layout');
+}
+
+/**
+ * Test growing, fixed and absolutely positioned children, stacked first on top
+ */
+async function testAutoLayoutChildren() {
+    const row = createWrappingRow();
+    const [grow, fixed, badge] = row.children;
+
+    this.assertEqual(generateLayoutCSS(grow, row), ['position: relative;', 'z-index: 3;', 'flex: 1 1 0;', 'min-width: 0;', 'align-self: stretch;'], 'Growing child');
+    this.assertEqual(generateLayoutCSS(fixed, row), [
+        'position: relative;',
+        'min-width: 40px;',
+        'max-width: 200px;',
+        'width: 60px;',
+        'height: 40px;',
+        'z-index: 2;',
+        'flex-shrink: 0;'
+    ], 'Fixed child with min and max width');
+
+    // Absolute children keep their constraint: 10px from the right edge, 6px above the top
+    this.assertEqual(generateLayoutCSS(badge, row), ['position: absolute;', 'right: 10px;', 'top: -6px;', 'width: 20px;', 'height: 20px;', 'z-index: 1;'], 'Absolute child');
+}
+
+/**
+ * Test negative spacing and space-between in a column
+ */
+async function testAutoLayoutSpacing() {
+    const column = { id: '2:1', name: 'Column', type: 'FRAME', x: 0, y: 0, width: 100, height: 300, layoutMode: 'VERTICAL', itemSpacing: -10, counterAxisAlignItems: 'MAX', children: [] };
+    column.children = ['2:2', '2:3'].map(id => ({ id, name: 'Item', type: 'FRAME', x: 0, y: 0, width: 100, height: 40, parent: column }));
+    const [first, second] = column.children;
+
+    // gap cannot be negative: later items overlap with a margin
+    const overlap = generateLayoutCSS(column, null, true);
+    this.assertEqual(overlap.some(rule => rule.startsWith('gap')), false, 'Column without a negative gap');
+    this.assertIncludes(overlap.join(' '), 'align-items: flex-end;', 'Counter-axis alignment');
+    this.assertEqual(generateLayoutCSS(first, column).some(rule => rule.startsWith('margin')), false, 'First item without a margin');
+    this.assertIncludes(generateLayoutCSS(second, column).join(' '), 'margin-top: -10px;', 'Overlapping item');
+
+    // space-between spreads the items instead
+    column.primaryAxisAlignItems = 'SPACE_BETWEEN';
+    this.assertIncludes(generateLayoutCSS(column, null, true).join(' '), 'justify-content: space-between;', 'Space between');
+    this.assertEqual(generateLayoutCSS(second, column).some(rule => rule.startsWith('margin')), false, 'Spread item without a margin');
+}
+
+module.exports = [
+    { name: 'Auto-Layout Wrap', testFn: testAutoLayoutWrap },
+    { name: 'Auto-Layout Children', testFn: testAutoLayoutChildren },
+    { name: 'Auto-Layout Spacing', testFn: testAutoLayoutSpacing }
+];
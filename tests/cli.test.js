@@ -0,0 +1,145 @@
+/**
+ * Headless CLI tests
+ * Export a snapshot with the figma-to-html command and check the files it writes.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+const { HeadlessExporter } = require('../src/cli/figma-to-html');
+const { sampleFigmaNodes } = require('./test-data/sample-figma-data');
+
+const CLI_PATH = path.join(__dirname, '..', 'src', 'cli', 'figma-to-html.js');
+
+// PNG signature padded to the 12 bytes detectImageFormat reads
+const PNG_BASE64 = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0]).toString('base64');
+
+/**
+ * Test the figma-to-html command on a design snapshot
+ */
+async function testCLIExport() {
+    const snapshotPath = path.join(this.outputDir, 'sample-snapshot.json');
+    const outDir = path.join(this.outputDir, 'cli-export');
+    await fs.writeFile(snapshotPath, JSON.stringify({
+        format: 'figma-to-html-snapshot',
+        version: 1,
+        nodes: sampleFigmaNodes
+    }), 'utf8');
+    await fs.rm(outDir, { recursive: true, force: true });
+
+    await new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI_PATH, snapshotPath, '--out', outDir, '--name', 'sample', '--quiet', '--no-fonts'],
+            { timeout: 60000 },
+            (error, stdout, stderr) => error ? reject(new Error(`CLI failed: ${stderr || error.message}`)) : resolve(stdout));
+    });
+
+    const html = await fs.readFile(path.join(outDir, 'sample.html'), 'utf8');
+    this.assertIncludes(html, '<!DOCTYPE html>', 'Exported HTML');
+    this.assertIncludes(html, 'data-figma-id="button-primary"', 'Exported HTML');
+    this.assertIncludes(html, '[data-figma-id="button-primary"][data-figma-type="COMPONENT"]', 'Exported CSS');
+
+    const rules = JSON.parse(await fs.readFile(path.join(outDir, 'rules.json'), 'utf8'));
+    if (!rules || typeof rules.categories !== 'object') {
+        throw new Error('rules.json has no rule categories');
+    }
+}
+
+/**
+ * Test that snapshot image keys which are not hashes are never written
+ */
+async function testInvalidImageKeys() {
+    const root = path.join(this.outputDir, 'image-keys');
+    const outDir = path.join(root, 'out');
+    const snapshotPath = path.join(root, 'snapshot.json');
+    await fs.rm(root, { recursive: true, force: true });
+    await fs.mkdir(root, { recursive: true });
+    await fs.writeFile(snapshotPath, JSON.stringify({
+        format: 'figma-to-html-snapshot',
+        version: 1,
+        nodes: [{ id: '1:1', name: 'Frame', type: 'FRAME', x: 0, y: 0, width: 10, height: 10 }],
+        images: {
+            'a1b2c3': PNG_BASE64,
+            'export-1-2': PNG_BASE64,
+            '../../escape': PNG_BASE64,
+            'img/../x': PNG_BASE64
+        }
+    }), 'utf8');
+
+    const exporter = new HeadlessExporter({ outDir, wallName: 'keys', generateRules: false });
+    const result = await exporter.export(await exporter.loadNodes(snapshotPath));
+
+    this.assertEqual(result.imageAssets, [path.join(outDir, 'img', 'a1b2c3.png'), path.join(outDir, 'img', 'export-1-2.png')], 'Written images');
+    this.assertEqual(result.invalidImageKeys, ['../../escape', 'img/../x'], 'Skipped image keys');
+    this.assertEqual((await fs.readdir(root)).sort(), ['out', 'snapshot.json'], 'Files next to the output directory');
+    this.assertEqual((await fs.readdir(path.join(outDir, 'img'))).sort(), ['a1b2c3.png', 'export-1-2.png'], 'Files in img/');
+}
+
+/**
+ * Test the input errors reported for empty and malformed files
+ */
+async function testInvalidInput() {
+    const exporter = new HeadlessExporter({ outDir: path.join(this.outputDir, 'invalid-input') });
+    const inputPath = path.join(this.outputDir, 'invalid-input.json');
+    const loadError = async content => {
+        await fs.writeFile(inputPath, content, 'utf8');
+        try {
+            await exporter.loadNodes(inputPath);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+
+    this.assertIncludes(await loadError('[]'), 'No nodes found', 'Empty input');
+    this.assertIncludes(await loadError('{"nodes": ['), 'Invalid JSON', 'Malformed input');
+    this.assertIncludes(await loadError('{"name": "Frame"}'), 'No nodes found', 'Input without nodes');
+}
+
+/**
+ * Test the structure of a component set and its variants
+ */
+async function testComponentSet() {
+    const { html } = await new NodeStructurePass().process(sampleFigmaNodes);
+
+    this.assertIncludes(html, 'data-figma-id="frame-1" data-figma-type="COMPONENT_SET" data-component-set="frame-1"', 'Component set');
+    this.assertIncludes(html, 'data-variant="button-primary" data-parent-component-set="frame-1"', 'Primary variant');
+    this.assertIncludes(html, 'data-variant="button-secondary" data-parent-component-set="frame-1"', 'Secondary variant');
+}
+
+/**
+ * Test that every node of a large tree gets markup and a style rule
+ */
+async function testLargeDataset() {
+    const children = [];
+    for (let i = 0; i < 500; i++) {
+        children.push({
+            id: `2:${i}`,
+            name: `Tile ${i}`,
+            type: 'RECTANGLE',
+            x: (i % 25) * 40,
+            y: Math.floor(i / 25) * 40,
+            width: 32,
+            height: 32,
+            fills: [{ type: 'SOLID', visible: true, color: { r: 0, g: 0, b: 0, a: 1 } }]
+        });
+    }
+    const nodes = [{ id: '1:1', name: 'Grid', type: 'FRAME', x: 0, y: 0, width: 1000, height: 800, children }];
+    children.forEach(child => { child.parent = nodes[0]; });
+
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const pass2Result = await new NodeStylesPass().process(nodes, pass1Result, {});
+
+    this.assertEqual(this.countOccurrences(pass1Result.html, 'data-figma-type="RECTANGLE"'), 500, 'Rectangles in the markup');
+    this.assertIncludes(pass2Result.css, '[data-figma-id="2:499"][data-figma-type="RECTANGLE"]', 'Style of the last rectangle');
+}
+
+module.exports = [
+    { name: 'CLI Export', testFn: testCLIExport },
+    { name: 'CLI Invalid Image Keys', testFn: testInvalidImageKeys },
+    { name: 'CLI Invalid Input', testFn: testInvalidInput },
+    { name: 'Component Set Structure', testFn: testComponentSet },
+    { name: 'Large Dataset', testFn: testLargeDataset }
+];
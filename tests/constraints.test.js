@@ -0,0 +1,127 @@
+/**
+ * Constraint tests
+ * Children follow their constraints when the resize scale mode lays a frame out at another size.
+ */
+
+const FigmaToHTMLPluginCode = require('../src/plugin/figma-to-html-plugin');
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+const { loadViewportScaler } = require('./helpers/viewport-runtime');
+
+/**
+ * Build a 400x200 frame with one child per constraint
+ * @returns {Array} Extracted nodes
+ */
+function createConstraintNodes() {
+    const frame = { id: '1:1', name: 'Screen', type: 'FRAME', x: 0, y: 0, width: 400, height: 200, layoutMode: 'NONE', children: [] };
+    const child = (id, name, horizontal, vertical, box) => {
+        frame.children.push(Object.assign({ id, name, type: 'RECTANGLE', constraints: { horizontal, vertical }, parent: frame }, box));
+    };
+
+    child('1:2', 'Logo', 'MIN', 'MIN', { x: 20, y: 10, width: 100, height: 40 });
+    child('1:3', 'Close', 'MAX', 'MAX', { x: 280, y: 150, width: 100, height: 40 });
+    child('1:4', 'Title', 'CENTER', 'CENTER', { x: 150, y: 80, width: 100, height: 40 });
+    child('1:5', 'Bar', 'STRETCH', 'MIN', { x: 20, y: 10, width: 360, height: 40 });
+    child('1:6', 'Card', 'SCALE', 'SCALE', { x: 100, y: 50, width: 100, height: 50 });
+    return [frame];
+}
+
+/**
+ * Get the declarations of a node's rule as a property map
+ * @param {string} css - Stylesheet
+ * @param {string} id - Node id
+ * @returns {Object} Property → value
+ */
+function getNodeDeclarations(css, id) {
+    const start = css.indexOf(`[data-figma-id="${id}"]`);
+    const body = css.slice(css.indexOf('{', start) + 1, css.indexOf('}', start));
+    return body.split(';').map(rule => rule.trim()).filter(Boolean).reduce((declarations, rule) => {
+        const colon = rule.indexOf(':');
+        declarations[rule.slice(0, colon).trim()] = rule.slice(colon + 1).trim();
+        return declarations;
+    }, {});
+}
+
+/**
+ * Resolve one axis of an absolutely positioned box the way a browser does
+ * Only the lengths the constraint rules use are supported: px, % and calc(50% ± Npx).
+ * @param {Object} declarations - Property → value
+ * @param {number} parentSize - Size of the containing frame on this axis
+ * @param {string} axis - 'horizontal' or 'vertical'
+ * @returns {Object} { start, size } in pixels
+ */
+function layoutAxis(declarations, parentSize, axis) {
+    const [startProperty, endProperty, sizeProperty] = axis === 'horizontal' ? ['left', 'right', 'width'] : ['top', 'bottom', 'height'];
+    const resolve = value => {
+        if (value === undefined) {
+            return null;
+        }
+        const center = /^calc\(50% ([+-]) ([\d.]+)px\)$/.exec(value);
+        if (center) {
+            return parentSize / 2 + (center[1] === '-' ? -1 : 1) * Number(center[2]);
+        }
+        return value.endsWith('%') ? parentSize * parseFloat(value) / 100 : parseFloat(value);
+    };
+
+    const start = resolve(declarations[startProperty]);
+    const end = resolve(declarations[endProperty]);
+    const size = resolve(declarations[sizeProperty]);
+    if (size === null) {
+        return { start, size: parentSize - start - end };
+    }
+    return { start: start === null ? parentSize - end - size : start, size };
+}
+
+/**
+ * Test that every child keeps its constraint when the frame is laid out larger
+ */
+async function testConstraintLayout() {
+    const nodes = createConstraintNodes();
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const { css } = await new NodeStylesPass().process(nodes, pass1Result, {});
+
+    // The frame at 800x400, as the resize scale mode sizes it on an 800x400 screen
+    const box = id => {
+        const declarations = getNodeDeclarations(css, id);
+        const x = layoutAxis(declarations, 800, 'horizontal');
+        const y = layoutAxis(declarations, 400, 'vertical');
+        return { x: x.start, y: y.start, width: x.size, height: y.size };
+    };
+
+    this.assertEqual(box('1:2'), { x: 20, y: 10, width: 100, height: 40 }, 'Left and top');
+    this.assertEqual(box('1:3'), { x: 680, y: 350, width: 100, height: 40 }, 'Right and bottom');
+    this.assertEqual(box('1:4'), { x: 350, y: 180, width: 100, height: 40 }, 'Center');
+    this.assertEqual(box('1:5'), { x: 20, y: 10, width: 760, height: 40 }, 'Left and right');
+    this.assertEqual(box('1:6'), { x: 200, y: 100, width: 200, height: 100 }, 'Scale');
+}
+
+/**
+ * Test that the resize scale mode sizes the top-level frame to the window without a transform
+ */
+async function testResizeScaleMode() {
+    const builder = Object.create(FigmaToHTMLPluginCode.prototype);
+    const nodes = createConstraintNodes();
+    this.assertEqual(builder.normalizeViewportOptions({ scaleMode: 'resize' }).scaleMode, 'resize', 'Normalized resize mode');
+
+    const html = builder.wrapInHTMLDocument('', '', nodes, false, 'Screen', false, { scaleMode: 'resize' });
+    this.assertIncludes(html, 'html.figma-resized .figma-container > [data-figma-id]:not([data-figma-overlay]) { width: 100%; height: 100%; }', 'Top-level frames fill the window');
+    this.assertIncludes(html, "new ViewportScaler(400, 200, 'resize')", 'Exported scale mode');
+
+    const { ViewportScaler, document, container } = loadViewportScaler(html, { width: 800, height: 400 });
+    const scaler = new ViewportScaler(400, 200, 'resize');
+    this.assertEqual(scaler.getMode(), 'resize', 'Scaler mode');
+    this.assertEqual(document.documentElement.classList.contains('figma-resized'), true, 'Resized document');
+    this.assertEqual(document.documentElement.classList.contains('figma-scaled'), false, 'Document without scaling');
+    this.assertEqual(container.style, { width: '', height: '', transform: '' }, 'Container without a transform');
+    this.assertEqual(scaler.toDesignPoint(120, 60), { x: 120, y: 60 }, 'Design points are window points');
+
+    // Switching to a scaling mode leaves resize mode
+    scaler.setMode('contain');
+    this.assertEqual(document.documentElement.classList.contains('figma-resized'), false, 'Contain is not resized');
+    this.assertEqual(document.documentElement.classList.contains('figma-scaled'), true, 'Contain is scaled');
+}
+
+module.exports = [
+    { name: 'Constraint Layout', testFn: testConstraintLayout },
+    { name: 'Resize Scale Mode', testFn: testResizeScaleMode }
+];
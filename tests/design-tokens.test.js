@@ -0,0 +1,94 @@
+/**
+ * Design token tests
+ * Paint, text and effect styles and the used variables become a DTCG tokens.json.
+ */
+
+const { DesignTokensPass } = require('../src/passes/pass5-design-tokens');
+
+const STYLES = [
+    { id: 'S:1', type: 'PAINT', name: 'Brand/Primary', description: 'Main brand color', paints: [{ type: 'SOLID', visible: true, color: { r: 0, g: 0, b: 1 }, opacity: 0.5 }] },
+    {
+        id: 'S:2',
+        type: 'PAINT',
+        name: 'Brand/Fade',
+        paints: [{
+            type: 'GRADIENT_LINEAR',
+            visible: true,
+            gradientTransform: [[1, 0, 0], [0, 1, 0]],
+            gradientStops: [{ position: 0, color: { r: 1, g: 0, b: 0, a: 1 } }, { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } }]
+        }]
+    },
+    { id: 'S:3', type: 'PAINT', name: 'Photo', paints: [{ type: 'IMAGE', visible: true, imageHash: 'abc' }] },
+    { id: 'S:4', type: 'TEXT', name: 'Heading/H1', fontName: { family: 'Inter', style: 'Semi Bold' }, fontSize: 32, letterSpacing: { unit: 'PERCENT', value: -2 }, lineHeight: { unit: 'PIXELS', value: 40 } },
+    {
+        id: 'S:5',
+        type: 'EFFECT',
+        name: 'Elevation/1',
+        effects: [
+            { type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 4 }, radius: 8, spread: 0 },
+            { type: 'INNER_SHADOW', visible: true, color: { r: 1, g: 1, b: 1, a: 1 }, offset: { x: 0, y: 1 }, radius: 0, spread: 0 }
+        ]
+    }
+];
+
+const VARIABLES = {
+    collections: [
+        { id: 'C:1', name: 'Colors', defaultModeId: 'm1', modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Dark' }] },
+        { id: 'C:2', name: 'Spacing', defaultModeId: 's1', modes: [{ modeId: 's1', name: 'Default' }] }
+    ],
+    variables: [
+        { id: 'V:1', name: 'base/blue', variableCollectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: { r: 0, g: 0, b: 1, a: 1 }, m2: { r: 0, g: 0, b: 0.5, a: 1 } } },
+        { id: 'V:2', name: 'surface', variableCollectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: { type: 'VARIABLE_ALIAS', id: 'V:1' }, m2: { r: 0, g: 0, b: 0, a: 1 } } },
+        { id: 'V:3', name: 'gap/md', variableCollectionId: 'C:2', resolvedType: 'FLOAT', scopes: ['GAP'], valuesByMode: { s1: 16 } },
+        { id: 'V:4', name: 'flag', variableCollectionId: 'C:2', resolvedType: 'BOOLEAN', valuesByMode: { s1: true } },
+        { id: 'V:5', name: 'unused', variableCollectionId: 'C:2', resolvedType: 'FLOAT', valuesByMode: { s1: 1 } }
+    ]
+};
+
+/**
+ * Test the tokens built from paint, text and effect styles
+ */
+async function testStyleTokens() {
+    const { tokens, metadata } = await new DesignTokensPass().process([], { styles: STYLES });
+
+    this.assertEqual(tokens.color.Brand.Primary, { $type: 'color', $value: '#0000ff80', $description: 'Main brand color' }, 'Translucent color');
+    this.assertEqual(tokens.color.Brand.Fade, {
+        $type: 'gradient',
+        $value: [{ color: '#ff0000', position: 0 }, { color: '#0000ff', position: 1 }]
+    }, 'Gradient');
+    this.assertEqual(tokens.typography.Heading.H1.$value, {
+        fontFamily: 'Inter',
+        fontSize: '32px',
+        fontWeight: 600,
+        letterSpacing: '-0.64px',
+        lineHeight: 1.25
+    }, 'Typography');
+    this.assertEqual(tokens.shadow.Elevation['1'].$value, [
+        { color: '#ffffff', offsetX: '0px', offsetY: '1px', blur: '0px', spread: '0px', inset: true },
+        { color: '#00000040', offsetX: '0px', offsetY: '4px', blur: '8px', spread: '0px' }
+    ], 'Shadows, topmost first');
+    this.assertEqual(metadata.skipped, [{ name: 'Photo', type: 'PAINT', reason: 'no DTCG equivalent' }], 'Skipped styles');
+}
+
+/**
+ * Test the tokens built from the used variables and the variables they alias
+ */
+async function testVariableTokens() {
+    const { tokens, metadata } = await new DesignTokensPass().process([], { variables: VARIABLES, usedVariableIds: ['V:2', 'V:3', 'V:4'] });
+
+    this.assertEqual(tokens.Colors.surface, {
+        $type: 'color',
+        $value: '{Colors.base.blue}',
+        $extensions: { 'com.figma': { modes: { Dark: '#000000' } } }
+    }, 'Alias with another mode');
+    this.assertEqual(tokens.Colors.base.blue.$value, '#0000ff', 'Aliased variable');
+    this.assertEqual(tokens.Spacing.gap.md, { $type: 'dimension', $value: '16px' }, 'Dimension');
+    this.assertEqual('unused' in tokens.Spacing, false, 'Unused variable');
+    this.assertEqual(metadata.variableCount, 3, 'Variable tokens');
+    this.assertEqual(metadata.skipped.map(entry => entry.name), ['flag'], 'Skipped variables');
+}
+
+module.exports = [
+    { name: 'Style Tokens', testFn: testStyleTokens },
+    { name: 'Variable Tokens', testFn: testVariableTokens }
+];
@@ -0,0 +1,70 @@
+/**
+ * Effect tests
+ * Shadows and blurs become CSS per node type; effects CSS cannot draw are exported.
+ */
+
+const FigmaToHTMLPluginCode = require('../src/plugin/figma-to-html-plugin');
+const { extractEffects } = require('../src/passes/pass2-node-styles/extractors/effects-extractor');
+const { generateEffectsCSS } = require('../src/passes/pass2-node-styles/generators/effects-generator');
+
+const DROP_SHADOW = { type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 4 }, radius: 8, spread: 0 };
+const INNER_SHADOW = { type: 'INNER_SHADOW', visible: true, color: { r: 1, g: 1, b: 1, a: 1 }, offset: { x: 0, y: 1 }, radius: 0, spread: 0 };
+const BACKGROUND_BLUR = { type: 'BACKGROUND_BLUR', visible: true, radius: 12 };
+
+/**
+ * Generate effects CSS for a node, collecting the warnings it logs
+ * @param {Object} node - Figma node with effects
+ * @returns {Object} { rules, warnings }
+ */
+function generateNodeEffects(node) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        return { rules: generateEffectsCSS(extractEffects(node), node), warnings };
+    } finally {
+        console.warn = warn;
+    }
+}
+
+/**
+ * Test the shadow and blur CSS of boxes, text and vectors
+ */
+async function testEffectStack() {
+    const effects = [DROP_SHADOW, INNER_SHADOW, BACKGROUND_BLUR, { type: 'LAYER_BLUR', visible: false, radius: 3 }];
+    const backdrop = ['-webkit-backdrop-filter: blur(12px);', 'backdrop-filter: blur(12px);'];
+
+    // Every shadow in one list, topmost first
+    const box = generateNodeEffects({ id: '1:1', name: 'Card', type: 'RECTANGLE', effects });
+    this.assertEqual(box.rules, ['box-shadow: inset 0px 1px 0px 0px #ffffff, 0px 4px 8px 0px rgba(0, 0, 0, 0.25);'].concat(backdrop), 'Box effects');
+    this.assertEqual(box.warnings, [], 'Box warnings');
+
+    // Text and vectors cast shadows of their outline; their inner shadows are reported
+    const text = generateNodeEffects({ id: '1:2', name: 'Title', type: 'TEXT', effects });
+    this.assertEqual(text.rules, ['text-shadow: 0px 4px 8px rgba(0, 0, 0, 0.25);'].concat(backdrop), 'Text effects');
+    this.assertEqual(text.warnings, ['⚠️ Title: inner shadows on TEXT layers have no CSS equivalent and are not drawn'], 'Text warnings');
+
+    const vector = generateNodeEffects({ id: '1:3', name: 'Icon', type: 'VECTOR', effects: [DROP_SHADOW] });
+    this.assertEqual(vector.rules, ['filter: drop-shadow(0px 4px 8px rgba(0, 0, 0, 0.25));'], 'Vector effects');
+    this.assertEqual(vector.warnings, [], 'Vector warnings');
+}
+
+/**
+ * Test that inner shadows on text and vectors are exported as PNG
+ */
+async function testInnerShadowFallback() {
+    const builder = Object.create(FigmaToHTMLPluginCode.prototype);
+    const fallback = (type, effects) => builder.getExportFallback({ id: '1:1', name: 'Layer', type, effects });
+    const png = { format: 'PNG', scale: 2, reason: 'effect' };
+
+    this.assertEqual(fallback('TEXT', [DROP_SHADOW, INNER_SHADOW]), png, 'Text with an inner shadow');
+    this.assertEqual(fallback('VECTOR', [INNER_SHADOW]), png, 'Vector with an inner shadow');
+    this.assertEqual(fallback('RECTANGLE', [INNER_SHADOW]), null, 'Rectangle with an inner shadow');
+    this.assertEqual(fallback('TEXT', [DROP_SHADOW, BACKGROUND_BLUR]), null, 'Text with a drop shadow');
+    this.assertEqual(fallback('TEXT', [Object.assign({}, INNER_SHADOW, { visible: false })]), null, 'Text with a hidden inner shadow');
+}
+
+module.exports = [
+    { name: 'Effect Stack', testFn: testEffectStack },
+    { name: 'Inner Shadow Fallback', testFn: testInnerShadowFallback }
+];
@@ -0,0 +1,81 @@
+/**
+ * Export fallback tests
+ * Flagged layers, unsupported node types and unsupported effects are exported with
+ * exportAsync and embedded as inline SVG or a PNG in place of their HTML.
+ */
+
+const FigmaToHTMLPluginCode = require('../src/plugin/figma-to-html-plugin');
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+
+const PNG_BYTES = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0]);
+const STAR_SVG = '<?xml version="1.0"?>\n<svg width="48" height="48"><defs><linearGradient id="g"/></defs><path fill="url(#g)" d="M0 0"/></svg>';
+
+/**
+ * Test the export chosen for flags, node types and effects
+ */
+async function testExportFallbackSelection() {
+    const builder = Object.create(FigmaToHTMLPluginCode.prototype);
+    const fallback = (name, type, effects) => builder.getExportFallback({ id: '1:1', name, type, effects });
+
+    this.assertEqual(fallback('[SVG] Logo', 'FRAME'), { format: 'SVG', scale: 1, reason: 'flag' }, 'SVG flag');
+    this.assertEqual(fallback('[RASTER] Photo', 'GROUP'), { format: 'PNG', scale: 2, reason: 'flag' }, 'Raster flag');
+    this.assertEqual(fallback('[raster@3x] Photo', 'GROUP'), { format: 'PNG', scale: 3, reason: 'flag' }, 'Raster flag with a scale');
+    this.assertEqual(fallback('[RASTER@8x] Photo', 'GROUP'), { format: 'PNG', scale: 4, reason: 'flag' }, 'Raster scale limit');
+    this.assertEqual(fallback('Star', 'STAR'), { format: 'SVG', scale: 1, reason: 'type' }, 'Unsupported node type');
+    this.assertEqual(fallback('Glass', 'RECTANGLE', [{ type: 'NOISE', visible: true }]), { format: 'PNG', scale: 2, reason: 'effect' }, 'Unsupported effect');
+    this.assertEqual(fallback('Card', 'RECTANGLE', [{ type: 'DROP_SHADOW', visible: true }]), null, 'Native layer');
+}
+
+/**
+ * Test exporting flagged layers and placing the exports over their render bounds
+ */
+async function testExportFallbackOutput() {
+    const frame = { id: '1:1', name: 'Slide', type: 'FRAME', x: 0, y: 0, width: 200, height: 100, children: [] };
+    const child = (id, name, type, box) => Object.assign({ id, name, type, parent: frame }, box);
+    frame.children = [
+        child('1:2', 'Star', 'STAR', { x: 10, y: 10, width: 40, height: 40 }),
+        child('1:3', '[RASTER@3x] Title', 'TEXT', { characters: 'Hi', x: 60, y: 0, width: 50, height: 20 }),
+        child('1:4', '[SVG] Gone', 'RECTANGLE', { x: 0, y: 50, width: 10, height: 10 })
+    ];
+
+    // The scene layers exportAsync renders; 1:4 was deleted since the selection was read
+    const sceneNodes = {
+        '1:2': { absoluteBoundingBox: { x: 10, y: 10, width: 40, height: 40 }, absoluteRenderBounds: { x: 8, y: 8, width: 48, height: 48 }, exportAsync: async () => STAR_SVG },
+        '1:3': { absoluteBoundingBox: { x: 60, y: 0, width: 50, height: 20 }, absoluteRenderBounds: { x: 60, y: 0, width: 50, height: 24 }, exportAsync: async () => PNG_BYTES }
+    };
+    const builder = Object.create(FigmaToHTMLPluginCode.prototype);
+    frame.children.forEach(node => {
+        node.exportFallback = builder.getExportFallback(node);
+    });
+
+    const warn = console.warn;
+    global.figma = { getNodeByIdAsync: async id => sceneNodes[id] || null, base64Encode: () => 'iVBORw0KGgo=' };
+    console.warn = () => {};
+    let assets;
+    try {
+        assets = await builder.collectExportFallbacks([frame]);
+    } finally {
+        delete global.figma;
+        console.warn = warn;
+    }
+
+    this.assertEqual(assets.map(asset => [asset.path, asset.width, asset.height]), [['img/export-1-3.png', 150, 72]], 'PNG asset at 3x');
+    this.assertEqual(frame.children[0].exportBounds, { x: -2, y: -2, width: 48, height: 48 }, 'Render bounds of the SVG export');
+
+    const nodes = [frame];
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    this.assertIncludes(pass1Result.html, '<div class="star" data-figma-id="1:2" data-figma-type="STAR" data-figma-export="svg"><svg class="figma-export" aria-hidden="true" width="48" height="48">' +
+        '<defs><linearGradient id="export-1-2-g"/></defs><path fill="url(#export-1-2-g)" d="M0 0"/></svg></div>', 'Inline SVG with prefixed ids');
+    this.assertIncludes(pass1Result.html, 'data-figma-export="png"><img class="figma-export" src="img/export-1-3.png" alt="Title"></div>', 'Exported image');
+    this.assertIncludes(pass1Result.html, '<div class="svg-gone" data-figma-id="1:4" data-figma-type="RECTANGLE"></div>', 'Layer that could not be exported');
+
+    const { css } = await new NodeStylesPass().process(nodes, pass1Result, { imageAssets: assets });
+    this.assertIncludes(css, '[data-figma-id="1:2"][data-figma-type="STAR"] > .figma-export {\n  position: absolute;\n  left: -2px;\n  top: -2px;\n  width: 48px;\n  height: 48px;', 'SVG export over the render bounds');
+    this.assertIncludes(css, '[data-figma-id="1:3"][data-figma-type="TEXT"] > .figma-export {\n  position: absolute;\n  left: 0px;\n  top: 0px;\n  width: 50px;\n  height: 24px;', 'Image export over the render bounds');
+}
+
+module.exports = [
+    { name: 'Export Fallback Selection', testFn: testExportFallbackSelection },
+    { name: 'Export Fallback Output', testFn: testExportFallbackOutput }
+];
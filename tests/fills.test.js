@@ -0,0 +1,59 @@
+/**
+ * Fill tests
+ * Stack every visible fill as a CSS background layer, in Figma's paint order.
+ */
+
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+const { extractFills } = require('../src/passes/pass2-node-styles/extractors/fills-extractor');
+
+const WHITE = { r: 1, g: 1, b: 1 };
+const RED = { r: 1, g: 0, b: 0 };
+
+/**
+ * Test that fills become background layers, topmost first, with their own opacity and blend mode
+ */
+async function testStackedFills() {
+    const pass = new NodeStylesPass();
+    const fills = extractFills({
+        fills: [
+            { type: 'SOLID', visible: true, color: WHITE, opacity: 1 },
+            {
+                type: 'GRADIENT_LINEAR',
+                visible: true,
+                gradientTransform: [[1, 0, 0], [0, 1, 0]],
+                gradientStops: [{ position: 0, color: { r: 0, g: 0, b: 0, a: 0 } }, { position: 1, color: { r: 0, g: 0, b: 0, a: 1 } }]
+            },
+            { type: 'SOLID', visible: true, color: RED, opacity: 0.5, blendMode: 'MULTIPLY' },
+            { type: 'SOLID', visible: false, color: { r: 0, g: 1, b: 0 } }
+        ]
+    });
+    const node = { width: 200, height: 100 };
+
+    // Solid layers above the base become single-color gradients so they can stack
+    this.assertEqual(pass.generateBackgroundCSS(fills, node),
+        'linear-gradient(rgba(255, 0, 0, 0.5), rgba(255, 0, 0, 0.5)), linear-gradient(90deg, rgba(0, 0, 0, 0) 0%, #000000 100%), #ffffff',
+        'Background layers');
+    this.assertEqual(pass.generateBackgroundBlendModeCSS(fills, node), 'multiply, normal, normal', 'Blend modes');
+    this.assertEqual(pass.generateBackgroundBlendModeCSS(fills.slice(0, 2), node), null, 'Blend modes of normal layers');
+}
+
+/**
+ * Test that stacked solid text fills are composited into one color
+ */
+async function testStackedTextFills() {
+    const pass = new NodeStylesPass();
+    const fills = extractFills({
+        fills: [
+            { type: 'SOLID', visible: true, color: WHITE, opacity: 1 },
+            { type: 'SOLID', visible: true, color: RED, opacity: 0.5 }
+        ]
+    });
+
+    this.assertEqual(pass.generateTextColorCSS(fills), '#ff8080', 'Composited text color');
+    this.assertEqual(pass.generateTextColorCSS(fills.slice(0, 1)), '#ffffff', 'Single text color');
+}
+
+module.exports = [
+    { name: 'Stacked Fills', testFn: testStackedFills },
+    { name: 'Stacked Text Fills', testFn: testStackedTextFills }
+];
@@ -0,0 +1,59 @@
+/**
+ * Font tests
+ * Figma font styles are matched to bundled font faces, and colliding styles get their own families.
+ */
+
+const { mapFontStyleToWeight } = require('../src/passes/pass2-node-styles/extractors/typography-extractor');
+const { mapFontFamilyToCSS } = require('../src/passes/pass2-node-styles/generators/typography-generator');
+const { collectUsedFonts, findFontFace, assignFontFamilies, generateFontFaceCSS } = require('../src/cli/font-bundler');
+
+/**
+ * Test font face matching and the family names of colliding styles
+ */
+async function testFontMatching() {
+    const face = (family, styleName, weight, format, italic = false) =>
+        ({ family, styleName, weight, italic, format, file: `/fonts/${family}-${styleName}.${format}` });
+    const faces = [
+        face('CircularXXSub', 'Book', 400, 'woff2'),
+        face('CircularXXWeb', 'Book', 400, 'woff2'),
+        face('CircularXXWeb', 'Regular', 400, 'woff2'),
+        face('CircularXXWeb', 'Bold', 700, 'woff'),
+        face('CircularXXWeb', 'Bold', 700, 'woff2'),
+        face('CircularXXWeb', 'Italic', 400, 'woff2', true)
+    ];
+    const find = (styleName, weight, italic = false) => {
+        const match = findFontFace({ family: 'Circular XX', styleName, weight, italic }, faces);
+        return match ? `${match.family}-${match.styleName}.${match.format}` : null;
+    };
+
+    // Style names win over weights, "Web" over other vendor suffixes and woff2 over woff
+    this.assertEqual(find('Book', 400), 'CircularXXWeb-Book.woff2', 'Book');
+    this.assertEqual(find('Regular', 400), 'CircularXXWeb-Regular.woff2', 'Regular');
+    this.assertEqual(find('Bold', 700), 'CircularXXWeb-Bold.woff2', 'Bold');
+    this.assertEqual(find('Italic', 400, true), 'CircularXXWeb-Italic.woff2', 'Italic');
+    this.assertEqual(find('Medium', 500), null, 'Missing weight');
+
+    this.assertEqual(mapFontStyleToWeight('Semi Bold Italic'), 600, 'Semi Bold weight');
+    this.assertEqual(mapFontStyleToWeight('ExtraBlack'), 950, 'ExtraBlack weight');
+    this.assertEqual(mapFontStyleToWeight('Book'), 400, 'Book weight');
+
+    // Book and Regular are both 400, so each is declared under its own family
+    const fonts = collectUsedFonts([{
+        type: 'TEXT',
+        fontName: { family: 'Circular XX', style: 'Book' },
+        fontWeight: 400,
+        textSegments: [
+            { fontName: { family: 'Circular XX', style: 'Regular' }, fontWeight: 400 },
+            { fontName: { family: 'Circular XX', style: 'Bold' }, fontWeight: 700 }
+        ]
+    }]);
+    const declared = assignFontFamilies(fonts.map(font => ({ font, face: findFontFace(font, faces), url: 'fonts/x.woff2' })));
+    this.assertEqual(declared.map(entry => entry.cssFamily), ['Circular XX Book', 'Circular XX Regular', 'Circular XX'], 'Declared families');
+    this.assertIncludes(generateFontFaceCSS(declared), 'font-family: "Circular XX Book";', 'Font faces');
+    this.assertEqual(mapFontFamilyToCSS('Circular XX', 'Book', { 'Circular XX': { Book: 'Circular XX Book' } }),
+        '"Circular XX Book", "Circular XX", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif', 'Font family of a colliding style');
+}
+
+module.exports = [
+    { name: 'Font Matching', testFn: testFontMatching }
+];
@@ -0,0 +1,95 @@
+/**
+ * Gradient tests
+ * Linear, radial, angular and diamond gradients follow Figma's gradient handles.
+ */
+
+const {
+    generateLinearGradientCSS,
+    generateRadialGradientCSS,
+    generateAngularGradientCSS,
+    generateDiamondGradientCSS
+} = require('../src/passes/pass2-node-styles/generators/gradient-generator');
+
+const RED = { r: 1, g: 0, b: 0, a: 1 };
+const BLUE = { r: 0, g: 0, b: 1, a: 1 };
+const STOPS = [{ position: 0, color: RED }, { position: 1, color: BLUE }];
+
+// Handles turned 45deg around the center of the box
+const ROTATED = [
+    [Math.SQRT1_2, Math.SQRT1_2, 0.5 - Math.SQRT1_2],
+    [-Math.SQRT1_2, Math.SQRT1_2, 0.5]
+];
+
+/**
+ * Read the SVG document of an SVG background layer
+ * @param {string} layer - CSS background layer
+ * @returns {string|null} Decoded SVG markup
+ */
+function decodeSVGLayer(layer) {
+    const match = layer.match(/^url\("data:image\/svg\+xml,([^"]+)"\)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Test that linear and angular gradients follow the gradient handles
+ */
+async function testGradientAngles() {
+    const linear = (gradientTransform, width, height) =>
+        generateLinearGradientCSS({ gradientStops: STOPS, gradientTransform }, width, height);
+
+    // Identity runs left to right; the handles span the box
+    this.assertEqual(linear([[1, 0, 0], [0, 1, 0]], 200, 100), 'linear-gradient(90deg, #ff0000 0%, #0000ff 100%)', 'Identity gradient');
+    this.assertEqual(linear([[0, 1, 0], [-1, 0, 1]], 200, 100), 'linear-gradient(180deg, #ff0000 0%, #0000ff 100%)', 'Top to bottom gradient');
+
+    // Handles from the top-left corner to the center: 135deg on a square,
+    // and steeper on a wide box where the handles keep their node-relative ends
+    this.assertEqual(linear([[1, 1, 0], [-1, 1, 0.5]], 100, 100), 'linear-gradient(135deg, #ff0000 0%, #0000ff 50%)', 'Diagonal gradient');
+    this.assertEqual(linear([[1, 1, 0], [-1, 1, 0.5]], 200, 100), 'linear-gradient(116.57deg, #ff0000 0%, #0000ff 50%)', 'Diagonal gradient on a wide box');
+
+    this.assertEqual(generateAngularGradientCSS({ gradientStops: STOPS, gradientTransform: [[1, 0, 0], [0, 1, 0]] }, 200, 100),
+        'conic-gradient(from 90deg at 50% 50%, #ff0000 0%, #0000ff 100%)', 'Angular gradient');
+}
+
+/**
+ * Test radial gradients: CSS ellipses for axis-aligned handles, SVG for rotated ones
+ */
+async function testRadialGradients() {
+    const radial = gradientTransform => generateRadialGradientCSS({ gradientStops: STOPS, gradientTransform }, 200, 100);
+
+    this.assertEqual(radial([[1, 0, 0], [0, 1, 0]]), 'radial-gradient(ellipse 50% 50% at 50% 50%, #ff0000 0%, #0000ff 100%)', 'Identity radial gradient');
+    this.assertEqual(radial([[2, 0, -0.5], [0, 1, 0]]), 'radial-gradient(ellipse 25% 50% at 50% 50%, #ff0000 0%, #0000ff 100%)', 'Narrow radial gradient');
+
+    const layer = radial(ROTATED);
+    const svg = decodeSVGLayer(layer);
+    this.assertIncludes(layer, '") 0 0 / 100% 100% no-repeat', 'Rotated radial layer');
+    this.assertIncludes(svg, 'viewBox="0 0 200 100" preserveAspectRatio="none"', 'Rotated radial SVG');
+    this.assertIncludes(svg, 'gradientTransform="matrix(70.7107 35.3553 -70.7107 35.3553 100 50)"', 'Rotated radial handles');
+    this.assertIncludes(svg, '<stop offset="1" stop-color="#0000ff" stop-opacity="1"/>', 'Rotated radial stops');
+}
+
+/**
+ * Test diamond gradients: quadrant layers for axis-aligned handles, SVG for rotated ones
+ */
+async function testDiamondGradients() {
+    const diamond = gradientTransform => generateDiamondGradientCSS({ gradientStops: STOPS, gradientTransform }, 200, 100);
+
+    this.assertEqual(diamond([[1, 0, 0], [0, 1, 0]]), [
+        'linear-gradient(to bottom right, #ff0000 0%, #0000ff 50%) 100px 50px / 100px 50px no-repeat',
+        'linear-gradient(to bottom left, #ff0000 0%, #0000ff 50%) 0px 50px / 100px 50px no-repeat',
+        'linear-gradient(to top right, #ff0000 0%, #0000ff 50%) 100px 0px / 100px 50px no-repeat',
+        'linear-gradient(to top left, #ff0000 0%, #0000ff 50%) 0px 0px / 100px 50px no-repeat',
+        'linear-gradient(#0000ff, #0000ff)'
+    ], 'Identity diamond gradient');
+
+    const layers = diamond(ROTATED);
+    this.assertEqual(layers.length, 1, 'Rotated diamond layers');
+    const svg = decodeSVGLayer(layers[0]);
+    this.assertIncludes(svg, '<g transform="matrix(70.7107 35.3553 -70.7107 35.3553 100 50)">', 'Rotated diamond handles');
+    this.assertEqual(this.countOccurrences(svg, 'fill="url(#g)"'), 4, 'Rotated diamond quadrants');
+}
+
+module.exports = [
+    { name: 'Gradient Angles', testFn: testGradientAngles },
+    { name: 'Radial Gradients', testFn: testRadialGradients },
+    { name: 'Diamond Gradients', testFn: testDiamondGradients }
+];
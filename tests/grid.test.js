@@ -0,0 +1,142 @@
+/**
+ * Grid tests
+ * Grid auto-layout frames and column/row layout grids become CSS grid templates.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+
+/**
+ * Get the declarations of a CSS rule
+ * @param {string} css - Stylesheet
+ * @param {string} selector - Rule selector
+ * @returns {Array} Declarations, or an empty array without the rule
+ */
+function getDeclarations(css, selector) {
+    const start = css.indexOf(`${selector} {`);
+    if (start === -1) {
+        return [];
+    }
+    const body = css.slice(start + selector.length + 2, css.indexOf('}', start));
+    return body.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Run Pass 1 and Pass 2 on the given nodes
+ * @param {Array} nodes - Extracted nodes
+ * @returns {Promise<string>} Generated CSS
+ */
+async function generateCSS(nodes) {
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const { css } = await new NodeStylesPass().process(nodes, pass1Result, {});
+    return css;
+}
+
+/**
+ * Test the tracks, gaps and cell placement of a grid auto-layout frame
+ */
+async function testGridAutoLayout() {
+    const grid = {
+        id: '1:1',
+        name: 'Grid',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 400,
+        height: 200,
+        layoutMode: 'GRID',
+        gridColumnSizes: [{ type: 'FIXED', value: 100 }, { type: 'FLEX', value: 2 }, { type: 'HUG' }],
+        gridRowCount: 2,
+        gridRowGap: 8,
+        gridColumnGap: 16,
+        children: []
+    };
+    grid.children.push({
+        id: '1:2',
+        name: 'Cell',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 100,
+        height: 50,
+        gridRowAnchorIndex: 1,
+        gridColumnAnchorIndex: 0,
+        gridColumnSpan: 2,
+        gridChildHorizontalAlign: 'CENTER',
+        gridChildVerticalAlign: 'MAX',
+        parent: grid
+    });
+    const css = await generateCSS([grid]);
+
+    this.assertEqual(getDeclarations(css, '[data-figma-id="1:1"][data-figma-type="FRAME"]').slice(5), [
+        'display: grid;',
+        'grid-template-columns: 100px minmax(0, 2fr) auto;',
+        'grid-template-rows: repeat(2, minmax(0, 1fr));',
+        'row-gap: 8px;',
+        'column-gap: 16px;'
+    ], 'Grid container');
+
+    // Zero-based anchors become one-based grid lines
+    this.assertEqual(getDeclarations(css, '[data-figma-id="1:2"][data-figma-type="FRAME"]').slice(3), [
+        'grid-row: 2 / span 1;',
+        'grid-column: 1 / span 2;',
+        'justify-self: center;',
+        'align-self: end;'
+    ], 'Cell placement');
+}
+
+/**
+ * Test the template and debug overlay of a frame with column and row layout grids
+ */
+async function testLayoutGrids() {
+    const dashboard = {
+        id: '2:1',
+        name: 'Dashboard',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 1200,
+        height: 800,
+        layoutGrids: [
+            { pattern: 'COLUMNS', alignment: 'STRETCH', count: 12, gutterSize: 20, offset: 40, visible: true, color: { r: 1, g: 0, b: 0, a: 0.1 } },
+            // An automatic count is serialized as null
+            { pattern: 'ROWS', alignment: 'MIN', count: null, sectionSize: 100, gutterSize: 10, offset: 5, visible: true, color: { r: 0, g: 0, b: 1, a: 0.1 } },
+            { pattern: 'COLUMNS', alignment: 'CENTER', count: 4, sectionSize: 60, gutterSize: 0, visible: false }
+        ],
+        children: []
+    };
+    const selector = '[data-figma-id="2:1"][data-figma-type="FRAME"]';
+    const css = await generateCSS([dashboard]);
+
+    this.assertEqual(getDeclarations(css, selector).slice(5), [
+        'display: grid;',
+        'grid-template-columns: repeat(12, minmax(0, 1fr));',
+        'column-gap: 20px;',
+        'justify-content: stretch;',
+        'padding-left: 40px;',
+        'padding-right: 40px;',
+        'grid-template-rows: repeat(auto-fill, 100px);',
+        'row-gap: 10px;',
+        'align-content: start;',
+        'padding-top: 5px;',
+        'padding-bottom: 0px;'
+    ], 'Layout grid template');
+
+    // 12 columns of (1120px - 11 gutters) / 12 between the 40px offsets, rows every 110px below 5px
+    const overlay = getDeclarations(css, `.figma-show-grids ${selector}::after`);
+    this.assertIncludes(overlay.join(' '), 'repeating-linear-gradient(to right, rgba(255, 0, 0, 0.1) 0 calc((100% - 220px) / 12), ' +
+        'transparent calc((100% - 220px) / 12) calc(calc((100% - 220px) / 12) + 20px)) left 40px top 0px / calc(100% - 80px) 100% no-repeat', 'Column overlay');
+    this.assertIncludes(overlay.join(' '), 'repeating-linear-gradient(to bottom, rgba(0, 0, 255, 0.1) 0 100px, transparent 100px calc(100px + 10px)) ' +
+        'left 0px top 5px / 100% calc(100% - 5px) no-repeat', 'Row overlay');
+    this.assertEqual(this.countOccurrences(overlay.join(' '), 'repeating-linear-gradient'), 2, 'Hidden grid without an overlay');
+
+    // Auto-layout frames keep their flex layout
+    const row = Object.assign({}, dashboard, { id: '3:1', layoutMode: 'HORIZONTAL' });
+    const rowCSS = await generateCSS([row]);
+    this.assertEqual(rowCSS.includes('grid-template-columns'), false, 'Auto-layout frame without a grid template');
+}
+
+module.exports = [
+    { name: 'Grid Auto-Layout', testFn: testGridAutoLayout },
+    { name: 'Layout Grids', testFn: testLayoutGrids }
+];
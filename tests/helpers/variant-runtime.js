@@ -0,0 +1,22 @@
+/**
+ * Variant switcher runtime harness
+ * Loads the VariantSwitcher class of the exported runtime script without running it.
+ */
+
+/**
+ * Load the VariantSwitcher class of a variant switcher script
+ * @param {string} script - Script from generateVariantSwitcherScript
+ * @param {Object} [document] - Fake document for methods that query the DOM
+ * @returns {Function} VariantSwitcher class
+ */
+function loadVariantSwitcher(script, document = {}) {
+    const end = script.indexOf('// Global instance');
+    if (end === -1) {
+        throw new Error('Script has no variant switcher');
+    }
+    return new Function('document', `${script.slice(0, end)}\nreturn VariantSwitcher;`)(document);
+}
+
+module.exports = {
+    loadVariantSwitcher
+};
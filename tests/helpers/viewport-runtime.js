@@ -0,0 +1,53 @@
+/**
+ * Viewport scaler runtime harness
+ * Runs the ViewportScaler class of an exported document against a minimal fake DOM.
+ */
+
+/**
+ * Load the ViewportScaler class of an exported document
+ * @param {string} html - Exported HTML document
+ * @param {Object} viewport - { width, height, search } of the fake window
+ * @returns {Object} { ViewportScaler, document } with the fake document the scaler writes to
+ */
+function loadViewportScaler(html, viewport) {
+    const start = html.indexOf('const VIEWPORT_SCALE_MODES');
+    const end = html.indexOf('window.viewportScaler = new ViewportScaler(');
+    if (start === -1 || end === -1) {
+        throw new Error('Document has no viewport scaler');
+    }
+
+    const classes = new Set();
+    const container = { style: {} };
+    const document = {
+        documentElement: {
+            clientWidth: viewport.width,
+            clientHeight: viewport.height,
+            classList: {
+                contains: name => classes.has(name),
+                toggle: (name, force) => {
+                    if (force) {
+                        classes.add(name);
+                    } else {
+                        classes.delete(name);
+                    }
+                    return Boolean(force);
+                }
+            }
+        },
+        querySelector: selector => selector === '.figma-container' ? container : null
+    };
+    const window = {
+        innerWidth: viewport.width,
+        innerHeight: viewport.height,
+        location: { search: viewport.search || '' },
+        addEventListener: () => {}
+    };
+
+    const source = `${html.slice(start, end)}\nreturn ViewportScaler;`;
+    const ViewportScaler = new Function('document', 'window', 'requestAnimationFrame', source)(document, window, () => 0);
+    return { ViewportScaler, document, container };
+}
+
+module.exports = {
+    loadViewportScaler
+};
@@ -0,0 +1,82 @@
+/**
+ * Image fill tests
+ * IMAGE fills point at their exported file and map scaleMode to background geometry.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+const { generateImageFillCSS, getImageCropGeometry } = require('../src/passes/pass2-node-styles/generators/image-fill-generator');
+
+/**
+ * Test the background geometry of each scale mode
+ */
+async function testImageScaleModes() {
+    const asset = { path: 'img/abc.jpg', width: 40, height: 30 };
+    const layer = (scaleMode, extra) => generateImageFillCSS(Object.assign({ type: 'IMAGE', imageHash: 'abc', scaleMode }, extra), asset, 200, 100);
+
+    this.assertEqual(layer('FILL'), 'url("img/abc.jpg") center / cover no-repeat', 'Fill');
+    this.assertEqual(layer('FIT'), 'url("img/abc.jpg") center / contain no-repeat', 'Fit');
+    this.assertEqual(layer('TILE', { scalingFactor: 0.5 }), 'url("img/abc.jpg") left top / 20px 15px repeat', 'Tile');
+}
+
+/**
+ * Test the background geometry of CROP image fills
+ */
+async function testImageCropGeometry() {
+    // Half of the image, starting a quarter in and a tenth down
+    const fill = { type: 'IMAGE', imageHash: 'abc', scaleMode: 'CROP', imageTransform: [[0.5, 0, 0.25], [0, 0.5, 0.1]] };
+
+    this.assertEqual(getImageCropGeometry(fill, 200, 100), '-100px -20px / 200% 200%', 'Crop geometry');
+    this.assertEqual(getImageCropGeometry(fill), 'left top / 200% 200%', 'Crop geometry without a size');
+    this.assertEqual(getImageCropGeometry({ imageTransform: null }, 200, 100), 'center / cover', 'Crop without a transform');
+    this.assertEqual(generateImageFillCSS(fill, { path: 'img/abc.png' }, 200, 100), 'url("img/abc.png") -100px -20px / 200% 200% no-repeat', 'Crop image layer');
+}
+
+/**
+ * Test that fills without an exported file draw no layer and are reported
+ */
+async function testMissingImageAssets() {
+    const fill = hash => ({ type: 'IMAGE', visible: true, imageHash: hash, scaleMode: 'FILL' });
+    const frame = { id: '1:1', name: 'Slide', type: 'FRAME', x: 0, y: 0, width: 200, height: 100, children: [] };
+    const photo = {
+        id: '1:2',
+        name: 'Photo',
+        type: 'RECTANGLE',
+        x: 0,
+        y: 0,
+        width: 200,
+        height: 100,
+        parent: frame,
+        fills: [
+            { type: 'SOLID', visible: true, color: { r: 1, g: 1, b: 1 } },
+            fill('abc'),
+            fill('def')
+        ]
+    };
+    frame.children.push(photo);
+
+    this.assertEqual(generateImageFillCSS(fill('def'), null, 200, 100), null, 'Layer without an asset');
+
+    const nodes = [frame];
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const warn = console.warn;
+    console.warn = () => {};
+    let pass2Result;
+    try {
+        pass2Result = await new NodeStylesPass().process(nodes, pass1Result, {
+            imageAssets: [{ hash: 'abc', path: 'img/abc.jpg', width: 40, height: 30 }]
+        });
+    } finally {
+        console.warn = warn;
+    }
+
+    this.assertIncludes(pass2Result.css, 'background: url("img/abc.jpg") center / cover no-repeat, #ffffff;', 'Background with the exported image');
+    this.assertEqual(pass2Result.css.includes('img/def'), false, 'Reference to the missing image');
+    this.assertEqual(pass2Result.metadata.missingImages, ['def'], 'Missing images');
+}
+
+module.exports = [
+    { name: 'Image Scale Modes', testFn: testImageScaleModes },
+    { name: 'Image Crop Geometry', testFn: testImageCropGeometry },
+    { name: 'Missing Image Assets', testFn: testMissingImageAssets }
+];
@@ -0,0 +1,48 @@
+/**
+ * Link tests
+ * URL interactions become links; only web, mail, phone and relative URLs stay live.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+
+/**
+ * Test that only web, mail and phone links become live hrefs
+ */
+async function testLinkSchemes() {
+    const link = (id, url) => ({
+        id,
+        name: 'Link',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 10,
+        height: 10,
+        reactions: [{ trigger: { type: 'ON_CLICK' }, action: { type: 'URL', url, openInNewTab: false } }]
+    });
+    const nodes = [{
+        id: '1:1',
+        name: 'Links',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 100,
+        height: 100,
+        children: [
+            link('1:2', 'https://example.com/?a=1&b=2'),
+            link('1:3', 'mailto:team@example.com'),
+            link('1:4', '/relative/page'),
+            link('1:5', ' Java\tScript:alert(1)'),
+            link('1:6', 'data:text/html,hi')
+        ]
+    }];
+
+    const { html } = await new NodeStructurePass().process(nodes);
+    this.assertIncludes(html, 'href="https://example.com/?a=1&amp;b=2"', 'Web link');
+    this.assertIncludes(html, 'href="mailto:team@example.com"', 'Mail link');
+    this.assertIncludes(html, 'href="/relative/page"', 'Relative link');
+    this.assertEqual(this.countOccurrences(html, 'href='), 3, 'Live links');
+}
+
+module.exports = [
+    { name: 'Link Schemes', testFn: testLinkSchemes }
+];
@@ -0,0 +1,37 @@
+/**
+ * Mask tests
+ * Mask layers become CSS mask images drawn in the space of each layer they mask.
+ */
+
+const { generateMaskCSS } = require('../src/passes/pass2-node-styles/generators/mask-generator');
+
+/**
+ * Test that mask shapes are drawn in the masked node's space
+ */
+async function testMaskTransform() {
+    const below = { id: '1:1', type: 'RECTANGLE', x: 0, y: 0, width: 5, height: 5 };
+    const mask = { id: '1:2', type: 'RECTANGLE', isMask: true, maskType: 'VECTOR', x: 10, y: 20, width: 50, height: 50 };
+    const moved = { id: '1:3', type: 'RECTANGLE', x: 30, y: 40, width: 100, height: 100 };
+    const rotated = { id: '1:4', type: 'RECTANGLE', width: 100, height: 100, relativeTransform: [[0, -1, 30], [1, 0, 40]] };
+    const parent = { children: [below, mask, moved, rotated] };
+
+    const getMaskTransform = node => {
+        const rules = [];
+        generateMaskCSS(node, parent, rules);
+        const image = rules.find(rule => rule.startsWith('mask-image:'));
+        const match = image ? decodeURIComponent(image).match(/transform="([^"]+)"/) : null;
+        return match ? match[1] : null;
+    };
+
+    this.assertEqual(getMaskTransform(moved), 'matrix(1 0 0 1 -20 -20)', 'Mask transform of a moved node');
+    this.assertEqual(getMaskTransform(rotated), 'matrix(0 -1 1 0 -20 20)', 'Mask transform of a rotated node');
+    this.assertEqual(getMaskTransform(below), null, 'Layer below the mask');
+
+    const maskRules = [];
+    generateMaskCSS(mask, parent, maskRules);
+    this.assertEqual(maskRules, ['visibility: hidden;', 'pointer-events: none;'], 'Mask layer rules');
+}
+
+module.exports = [
+    { name: 'Mask Transform', testFn: testMaskTransform }
+];
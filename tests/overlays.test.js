@@ -0,0 +1,54 @@
+/**
+ * Overlay tests
+ * Open, swap and close overlay interactions mark the overlay frames and their triggers.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+
+/**
+ * Test the overlay frame and trigger attributes of a prototype
+ */
+async function testOverlayAttributes() {
+    const frame = (id, name, children, extra) => Object.assign({ id, name, type: 'FRAME', x: 0, y: 0, width: 100, height: 100, children }, extra);
+    const button = (id, action) => ({
+        id,
+        name: 'Button',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 40,
+        height: 20,
+        reactions: [{ trigger: { type: 'ON_CLICK' }, action }]
+    });
+    const transition = { type: 'MOVE_IN', direction: 'TOP', duration: 0.3, easing: { type: 'EASE_OUT' } };
+    const nodes = [
+        frame('1:1', 'Home', [
+            button('1:2', { type: 'NODE', navigation: 'OVERLAY', destinationId: '3:1', transition, overlayRelativePosition: { x: 4, y: 8 } })
+        ]),
+        frame('3:1', 'Menu', [
+            button('3:2', { type: 'CLOSE' }),
+            button('3:3', { type: 'NODE', navigation: 'SWAP', destinationId: '4:1' })
+        ], {
+            overlayPositionType: 'TOP_RIGHT',
+            overlayBackground: { type: 'SOLID_COLOR', color: { r: 0, g: 0, b: 0, a: 0.5 } },
+            overlayBackgroundInteraction: 'CLOSE_ON_CLICK_OUTSIDE'
+        }),
+        frame('4:1', 'Settings', [])
+    ];
+
+    const result = await new NodeStructurePass().process(nodes);
+    const html = result.html;
+    await this.saveTestOutput('overlays.html', html);
+
+    this.assertIncludes(html, 'data-figma-overlay="3:1" data-overlay-position="TOP_RIGHT" data-overlay-background="rgba(0, 0, 0, 0.5)" data-overlay-close-outside="true"', 'Overlay frame');
+    this.assertIncludes(html, 'data-close-overlay="true"', 'Close trigger');
+    this.assertIncludes(html, 'data-swap-overlay="4:1"', 'Swap trigger');
+    // Without overlay settings the swapped-in frame is centered
+    this.assertIncludes(html, 'data-figma-overlay="4:1" data-overlay-position="CENTER"', 'Swapped overlay frame');
+    this.assertIncludes(html, 'data-open-overlay="3:1" data-overlay-offset="4,8" data-overlay-transition="' +
+        JSON.stringify(transition).replace(/"/g, '&quot;') + '"', 'Overlay trigger');
+}
+
+module.exports = [
+    { name: 'Overlay Attributes', testFn: testOverlayAttributes }
+];
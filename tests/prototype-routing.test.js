@@ -0,0 +1,58 @@
+/**
+ * Prototype routing tests
+ * Top-level frames become hash routes; NAVIGATE and BACK interactions move between them.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+
+/**
+ * Test the route and navigation attributes of a prototype
+ */
+async function testRouteAttributes() {
+    const frame = (id, name, children, extra) => Object.assign({ id, name, type: 'FRAME', x: 0, y: 0, width: 100, height: 100, children }, extra);
+    const button = (id, action) => ({
+        id,
+        name: 'Button',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 40,
+        height: 20,
+        reactions: [{ trigger: { type: 'ON_CLICK' }, action }]
+    });
+    const nodes = [
+        frame('1:1', 'Home', [
+            button('1:2', { type: 'NODE', navigation: 'NAVIGATE', destinationId: '2:1' }),
+            button('1:3', { type: 'NODE', navigation: 'OVERLAY', destinationId: '3:1' }),
+            button('1:4', { type: 'NODE', navigation: 'NAVIGATE', destinationId: '9:9' })
+        ]),
+        frame('2:1', 'Details', [
+            button('2:2', { type: 'BACK' })
+        ]),
+        frame('3:1', 'Menu', [])
+    ];
+
+    const result = await new NodeStructurePass().process(nodes, { flowStartingPoints: [{ nodeId: '2:1', name: 'Flow' }] });
+    const html = result.html;
+    await this.saveTestOutput('routes.html', html);
+
+    // Overlays are not routes; the flow's starting point is the initial route
+    this.assertEqual(result.metadata.routes, ['1:1', '2:1'], 'Routes');
+    this.assertEqual(result.metadata.initialRoute, '2:1', 'Initial route');
+    this.assertIncludes(html, 'data-figma-route="2:1" data-route-active="true"', 'Initial route');
+    this.assertEqual(this.countOccurrences(html, 'data-route-active'), 1, 'Active routes');
+
+    this.assertIncludes(html, 'data-navigate-to="2:1"', 'Navigate trigger');
+    this.assertIncludes(html, 'data-navigate-back="true"', 'Back trigger');
+
+    // Destinations outside the export are dropped
+    this.assertEqual(html.includes('9:9'), false, 'Navigation to a frame outside the export');
+
+    // Without a flow the first frame is the initial route
+    const { metadata } = await new NodeStructurePass().process(nodes);
+    this.assertEqual(metadata.initialRoute, '1:1', 'Initial route without a flow');
+}
+
+module.exports = [
+    { name: 'Route Attributes', testFn: testRouteAttributes }
+];
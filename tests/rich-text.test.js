@@ -0,0 +1,116 @@
+/**
+ * Rich text tests
+ * Styled text segments become runs with their own styles, lists and line breaks.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+
+const BLACK = [{ type: 'SOLID', visible: true, color: { r: 0, g: 0, b: 0 } }];
+
+/**
+ * Build a styled text segment as the plugin extracts it
+ * @param {string} characters - Segment text
+ * @param {Object} extra - Properties that differ from plain 16px Inter
+ * @returns {Object} Text segment
+ */
+function createSegment(characters, extra) {
+    return Object.assign({
+        characters,
+        fontName: { family: 'Inter', style: 'Regular' },
+        fontSize: 16,
+        fontWeight: 400,
+        fills: BLACK,
+        textDecoration: 'NONE',
+        letterSpacing: { unit: 'PIXELS', value: 0 },
+        hyperlink: null,
+        listOptions: { type: 'NONE' },
+        indentation: 0
+    }, extra);
+}
+
+/**
+ * Build a frame holding one rich TEXT node
+ * @returns {Array} Extracted nodes
+ */
+function createRichTextNodes() {
+    const text = {
+        id: '1:2',
+        name: 'Body',
+        type: 'TEXT',
+        x: 0,
+        y: 0,
+        width: 300,
+        height: 200,
+        characters: 'Intro line\nsecond & <line>\nOne\nTwo\nVisit our site',
+        fontName: { family: 'Inter', style: 'Regular' },
+        fontSize: 16,
+        textSegments: [
+            createSegment('Intro', { fontName: { family: 'Inter', style: 'Bold' }, fontWeight: 700, letterSpacing: { unit: 'PERCENT', value: 5 } }),
+            createSegment(' line\nsecond & <line>\n'),
+            createSegment('One\nTwo\n', { listOptions: { type: 'UNORDERED' }, indentation: 1 }),
+            createSegment('Visit '),
+            createSegment('our site', {
+                hyperlink: { type: 'URL', value: 'https://example.com' },
+                textDecoration: 'UNDERLINE',
+                fills: [{ type: 'SOLID', visible: true, color: { r: 1, g: 0, b: 0 } }]
+            })
+        ]
+    };
+    const frame = { id: '1:1', name: 'Card', type: 'FRAME', x: 0, y: 0, width: 300, height: 200, children: [text] };
+    text.parent = frame;
+    return [frame];
+}
+
+/**
+ * Get the declarations of a CSS rule
+ * @param {string} css - Stylesheet
+ * @param {string} selector - Rule selector
+ * @returns {Array} Declarations, or an empty array without the rule
+ */
+function getDeclarations(css, selector) {
+    const start = css.indexOf(`${selector} {`);
+    if (start === -1) {
+        return [];
+    }
+    const body = css.slice(start + selector.length + 2, css.indexOf('}', start));
+    return body.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Test the runs, line breaks and lists of a rich text layer
+ */
+async function testRichTextMarkup() {
+    const { html } = await new NodeStructurePass().process(createRichTextNodes());
+
+    this.assertIncludes(html, '<span data-text-run="0">Intro</span><span data-text-run="1"> line</span><br>' +
+        '<span data-text-run="1">second &amp; &lt;line&gt;</span>', 'Runs and line break');
+    this.assertIncludes(html, '<ul><li><span data-text-run="2">One</span></li><li><span data-text-run="2">Two</span></li></ul>', 'Bulleted list');
+    this.assertIncludes(html, '<span data-text-run="3">Visit </span><a data-text-run="4" href="https://example.com" target="_blank" rel="noopener">our site</a>', 'Linked run');
+}
+
+/**
+ * Test that every run carries its own font, weight, color, decoration and letter spacing
+ */
+async function testRichTextStyles() {
+    const nodes = createRichTextNodes();
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const { css } = await new NodeStylesPass().process(nodes, pass1Result, {});
+    const text = '[data-figma-id="1:2"][data-figma-type="TEXT"]';
+
+    const bold = getDeclarations(css, `${text} [data-text-run="0"]`);
+    this.assertIncludes(bold.join(' '), 'font-weight: 700;', 'Bold run');
+    this.assertIncludes(bold.join(' '), 'letter-spacing: 0.05em;', 'Bold run letter spacing');
+
+    const link = getDeclarations(css, `${text} [data-text-run="4"]`);
+    this.assertIncludes(link.join(' '), 'color: #ff0000;', 'Link run color');
+    this.assertIncludes(link.join(' '), 'text-decoration: underline;', 'Link run decoration');
+    this.assertEqual(link.some(rule => rule.startsWith('letter-spacing')), false, 'Link run without letter spacing');
+
+    this.assertEqual(getDeclarations(css, `${text} ul, ${text} ol`), ['margin: 0;', 'padding-left: 1.5em;'], 'List indentation');
+}
+
+module.exports = [
+    { name: 'Rich Text Markup', testFn: testRichTextMarkup },
+    { name: 'Rich Text Styles', testFn: testRichTextStyles }
+];
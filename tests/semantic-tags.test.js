@@ -0,0 +1,95 @@
+/**
+ * Semantic tag tests
+ * Layer-name prefixes and the project tag mapping choose the HTML tags of Pass 1.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const { loadTagMapping } = require('../src/cli/figma-to-html');
+
+const TAG_MAPPING = {
+    prefixes: { CTA: 'button', BAD: 'x y' },
+    names: { 'Site Header': 'header' },
+    types: { SECTION: 'section' }
+};
+
+/**
+ * Build a node of the semantic tag test page
+ * @param {string} id - Node id
+ * @param {string} name - Layer name
+ * @param {Object} extra - Type, characters or children
+ * @returns {Object} Node data
+ */
+function createNode(id, name, extra) {
+    return Object.assign({ id, name, type: 'FRAME', x: 0, y: 0, width: 10, height: 10, children: [] }, extra);
+}
+
+/**
+ * Build a page using built-in prefixes, mapped prefixes, names and types
+ * @returns {Array} Extracted nodes
+ */
+function createSemanticNodes() {
+    const text = (id, name, characters) => createNode(id, name, { type: 'TEXT', characters, children: undefined });
+    return [createNode('1:1', 'Page', {
+        children: [
+            text('1:2', '[H1] Title', 'Welcome'),
+            createNode('1:3', '[BUTTON] Submit', { children: [text('1:4', 'Label', 'Send')] }),
+            createNode('1:5', '[CTA] Buy', { children: [text('1:6', 'Label', 'Buy')] }),
+            createNode('1:7', 'Site Header'),
+            createNode('1:8', 'Area', { type: 'SECTION' }),
+            createNode('1:9', '[NAV] Menu', {
+                children: [createNode('1:10', '[UL] List', {
+                    children: [createNode('1:11', '[LI] Item', { children: [text('1:12', 'Home', 'Home')] })]
+                })]
+            }),
+            text('1:13', 'Caption', 'Hi'),
+            createNode('1:14', '[BAD] Box')
+        ]
+    })];
+}
+
+/**
+ * Test the tags chosen by prefixes, names, types and the defaults
+ */
+async function testSemanticTags() {
+    const { html } = await new NodeStructurePass({ tagMapping: TAG_MAPPING }).process(createSemanticNodes());
+
+    this.assertIncludes(html, '<h1 class="h1-title" data-figma-id="1:2" data-figma-type="TEXT">Welcome</h1>', 'Heading prefix');
+    // Text inside a button is phrasing content
+    this.assertIncludes(html, '<button class="button-submit" data-figma-id="1:3" data-figma-type="FRAME" type="button">', 'Button prefix');
+    this.assertIncludes(html, '<span class="label" data-figma-id="1:4" data-figma-type="TEXT">Send</span>', 'Text inside a button');
+    this.assertIncludes(html, '<button class="cta-buy" data-figma-id="1:5"', 'Mapped prefix');
+    this.assertIncludes(html, '<header class="site-header" data-figma-id="1:7"', 'Mapped layer name');
+    this.assertIncludes(html, '<section class="area" data-figma-id="1:8"', 'Mapped node type');
+    this.assertIncludes(html, '<nav class="nav-menu" data-figma-id="1:9" data-figma-type="FRAME" aria-label="Menu">', 'Navigation');
+    this.assertIncludes(html, '<ul class="ul-list" data-figma-id="1:10"', 'List');
+    this.assertIncludes(html, '<li class="li-item" data-figma-id="1:11"', 'List item');
+    this.assertIncludes(html, '<p class="caption" data-figma-id="1:13" data-figma-type="TEXT">Hi</p>', 'Default text tag');
+    this.assertIncludes(html, '<div class="bad-box" data-figma-id="1:14"', 'Invalid mapped tag');
+}
+
+/**
+ * Test reading the project tag mapping file
+ */
+async function testTagMappingFile() {
+    const mappingPath = path.join(this.outputDir, 'tag-mapping.json');
+
+    await fs.writeFile(mappingPath, JSON.stringify(TAG_MAPPING), 'utf8');
+    this.assertEqual(await loadTagMapping(mappingPath), TAG_MAPPING, 'Tag mapping');
+
+    await fs.writeFile(mappingPath, '{ "prefixes": ', 'utf8');
+    let message = null;
+    try {
+        await loadTagMapping(mappingPath);
+    } catch (error) {
+        message = error.message;
+    }
+    this.assertIncludes(message, 'Invalid JSON', 'Malformed tag mapping');
+}
+
+module.exports = [
+    { name: 'Semantic Tags', testFn: testSemanticTags },
+    { name: 'Tag Mapping File', testFn: testTagMappingFile }
+];
@@ -0,0 +1,93 @@
+/**
+ * Design snapshot tests
+ * Serialize an extracted node tree the way the plugin saves it and load it back through the CLI.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const FigmaToHTMLPluginCode = require('../src/plugin/figma-to-html-plugin');
+const { HeadlessExporter } = require('../src/cli/figma-to-html');
+
+/**
+ * Build a small extracted tree with parent references, as extractNodeData returns it
+ * @returns {Array} Extracted nodes
+ */
+function createExtractedNodes() {
+    const frame = { id: '1:1', name: 'Slide', type: 'FRAME', x: 0, y: 0, width: 200, height: 100, parent: null, children: [] };
+    const image = {
+        id: '1:2',
+        name: 'Photo',
+        type: 'RECTANGLE',
+        x: 10,
+        y: 10,
+        width: 80,
+        height: 80,
+        parent: frame,
+        children: [],
+        fills: [{ type: 'IMAGE', visible: true, imageHash: 'c0ffee', scaleMode: 'FILL' }]
+    };
+    frame.children.push(image);
+    return [frame];
+}
+
+/**
+ * Test that a saved snapshot loads back with its images, variables and parents
+ */
+async function testSnapshotRoundTrip() {
+    const builder = Object.create(FigmaToHTMLPluginCode.prototype);
+    const extractedNodes = createExtractedNodes();
+
+    this.assertEqual(builder.collectImageHashes(extractedNodes), ['c0ffee'], 'Image hashes');
+
+    const nodes = builder.sanitizeNodesForSerialization(extractedNodes);
+    this.assertEqual('parent' in nodes[0].children[0], false, 'Parent reference in the snapshot');
+
+    const snapshotPath = path.join(this.outputDir, 'round-trip.snapshot.json');
+    const variables = { collections: [], variables: [] };
+    await fs.writeFile(snapshotPath, JSON.stringify({
+        format: FigmaToHTMLPluginCode.SNAPSHOT_FORMAT,
+        version: FigmaToHTMLPluginCode.SNAPSHOT_VERSION,
+        nodes: nodes,
+        images: { c0ffee: 'AAAA' },
+        variables: variables,
+        styles: [{ id: 'S:1', type: 'PAINT', name: 'Brand' }],
+        flowStartingPoints: [{ nodeId: '1:1', name: 'Flow' }]
+    }), 'utf8');
+
+    const exporter = new HeadlessExporter({ outDir: path.join(this.outputDir, 'round-trip') });
+    const loaded = await exporter.loadNodes(snapshotPath);
+
+    this.assertEqual(loaded[0].children[0].parent === loaded[0], true, 'Restored parent reference');
+    this.assertEqual(loaded[0].parent, null, 'Parent of the root');
+    this.assertEqual(loaded[0].children[0].fills[0].imageHash, 'c0ffee', 'Image fill');
+    this.assertEqual(exporter.images, { c0ffee: 'AAAA' }, 'Images');
+    this.assertEqual(exporter.variables, variables, 'Variables');
+    this.assertEqual(exporter.styles.map(style => style.name), ['Brand'], 'Styles');
+    this.assertEqual(exporter.flowStartingPoints, [{ nodeId: '1:1', name: 'Flow' }], 'Flow starting points');
+}
+
+/**
+ * Test that snapshots from a newer plugin are rejected
+ */
+async function testSnapshotVersion() {
+    const snapshotPath = path.join(this.outputDir, 'future.snapshot.json');
+    await fs.writeFile(snapshotPath, JSON.stringify({
+        format: FigmaToHTMLPluginCode.SNAPSHOT_FORMAT,
+        version: FigmaToHTMLPluginCode.SNAPSHOT_VERSION + 1,
+        nodes: createExtractedNodes().map(node => Object.assign({}, node, { parent: undefined, children: [] }))
+    }), 'utf8');
+
+    let message = null;
+    try {
+        await new HeadlessExporter().loadNodes(snapshotPath);
+    } catch (error) {
+        message = error.message;
+    }
+    this.assertIncludes(message, `Unsupported snapshot version ${FigmaToHTMLPluginCode.SNAPSHOT_VERSION + 1}`, 'Newer snapshot');
+}
+
+module.exports = [
+    { name: 'Snapshot Round Trip', testFn: testSnapshotRoundTrip },
+    { name: 'Snapshot Version', testFn: testSnapshotVersion }
+];
@@ -0,0 +1,27 @@
+/**
+ * Stroke tests
+ * Box strokes become outlines, borders or shadows by alignment and sides.
+ */
+
+const { generateStrokeCSS } = require('../src/passes/pass2-node-styles/generators/stroke-generator');
+
+/**
+ * Test that strokes are drawn as outlines, borders or shadows by alignment and sides
+ */
+async function testStrokeSelection() {
+    const stroke = (align, sides) => generateStrokeCSS(Object.assign({ type: 'SOLID', color: '#000000', weight: 2, align }, sides));
+    const sides = { individualStrokes: true, strokeTopWeight: 1, strokeRightWeight: 0, strokeBottomWeight: 4, strokeLeftWeight: 0 };
+
+    // Uniform strokes are outlines, offset by the share drawn inside
+    this.assertEqual(stroke('INSIDE'), ['outline: 2px solid #000000;', 'outline-offset: -2px;'], 'Inside stroke');
+    this.assertEqual(stroke('CENTER'), ['outline: 2px solid #000000;', 'outline-offset: -1px;'], 'Center stroke');
+    this.assertEqual(stroke('OUTSIDE'), ['outline: 2px solid #000000;', 'outline-offset: 0px;'], 'Outside stroke');
+
+    // Per-side strokes are borders inside and shadows otherwise
+    this.assertEqual(stroke('INSIDE', sides), ['border-top: 1px solid #000000;', 'border-bottom: 4px solid #000000;'], 'Inside per-side stroke');
+    this.assertEqual(stroke('OUTSIDE', sides), ['box-shadow: 0px -1px 0 0 #000000, 0px 4px 0 0 #000000;'], 'Outside per-side stroke');
+}
+
+module.exports = [
+    { name: 'Stroke Outline and Shadow Selection', testFn: testStrokeSelection }
+];
@@ -0,0 +1,59 @@
+/**
+ * SVG symbol tests
+ * Vector shapes used more than once are written once to a symbol sprite and drawn with <use>.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+
+const RED = { r: 1, g: 0, b: 0, a: 1 };
+const BLUE = { r: 0, g: 0, b: 1, a: 1 };
+
+/**
+ * Test that repeated vector shapes share one symbol
+ */
+async function testSymbolDedupe() {
+    const vector = (id, data, color) => ({
+        id,
+        name: 'Arrow',
+        type: 'VECTOR',
+        x: 0,
+        y: 0,
+        width: 24,
+        height: 24,
+        fills: [{ type: 'SOLID', visible: true, color }],
+        fillGeometry: [{ data, windingRule: 'NONZERO' }]
+    });
+    const nodes = [{
+        id: '1:1',
+        name: 'Icons',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 100,
+        height: 24,
+        children: [
+            vector('1:2', 'M0 0L24 12L0 24Z', RED),
+            vector('1:3', 'M0 0L24 12L0 24Z', BLUE),
+            vector('1:4', 'M0 0L24 0L24 24Z', RED)
+        ]
+    }];
+
+    const result = await new NodeStructurePass().process(nodes);
+    await this.saveTestOutput('symbol-dedupe.html', result.html);
+
+    this.assertEqual(this.countOccurrences(result.html, '<symbol '), 1, 'Symbols in the sprite');
+    this.assertEqual(this.countOccurrences(result.html, '<use href="#figma-symbol-'), 2, 'Shapes drawn from the symbol');
+    this.assertEqual(this.countOccurrences(result.html, 'd="M0 0L24 12L0 24Z"'), 1, 'Copies of the repeated path');
+    this.assertIncludes(result.html, 'd="M0 0L24 0L24 24Z"', 'Shape used once');
+
+    // Each instance paints the shared shape in its own color
+    this.assertEqual(this.countOccurrences(result.html, 'fill="currentColor"'), 2, 'Instances in currentColor');
+    const { css } = await new NodeStylesPass().process(nodes, result, {});
+    this.assertIncludes(css, '[data-figma-id="1:2"][data-figma-type="VECTOR"] {\n  color: #ff0000;', 'Red instance');
+    this.assertIncludes(css, '[data-figma-id="1:3"][data-figma-type="VECTOR"] {\n  color: #0000ff;', 'Blue instance');
+}
+
+module.exports = [
+    { name: 'SVG Symbol Dedupe', testFn: testSymbolDedupe }
+];
@@ -0,0 +1,106 @@
+/**
+ * Text paint tests
+ * Gradient and image text fills are clipped to the glyphs, and text strokes keep their alignment.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+
+const GRADIENT = {
+    type: 'GRADIENT_LINEAR',
+    visible: true,
+    gradientStops: [{ position: 0, color: { r: 1, g: 0, b: 0, a: 1 } }, { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } }],
+    gradientHandlePositions: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0, y: 1 }]
+};
+const WHITE = { type: 'SOLID', visible: true, color: { r: 1, g: 1, b: 1, a: 1 } };
+const BLACK = { type: 'SOLID', visible: true, color: { r: 0, g: 0, b: 0, a: 1 } };
+
+/**
+ * Run Pass 1 and Pass 2 on text layers in one frame
+ * @param {Array} texts - Text properties, each with an id
+ * @returns {Promise<Function>} Lookup of the declarations of a selector
+ */
+async function generateTextCSS(texts) {
+    const frame = { id: '1:1', name: 'Hero', type: 'FRAME', x: 0, y: 0, width: 400, height: 200, children: [] };
+    frame.children = texts.map(text => Object.assign({
+        name: 'Headline',
+        type: 'TEXT',
+        characters: 'Hello',
+        x: 0,
+        y: 0,
+        width: 200,
+        height: 40,
+        fontName: { family: 'Inter', style: 'Bold' },
+        fontSize: 32,
+        parent: frame
+    }, text));
+
+    const nodes = [frame];
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const { css } = await new NodeStylesPass().process(nodes, pass1Result, {});
+
+    return selector => {
+        const start = css.indexOf(`${selector} {`);
+        if (start === -1) {
+            return [];
+        }
+        const body = css.slice(start + selector.length + 2, css.indexOf('}', start));
+        return body.split('\n').map(line => line.trim()).filter(Boolean);
+    };
+}
+
+/**
+ * Test gradient text, its shadow and the solid runs inside it
+ */
+async function testClippedTextFill() {
+    const shadow = { type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.5 }, offset: { x: 0, y: 2 }, radius: 4, spread: 0 };
+    const segment = (characters, fills) => ({ characters, fills, fontName: { family: 'Inter', style: 'Bold' }, fontSize: 32 });
+    const getDeclarations = await generateTextCSS([
+        { id: '1:2', fills: [GRADIENT], effects: [shadow] },
+        { id: '1:3', fills: [GRADIENT], characters: 'Hi there', textSegments: [segment('Hi ', [GRADIENT]), segment('there', [Object.assign({}, WHITE, { color: { r: 0, g: 1, b: 0, a: 1 } })])] }
+    ]);
+
+    const headline = getDeclarations('[data-figma-id="1:2"][data-figma-type="TEXT"]');
+    this.assertEqual(headline.slice(0, 5), [
+        'background: linear-gradient(90deg, #ff0000 0%, #0000ff 100%);',
+        '-webkit-background-clip: text;',
+        'background-clip: text;',
+        'color: transparent;',
+        '-webkit-text-fill-color: transparent;'
+    ], 'Gradient clipped to the glyphs');
+    // text-shadow would cover the transparent glyphs
+    this.assertIncludes(headline.join(' '), 'filter: drop-shadow(0px 2px 4px rgba(0, 0, 0, 0.5));', 'Shadow of gradient text');
+    this.assertEqual(headline.some(rule => rule.startsWith('text-shadow')), false, 'Gradient text without text-shadow');
+
+    // Solid runs paint their own color over the clipped background
+    const solidRun = getDeclarations('[data-figma-id="1:3"][data-figma-type="TEXT"] [data-text-run="1"]');
+    this.assertIncludes(solidRun.join(' '), 'color: #00ff00; text-decoration: none; -webkit-text-fill-color: currentColor;', 'Solid run in gradient text');
+    const gradientRun = getDeclarations('[data-figma-id="1:3"][data-figma-type="TEXT"] [data-text-run="0"]');
+    this.assertEqual(gradientRun.some(rule => rule.includes('color')), false, 'Gradient run without a color');
+}
+
+/**
+ * Test outside, inside and gradient-filled text strokes
+ */
+async function testTextStroke() {
+    const getDeclarations = await generateTextCSS([
+        { id: '1:2', fills: [WHITE], strokes: [Object.assign({}, BLACK, { opacity: 0.5 })], strokeWeight: 3, strokeAlign: 'OUTSIDE' },
+        { id: '1:3', fills: [WHITE], strokes: [BLACK], strokeWeight: 1, strokeAlign: 'INSIDE' },
+        { id: '1:4', fills: [GRADIENT], strokes: [BLACK], strokeWeight: 2, strokeAlign: 'OUTSIDE' },
+        { id: '1:5', fills: [WHITE], strokes: [GRADIENT], strokeWeight: 2 }
+    ]);
+    const strokeRules = id => getDeclarations(`[data-figma-id="${id}"][data-figma-type="TEXT"]`)
+        .filter(rule => rule.startsWith('-webkit-text-stroke') || rule.startsWith('paint-order'));
+
+    // Outside strokes are drawn twice as wide below the fill, so only the outer half shows
+    this.assertEqual(strokeRules('1:2'), ['-webkit-text-stroke: 6px rgba(0, 0, 0, 0.5);', 'paint-order: stroke fill;'], 'Outside stroke');
+    this.assertEqual(strokeRules('1:3'), ['-webkit-text-stroke: 1px #000000;'], 'Inside stroke');
+    // The clipped background cannot be painted above the stroke
+    this.assertEqual(strokeRules('1:4'), ['-webkit-text-stroke: 2px #000000;'], 'Stroke of gradient text');
+    this.assertEqual(strokeRules('1:5'), [], 'Gradient stroke');
+}
+
+module.exports = [
+    { name: 'Clipped Text Fill', testFn: testClippedTextFill },
+    { name: 'Text Stroke', testFn: testTextStroke }
+];
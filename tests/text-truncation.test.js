@@ -0,0 +1,29 @@
+/**
+ * Text truncation tests
+ * Ending-ellipsis truncation clamps text to Figma's max lines, or to the lines that fit the box.
+ */
+
+const { extractTypography } = require('../src/passes/pass2-node-styles/extractors/typography-extractor');
+const { generateTypographyCSS } = require('../src/passes/pass2-node-styles/generators/typography-generator');
+
+/**
+ * Test the line counts of ending-ellipsis truncation
+ */
+async function testLineClampCounts() {
+    const truncation = node => generateTypographyCSS(extractTypography(Object.assign({
+        type: 'TEXT',
+        fontName: { family: 'Inter', style: 'Regular' },
+        fontSize: 20,
+        textTruncation: 'ENDING'
+    }, node))).filter(rule => rule.includes('line-clamp') || rule.startsWith('white-space'));
+
+    this.assertEqual(truncation({ maxLines: 3, height: 200 }), ['-webkit-line-clamp: 3;', 'line-clamp: 3;'], 'Max lines');
+    // Without max lines the box height decides (auto line height is 1.2 × the font size)
+    this.assertEqual(truncation({ height: 72 }), ['-webkit-line-clamp: 3;', 'line-clamp: 3;'], 'Auto line height');
+    this.assertEqual(truncation({ height: 73, lineHeight: { unit: 'PERCENT', value: 150 } }), ['-webkit-line-clamp: 2;', 'line-clamp: 2;'], 'Percent line height');
+    this.assertEqual(truncation({ height: 24 }), ['white-space: nowrap;'], 'Single line');
+}
+
+module.exports = [
+    { name: 'Line Clamp Counts', testFn: testLineClampCounts }
+];
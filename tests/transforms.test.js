@@ -0,0 +1,78 @@
+/**
+ * Transform tests
+ * relativeTransform becomes a CSS transform around the corner Figma turns the layer on,
+ * and Smart Animate interpolates between the same transforms.
+ */
+
+const FigmaToHTMLPluginCode = require('../src/plugin/figma-to-html-plugin');
+const { generateLayoutCSS } = require('../src/passes/pass2-node-styles/generators/layout-generator');
+const { loadVariantSwitcher } = require('./helpers/variant-runtime');
+
+const COS_30 = Math.cos(Math.PI / 6);
+const SIN_30 = Math.sin(Math.PI / 6);
+
+// Figma matrices [[a, c, tx], [b, d, ty]]; the translation is the layer's x/y
+const TRANSFORMS = {
+    rotated: { relativeTransform: [[COS_30, SIN_30, 100], [-SIN_30, COS_30, 50]], rotation: 30 },
+    flipped: { relativeTransform: [[1, 0, 100], [0, -1, 90]] },
+    skewed: { relativeTransform: [[1, 0.5, 100], [0, 1, 50]] },
+    untransformed: { relativeTransform: [[1, 0, 100], [0, 1, 50]] }
+};
+
+/**
+ * Build a rectangle with one of the test transforms
+ * @param {string} transform - Key of TRANSFORMS
+ * @param {Object} parent - Parent node
+ * @returns {Object} Node data
+ */
+function createTransformedNode(transform, parent) {
+    return Object.assign({ id: '1:2', name: transform, type: 'RECTANGLE', x: 100, y: 50, width: 80, height: 40, parent }, TRANSFORMS[transform]);
+}
+
+/**
+ * Test the transform and origin of rotated, flipped and skewed layers
+ */
+async function testTransformMatrix() {
+    const frame = { id: '1:1', name: 'Frame', type: 'FRAME', x: 0, y: 0, width: 400, height: 400, children: [] };
+    const transformRules = transform => generateLayoutCSS(createTransformedNode(transform, frame), frame);
+    const placement = ['position: absolute;', 'left: 100px;', 'top: 50px;', 'width: 80px;', 'height: 40px;'];
+
+    // left/top are the matrix translation, so the transform turns around the top-left corner
+    this.assertEqual(transformRules('rotated'), placement.concat(['transform-origin: 0 0;', 'transform: rotate(-30deg);']), 'Rotation');
+    this.assertEqual(transformRules('flipped'), placement.concat(['transform-origin: 0 0;', 'transform: scaleY(-1);']), 'Vertical flip');
+    this.assertEqual(transformRules('skewed'), placement.concat(['transform-origin: 0 0;', 'transform: matrix(1, 0, 0.5, 1, 0, 0);']), 'Skew');
+    this.assertEqual(transformRules('untransformed'), placement, 'Identity matrix');
+
+    // Without a matrix, the rotation alone gives the same transform
+    const rotationOnly = { id: '1:3', name: 'Legacy', type: 'RECTANGLE', x: 100, y: 50, width: 80, height: 40, rotation: 30, parent: frame };
+    this.assertIncludes(generateLayoutCSS(rotationOnly, frame).join(' '), 'transform: rotate(-30deg);', 'Rotation without a matrix');
+
+    // Auto-layout places children by the flow, so they turn around their center
+    const row = { id: '2:1', name: 'Row', type: 'FRAME', layoutMode: 'HORIZONTAL', children: [] };
+    const flowChild = generateLayoutCSS(createTransformedNode('rotated', row), row);
+    this.assertEqual(flowChild.slice(-2), ['transform-origin: 50% 50%;', 'transform: rotate(-30deg);'], 'Auto-layout child');
+}
+
+/**
+ * Test that Smart Animate uses the same transforms as the exported CSS
+ */
+async function testSmartAnimateTransforms() {
+    const VariantSwitcher = loadVariantSwitcher(Object.create(FigmaToHTMLPluginCode.prototype).generateVariantSwitcherScript());
+    const switcher = new VariantSwitcher();
+    const frame = { id: '1:1', name: 'Frame', type: 'FRAME', x: 0, y: 0, width: 400, height: 400, children: [] };
+
+    Object.keys(TRANSFORMS).forEach(transform => {
+        const node = createTransformedNode(transform, frame);
+        const rule = generateLayoutCSS(node, frame).find(declaration => declaration.startsWith('transform:'));
+        this.assertEqual(switcher.formatNodeTransform(node), rule ? rule.slice('transform: '.length, -1) : null, `Runtime ${transform} transform`);
+    });
+
+    const differences = switcher.calculateNodeDifferences(createTransformedNode('untransformed'), createTransformedNode('rotated'));
+    this.assertEqual(differences.position, null, 'Rotation without a position change');
+    this.assertEqual(differences.transform, { current: null, target: 'rotate(-30deg)' }, 'Rotation difference');
+}
+
+module.exports = [
+    { name: 'Transform Matrix', testFn: testTransformMatrix },
+    { name: 'Smart Animate Transforms', testFn: testSmartAnimateTransforms }
+];
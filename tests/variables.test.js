@@ -0,0 +1,90 @@
+/**
+ * Variable tests
+ * Figma variables become custom properties with one [data-theme] block per mode.
+ */
+
+const NodeStructurePass = require('../src/passes/pass1-node-structure');
+const NodeStylesPass = require('../src/passes/pass2-node-styles');
+
+const VARIABLES = {
+    collections: [
+        { id: 'C:1', name: 'Colors', defaultModeId: 'm1', modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Client A' }] },
+        { id: 'C:2', name: 'Spacing', defaultModeId: 's1', modes: [{ modeId: 's1', name: 'Default' }] }
+    ],
+    variables: [
+        { id: 'V:1', name: 'brand/primary', variableCollectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: { r: 0, g: 0, b: 1, a: 1 }, m2: { r: 1, g: 0, b: 0, a: 1 } } },
+        { id: 'V:2', name: 'surface', variableCollectionId: 'C:1', resolvedType: 'COLOR', valuesByMode: { m1: { type: 'VARIABLE_ALIAS', id: 'V:1' }, m2: { r: 1, g: 1, b: 1, a: 1 } } },
+        { id: 'V:3', name: 'gap', variableCollectionId: 'C:2', resolvedType: 'FLOAT', valuesByMode: { s1: 12 } },
+        { id: 'V:4', name: 'fade', variableCollectionId: 'C:2', resolvedType: 'FLOAT', valuesByMode: { s1: 50 } }
+    ]
+};
+
+/**
+ * Test the custom property blocks and the references of bound properties
+ */
+async function testVariableThemes() {
+    const frame = {
+        id: '1:1',
+        name: 'Card',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 200,
+        height: 100,
+        layoutMode: 'HORIZONTAL',
+        itemSpacing: 12,
+        opacity: 0.5,
+        fills: [{ type: 'SOLID', visible: true, color: { r: 0, g: 0, b: 1 }, opacity: 0.5, boundVariables: { color: { type: 'VARIABLE_ALIAS', id: 'V:1' } } }],
+        boundVariables: {
+            itemSpacing: { type: 'VARIABLE_ALIAS', id: 'V:3' },
+            opacity: { type: 'VARIABLE_ALIAS', id: 'V:4' }
+        },
+        children: []
+    };
+    const nodes = [frame];
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const { css, metadata } = await new NodeStylesPass().process(nodes, pass1Result, { variables: VARIABLES });
+
+    // Default modes on :root, every mode as a theme; aliases stay references
+    this.assertIncludes(css, ':root {\n  --colors-brand-primary: #0000ff;\n  --colors-surface: var(--colors-brand-primary);\n  --spacing-gap: 12;\n  --spacing-fade: 50;\n}', 'Root properties');
+    this.assertIncludes(css, '[data-theme="client-a"] {\n  --colors-brand-primary: #ff0000;\n  --colors-surface: #ffffff;\n}', 'Client A theme');
+    this.assertEqual(metadata.themes, ['light', 'client-a', 'default'], 'Themes');
+
+    // Numbers are unitless until used; opacity variables are percentages
+    this.assertIncludes(css, 'background: color-mix(in srgb, var(--colors-brand-primary) 50%, transparent);', 'Bound fill color');
+    this.assertIncludes(css, 'gap: calc(var(--spacing-gap) * 1px);', 'Bound gap');
+    this.assertIncludes(css, 'opacity: calc(var(--spacing-fade) / 100);', 'Bound opacity');
+}
+
+/**
+ * Test that frames with an explicit mode declare that mode's values
+ */
+async function testExplicitVariableMode() {
+    const child = {
+        id: '1:2',
+        name: 'Client card',
+        type: 'FRAME',
+        x: 0,
+        y: 0,
+        width: 100,
+        height: 50,
+        explicitVariableModes: { 'C:1': 'm2' },
+        children: []
+    };
+    const frame = { id: '1:1', name: 'Slide', type: 'FRAME', x: 0, y: 0, width: 200, height: 100, children: [child] };
+    child.parent = frame;
+
+    const nodes = [frame];
+    const pass1Result = await new NodeStructurePass().process(nodes);
+    const { css } = await new NodeStylesPass().process(nodes, pass1Result, { variables: VARIABLES });
+
+    const start = css.indexOf('[data-figma-id="1:2"][data-figma-type="FRAME"] {');
+    const block = css.slice(start, css.indexOf('}', start));
+    this.assertIncludes(block, '--colors-brand-primary: #ff0000;', 'Explicit mode color');
+    this.assertIncludes(block, '--colors-surface: #ffffff;', 'Explicit mode surface');
+}
+
+module.exports = [
+    { name: 'Variable Themes', testFn: testVariableThemes },
+    { name: 'Explicit Variable Mode', testFn: testExplicitVariableMode }
+];
@@ -0,0 +1,90 @@
+/**
+ * Viewport scaling tests
+ * Exported walls fit the window with contain, cover or stretch and map points back to design pixels.
+ */
+
+const FigmaToHTMLPluginCode = require('../src/plugin/figma-to-html-plugin');
+const { parseArgs } = require('../src/cli/figma-to-html');
+const { loadViewportScaler } = require('./helpers/viewport-runtime');
+
+const WALL = [{ id: '1:1', name: 'Wall', type: 'FRAME', x: 0, y: 0, width: 8640, height: 3840, children: [] }];
+
+/**
+ * Export the wall and load its scaler on a window of the given size
+ * @param {Object} viewportOptions - { scaleMode, letterboxColor }
+ * @param {Object} viewport - { width, height, search } of the window
+ * @returns {Object} { html, scaler, container }
+ */
+function createScaler(viewportOptions, viewport) {
+    const builder = Object.create(FigmaToHTMLPluginCode.prototype);
+    const html = builder.wrapInHTMLDocument('', '', WALL, false, 'Wall', false, viewportOptions);
+    const { ViewportScaler, container } = loadViewportScaler(html, viewport);
+    const scaler = new ViewportScaler(8640, 3840, builder.normalizeViewportOptions(viewportOptions).scaleMode);
+    return { html, scaler, container };
+}
+
+/**
+ * Test the scale, letterbox offsets and container transform of each mode
+ */
+async function testViewportScaleModes() {
+    // A 2:1 window is narrower than the 9:4 wall: contain letterboxes above and below
+    const contain = createScaler({ scaleMode: 'contain' }, { width: 2160, height: 1080 });
+    this.assertEqual([contain.scaler.scaleX, contain.scaler.scaleY], [0.25, 0.25], 'Contain scale');
+    this.assertEqual([contain.scaler.offsetX, contain.scaler.offsetY], [0, 60], 'Contain letterbox');
+    this.assertEqual(contain.container.style.width, '8640px', 'Container design width');
+    this.assertEqual(contain.container.style.transform, 'translate(0px, 60px) scale(0.25, 0.25)', 'Contain transform');
+
+    const cover = createScaler({ scaleMode: 'cover' }, { width: 2160, height: 1080 });
+    this.assertEqual([cover.scaler.scaleX, cover.scaler.scaleY], [0.28125, 0.28125], 'Cover scale');
+    this.assertEqual([cover.scaler.offsetX, cover.scaler.offsetY], [-135, 0], 'Cover crop');
+
+    const stretch = createScaler({ scaleMode: 'stretch' }, { width: 2160, height: 1080 });
+    this.assertEqual([stretch.scaler.scaleX, stretch.scaler.scaleY], [0.25, 0.28125], 'Stretch scale');
+    this.assertEqual([stretch.scaler.offsetX, stretch.scaler.offsetY], [0, 0], 'Stretch offset');
+
+    const none = createScaler({}, { width: 2160, height: 1080 });
+    this.assertEqual(none.scaler.getMode(), 'none', 'Default mode');
+    this.assertEqual(none.container.style.transform, '', 'Actual size without a transform');
+}
+
+/**
+ * Test the mapping between window and design coordinates under a scale
+ */
+async function testViewportPointMapping() {
+    const { scaler } = createScaler({ scaleMode: 'cover' }, { width: 2160, height: 1080 });
+
+    this.assertEqual(scaler.toDesignPoint(0, 0), { x: 480, y: 0 }, 'Window corner in design pixels');
+    this.assertEqual(scaler.toDesignPoint(1080, 540), { x: 4320, y: 1920 }, 'Window center is the wall center');
+    this.assertEqual(scaler.toClientPoint(4320, 1920), { x: 1080, y: 540 }, 'Wall center in window pixels');
+}
+
+/**
+ * Test the exported mode, the ?scale override and the validation of the options
+ */
+async function testViewportOptions() {
+    const builder = Object.create(FigmaToHTMLPluginCode.prototype);
+
+    this.assertEqual(builder.normalizeViewportOptions({ scaleMode: 'cover', letterboxColor: ' rgb(10, 20, 30) ' }), { scaleMode: 'cover', letterboxColor: 'rgb(10, 20, 30)' }, 'Valid options');
+    this.assertEqual(builder.normalizeViewportOptions({ scaleMode: 'zoom', letterboxColor: 'red; } body { display: none' }), { scaleMode: 'none', letterboxColor: '#000000' }, 'Unknown mode and unsafe color');
+    this.assertEqual(builder.getDesignSize(WALL.concat([{ width: 100.4, height: 5000 }])), { width: 8640, height: 5000 }, 'Design size of the largest frame');
+
+    const { html, scaler } = createScaler({ scaleMode: 'contain', letterboxColor: '#112233' }, { width: 2160, height: 1080, search: '?scale=stretch' });
+    this.assertIncludes(html, 'html.figma-scaled, html.figma-scaled body { width: 100%; height: 100%; overflow: hidden; background: #112233; }', 'Letterbox color');
+    this.assertIncludes(html, "new ViewportScaler(8640, 3840, 'contain')", 'Exported scale mode');
+    this.assertEqual(scaler.getMode(), 'stretch', 'Query string override');
+
+    this.assertEqual(parseArgs(['wall.json', '--scale', 'cover', '--letterbox', '#fff']).scaleMode, 'cover', 'CLI scale mode');
+    let message = null;
+    try {
+        parseArgs(['wall.json', '--scale', 'zoom']);
+    } catch (error) {
+        message = error.message;
+    }
+    this.assertIncludes(message, 'Unknown scale mode: zoom', 'Unknown CLI scale mode');
+}
+
+module.exports = [
+    { name: 'Viewport Scale Modes', testFn: testViewportScaleModes },
+    { name: 'Viewport Point Mapping', testFn: testViewportPointMapping },
+    { name: 'Viewport Options', testFn: testViewportOptions }
+];